@@ -1,5 +1,24 @@
 // common/apiClient.js
 const axios = require('axios');
+const os = require('os');
+const path = require('path');
+const { Cassette } = require('./cassette');
+const { ResultCache } = require('./resultCache');
+const { parseLineage } = require('./lineage');
+const { toOpenLineage } = require('./openLineage');
+const { parseSql } = require('./sqlParser');
+const { JOB_MAX_WAIT, readJob, pollDelay } = require('./workflowJobs');
+const {
+  NetPadError,
+  NetPadConfigError,
+  NetPadApiError,
+  NetPadNetworkError,
+  NetPadCassetteError,
+  NetPadCancelledError,
+  NetPadSqlParseError,
+  NetPadWorkflowError,
+  NetPadJobError
+} = require('./errors');
 
 class NetPadApiClient {
   constructor(options = {}) {
@@ -7,20 +26,42 @@ class NetPadApiClient {
       baseURL: options.apiUrl || process.env.NETPAD_API_URL || 'https://netpad.io/api/mcp',
       apiKey: options.apiKey || process.env.NETPAD_API_KEY || '',
       timeout: options.timeout || parseInt(process.env.NETPAD_TIMEOUT) || 30000,
-      retries: options.retries || parseInt(process.env.NETPAD_RETRIES) || 3,
-      enableLogging: options.enableLogging !== false
+      retries: options.retries ?? (parseInt(process.env.NETPAD_RETRIES) || 3),
+      enableLogging: options.enableLogging !== false,
+      userAgent: options.userAgent || 'NetPad-Extension/1.0.0',
+      // 'live', 'record' (save every exchange to the cassette) or 'replay' (answer from it)
+      mode: options.mode || process.env.NETPAD_CASSETTE_MODE || 'live',
+      cassettePath: options.cassettePath || process.env.NETPAD_CASSETTE || null
     };
 
+    // Where log lines go; the editor extensions route this to their own log
+    this.logger = options.logger || console.log;
+
+    this.cache = this.createCache(options.cache ?? (process.env.NETPAD_CACHE_FILE ? { filePath: process.env.NETPAD_CACHE_FILE } : null));
+
     this.client = null;
     this.initialize();
   }
 
+  /**
+   * Create the result cache: `true` for the default file, an options object,
+   * or an existing ResultCache instance. Falsy disables caching.
+   */
+  createCache(cache) {
+    if (!cache) return null;
+    if (cache instanceof ResultCache) return cache;
+    if (cache === true) {
+      return new ResultCache({ filePath: path.join(os.homedir(), '.netpad', 'result-cache.json') });
+    }
+    return new ResultCache(cache);
+  }
+
   /**
    * Initialize the axios client
    */
   initialize() {
-    if (!this.config.apiKey) {
-      throw new Error('NetPad API key is required. Set NETPAD_API_KEY environment variable or pass apiKey option.');
+    if (!this.config.apiKey && this.config.mode !== 'replay') {
+      throw new NetPadConfigError('NetPad API key is required. Set NETPAD_API_KEY environment variable or pass apiKey option.');
     }
 
     this.client = axios.create({
@@ -29,13 +70,76 @@ class NetPadApiClient {
       headers: {
         'Content-Type': 'application/json',
         'X-API-Key': this.config.apiKey,
-        'User-Agent': 'NetPad-Extension/1.0.0'
+        'User-Agent': this.config.userAgent
       }
     });
 
+    if (this.config.mode !== 'live') {
+      this.client.defaults.adapter = this.createCassetteAdapter();
+    }
+
     this.setupInterceptors();
   }
 
+  /**
+   * Create an axios adapter that records to, or replays from, the cassette
+   */
+  createCassetteAdapter() {
+    if (!['record', 'replay'].includes(this.config.mode)) {
+      throw new NetPadConfigError(`Unknown NetPad client mode "${this.config.mode}". Use live, record or replay.`);
+    }
+    if (!this.config.cassettePath) {
+      throw new NetPadConfigError(`A cassette file is required in ${this.config.mode} mode. Set NETPAD_CASSETTE or pass cassettePath option.`);
+    }
+
+    // Recording always starts a fresh cassette
+    const cassette = new Cassette(this.config.cassettePath);
+    if (this.config.mode === 'replay') {
+      cassette.load();
+    }
+    this.cassette = cassette;
+    this.log(`Using cassette ${cassette.filePath} (${this.config.mode} mode, ${cassette.interactions.length} recordings)`);
+
+    if (this.config.mode === 'replay') {
+      return async (config) => {
+        if (config.signal?.aborted) {
+          throw new NetPadCancelledError();
+        }
+
+        const request = cassette.describeRequest(config.method, config.url, config.data);
+        const recorded = cassette.match(request);
+        if (!recorded) {
+          throw new NetPadCassetteError(
+            `NetPad API Error: No recorded response for ${request.method} ${request.path} in ${cassette.filePath}`,
+            { request }
+          );
+        }
+
+        const response = { ...recorded, config, request: {} };
+        if (config.validateStatus && !config.validateStatus(response.status)) {
+          const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+          throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, response.request, response);
+        }
+        return response;
+      };
+    }
+
+    const liveAdapter = axios.getAdapter(axios.defaults.adapter);
+    return async (config) => {
+      const request = cassette.describeRequest(config.method, config.url, config.data);
+      try {
+        const response = await liveAdapter(config);
+        cassette.record(request, response);
+        return response;
+      } catch (error) {
+        if (error.response) {
+          cassette.record(request, error.response);
+        }
+        throw error;
+      }
+    };
+  }
+
   /**
    * Setup request/response interceptors
    */
@@ -44,8 +148,8 @@ class NetPadApiClient {
     this.client.interceptors.request.use(
       (config) => {
         if (this.config.enableLogging) {
-          console.log(`[NetPad API] ${config.method?.toUpperCase()} ${config.url}`);
-          console.log(`[NetPad API] Request data:`, JSON.stringify(config.data, null, 2));
+          this.logger(`[NetPad API] ${config.method?.toUpperCase()} ${config.url}`);
+          this.logger(`[NetPad API] Request data: ${JSON.stringify(config.data, null, 2)}`);
         }
         return config;
       },
@@ -59,12 +163,21 @@ class NetPadApiClient {
     this.client.interceptors.response.use(
       (response) => {
         if (this.config.enableLogging) {
-          console.log(`[NetPad API] Response: ${response.status} ${response.statusText}`);
+          this.logger(`[NetPad API] Response: ${response.status} ${response.statusText}`);
         }
         return response;
       },
       async (error) => {
         this.log(`Response error: ${error.message}`);
+
+        // Errors raised by the client itself are final
+        if (error instanceof NetPadError) {
+          return Promise.reject(error);
+        }
+
+        if (axios.isCancel(error)) {
+          return Promise.reject(new NetPadCancelledError('NetPad request cancelled', { cause: error }));
+        }
         
         // Handle retry logic
         const config = error.config;
@@ -76,9 +189,14 @@ class NetPadApiClient {
           config.__retryCount++;
           this.log(`Retrying request (${config.__retryCount}/${this.config.retries})`);
           
-          // Exponential backoff
-          const delay = Math.pow(2, config.__retryCount) * 1000;
-          await this.sleep(delay);
+          // Exponential backoff (replayed responses need no waiting);
+          // aborting the request's signal also ends the wait
+          if (this.config.mode !== 'replay') {
+            const delay = Math.pow(2, config.__retryCount) * 1000;
+            await this.sleep(delay, config.signal);
+          } else if (config.signal?.aborted) {
+            throw new NetPadCancelledError();
+          }
           
           return this.client.request(config);
         }
@@ -106,27 +224,42 @@ class NetPadApiClient {
    * Enhance error with more context
    */
   enhanceError(error) {
-    const enhanced = new Error();
-    
     if (error.response) {
-      enhanced.message = `NetPad API Error (${error.response.status}): ${error.response.data?.message || error.response.statusText}`;
-      enhanced.status = error.response.status;
-      enhanced.data = error.response.data;
-    } else if (error.request) {
-      enhanced.message = 'NetPad API Error: No response received (network error)';
-    } else {
-      enhanced.message = `NetPad API Error: ${error.message}`;
+      return new NetPadApiError(
+        `NetPad API Error (${error.response.status}): ${error.response.data?.message || error.response.statusText}`,
+        { status: error.response.status, data: error.response.data, cause: error }
+      );
+    }
+
+    if (error.request) {
+      return new NetPadNetworkError('NetPad API Error: No response received (network error)', { cause: error });
     }
 
-    enhanced.originalError = error;
-    return enhanced;
+    return new NetPadError(`NetPad API Error: ${error.message}`, { cause: error });
   }
 
   /**
-   * Sleep utility for retry delays
+   * Sleep utility for retry delays; rejects with NetPadCancelledError when
+   * the signal is aborted
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new NetPadCancelledError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new NetPadCancelledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -134,19 +267,35 @@ class NetPadApiClient {
    */
   log(message) {
     if (this.config.enableLogging) {
-      console.log(`[NetPad API] ${new Date().toISOString()}: ${message}`);
+      this.logger(`[NetPad API] ${new Date().toISOString()}: ${message}`);
     }
   }
 
   /**
-   * Execute a command
+   * Execute a command. Cacheable commands are answered from the result cache
+   * unless `options.forceRefresh` is set; cached results carry `cached: true`.
+   * `options.signal` (an AbortSignal) cancels the request and any pending retry.
    */
-  async executeCommand(type, input) {
+  async executeCommand(type, input, options = {}) {
+    const cacheKey = this.cache && ResultCache.isCacheable(type) ? this.cache.keyFor(type, input) : null;
+
+    if (cacheKey && !options.forceRefresh) {
+      const cached = this.cache.get(cacheKey);
+      if (cached) {
+        this.log(`Cache hit for ${type}`);
+        return { ...cached, cached: true };
+      }
+    }
+
     try {
       const response = await this.client.post('/command', {
         type,
         input
-      });
+      }, { signal: options.signal });
+
+      if (cacheKey) {
+        this.cache.set(cacheKey, response.data);
+      }
 
       return response.data;
     } catch (error) {
@@ -158,9 +307,9 @@ class NetPadApiClient {
   /**
    * Get available tools
    */
-  async getTools() {
+  async getTools(options = {}) {
     try {
-      const response = await this.client.get('/tools');
+      const response = await this.client.get('/tools', { signal: options.signal });
       return response.data;
     } catch (error) {
       this.log(`Failed to fetch tools: ${error.message}`);
@@ -171,12 +320,12 @@ class NetPadApiClient {
   /**
    * Execute a specific tool
    */
-  async executeTool(toolName, parameters = {}) {
+  async executeTool(toolName, parameters = {}, options = {}) {
     try {
       const response = await this.client.post('/tools/execute', {
         tool: toolName,
         parameters
-      });
+      }, { signal: options.signal });
 
       return response.data;
     } catch (error) {
@@ -198,34 +347,113 @@ class NetPadApiClient {
   }
 
   /**
-   * Extract data lineage
+   * Extract data lineage. With `format: 'openlineage'` the result is an array of
+   * OpenLineage events instead (see toOpenLineage for eventKind, namespace, jobName).
    */
-  async extractDataLineage(code, language, fileName = null) {
-    return this.executeCommand('data_lineage_extraction', {
+  async extractDataLineage(code, language, fileName = null, options = {}) {
+    const { format, eventKind, eventType, namespace, jobName, ...commandOptions } = options;
+    const result = await this.executeCommand('data_lineage_extraction', {
       code,
       language,
       fileName
-    });
+    }, commandOptions);
+
+    if (format !== 'openlineage') return result;
+    return toOpenLineage(parseLineage(result, code), { eventKind, eventType, namespace, jobName, fileName });
   }
 
   /**
-   * Perform SQL metadata lookup
+   * Perform SQL metadata lookup. With a `dialect`, the SQL is parsed locally
+   * first and the parsed structure is sent along; a parse error is thrown as
+   * NetPadSqlParseError without making a request.
    */
   async sqlMetadataLookup(sql, options = {}) {
+    const { dialect, ...input } = options;
     return this.executeCommand('sql_metadata_lookup', {
       sql,
-      ...options
+      ...(dialect ? { dialect, parsed: parseSql(sql, { dialect }) } : {}),
+      ...input
     });
   }
 
   /**
    * Run custom workflow
    */
-  async runWorkflow(workflowName, input) {
+  async runWorkflow(workflowName, input, options = {}) {
     return this.executeCommand('custom_workflow', {
       workflowName,
       ...input
-    });
+    }, options);
+  }
+
+  /**
+   * Run a workflow graph (nodes, connections, startNodeId). Long runs answer
+   * with a job id instead of a result (see workflowJobId); wait for those
+   * with waitForWorkflowJob.
+   */
+  async runWorkflowGraph(graph, options = {}) {
+    try {
+      const response = await this.client.post('/workflow/run', graph, { signal: options.signal });
+      return response.data;
+    } catch (error) {
+      this.log(`Workflow run failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Status of an asynchronous workflow run
+   */
+  async getWorkflowJob(jobId, options = {}) {
+    try {
+      const response = await this.client.get(`/workflow/jobs/${encodeURIComponent(jobId)}`, { signal: options.signal });
+      return response.data;
+    } catch (error) {
+      this.log(`Workflow job status failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Poll a workflow job, backing off between polls, until it ends.
+   * `options.onProgress` gets readJob's state after every poll and
+   * `options.signal` stops waiting. Resolves to the run's result, shaped
+   * like a synchronous /workflow/run response (with empty `data` when the
+   * job reported none). A job that fails or is cancelled, or is still
+   * running after `options.maxWait` ms of waiting, rejects with
+   * NetPadJobError.
+   */
+  async waitForWorkflowJob(jobId, options = {}) {
+    const maxWait = options.maxWait ?? JOB_MAX_WAIT;
+    let waited = 0;
+    for (let attempt = 0; ; attempt++) {
+      const state = readJob(await this.getWorkflowJob(jobId, options));
+      options.onProgress?.(state);
+
+      if (state.status === 'completed') return state.result || { success: true, data: {} };
+      if (state.done) {
+        throw new NetPadJobError(
+          `Workflow job ${jobId} ${state.status === 'failed' ? 'failed' : 'was cancelled'}${state.error ? `: ${state.error}` : ''}`,
+          { jobId, status: state.status }
+        );
+      }
+
+      const delay = pollDelay(attempt, options);
+      if (waited + delay > maxWait) {
+        throw new NetPadJobError(
+          `Workflow job ${jobId} is still ${state.status} after ${Math.round(waited / 60000)} min; stopped waiting for it`,
+          { jobId, status: state.status }
+        );
+      }
+      waited += delay;
+
+      // Replayed statuses need no waiting
+      if (this.config.mode !== 'replay') {
+        await this.sleep(delay, options.signal);
+      } else if (options.signal?.aborted) {
+        throw new NetPadCancelledError();
+      }
+    }
   }
 
   /**
@@ -259,6 +487,13 @@ class NetPadApiClient {
     }
   }
 
+  /**
+   * Remove every cached result; returns the number of entries removed
+   */
+  clearCache() {
+    return this.cache ? this.cache.clear() : 0;
+  }
+
   /**
    * Update configuration
    */
@@ -309,6 +544,15 @@ async function executeTool(toolName, parameters) {
 
 module.exports = {
   NetPadApiClient,
+  NetPadError,
+  NetPadConfigError,
+  NetPadApiError,
+  NetPadNetworkError,
+  NetPadCassetteError,
+  NetPadCancelledError,
+  NetPadSqlParseError,
+  NetPadWorkflowError,
+  NetPadJobError,
   createNetPadClient,
   getDefaultClient,
   analyzeCode,
@@ -0,0 +1,142 @@
+// common/cassette.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Body keys that change on every run and must not affect matching
+const DEFAULT_IGNORED_BODY_KEYS = ['sessionId', 'timestamp', 'requestId'];
+
+// Larger request bodies are stored as a hash to keep cassettes readable
+const MAX_STORED_BODY_LENGTH = 4096;
+
+/**
+ * Request/response recordings for NetPadApiClient record and replay modes
+ */
+class Cassette {
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.ignoredBodyKeys = options.ignoredBodyKeys || DEFAULT_IGNORED_BODY_KEYS;
+    this.interactions = [];
+    // How many recordings of each key have been replayed so far
+    this.playCounts = new Map();
+  }
+
+  /**
+   * Load interactions from disk; a missing file is an empty cassette
+   */
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.interactions = content.interactions || [];
+    }
+    this.playCounts.clear();
+    return this;
+  }
+
+  /**
+   * Write all interactions to disk
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2) + '\n');
+  }
+
+  /**
+   * Sort object keys recursively and drop volatile keys
+   */
+  normalize(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalize(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value)
+        .filter(key => !this.ignoredBodyKeys.includes(key))
+        .sort()
+        .reduce((normalized, key) => {
+          normalized[key] = this.normalize(value[key]);
+          return normalized;
+        }, {});
+    }
+    return value;
+  }
+
+  /**
+   * Build the request description used for matching
+   */
+  describeRequest(method, url, data) {
+    let body = data;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        // Non-JSON bodies are matched verbatim
+      }
+    }
+
+    return {
+      method: (method || 'get').toUpperCase(),
+      path: new URL(url, 'http://cassette.local').pathname,
+      body: body === undefined ? null : this.normalize(body)
+    };
+  }
+
+  keyFor(request) {
+    return `${request.method} ${request.path} ${request.bodyHash || this.hashBody(request.body)}`;
+  }
+
+  hashBody(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+  }
+
+  /**
+   * Append an interaction and persist the cassette
+   */
+  record(request, response) {
+    const stored = JSON.stringify(request.body).length > MAX_STORED_BODY_LENGTH
+      ? { method: request.method, path: request.path, bodyHash: this.hashBody(request.body) }
+      : request;
+
+    // Adapters hand back the raw body; store JSON parsed so cassettes stay readable
+    let data = response.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        // Keep non-JSON bodies as text
+      }
+    }
+
+    this.interactions.push({
+      request: stored,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { 'content-type': response.headers?.['content-type'] || 'application/json' },
+        data
+      },
+      recordedAt: new Date().toISOString()
+    });
+    this.save();
+  }
+
+  /**
+   * Find the next recorded response for a request, or null.
+   * Repeated identical requests replay their recordings in order and then
+   * keep returning the last one, so recorded retries play back faithfully.
+   */
+  match(request) {
+    const key = this.keyFor(request);
+    const candidates = this.interactions.filter(interaction => this.keyFor(interaction.request) === key);
+    if (candidates.length === 0) return null;
+
+    const played = this.playCounts.get(key) || 0;
+    this.playCounts.set(key, played + 1);
+    return candidates[Math.min(played, candidates.length - 1)].response;
+  }
+}
+
+module.exports = { Cassette };
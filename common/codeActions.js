@@ -0,0 +1,58 @@
+// common/codeActions.js
+const vscode = require('vscode');
+
+const EXPLAIN_KIND = vscode.CodeActionKind.Empty.append('netpad.explain');
+const REFACTOR_KIND = vscode.CodeActionKind.RefactorRewrite.append('netpad');
+const FIX_KIND = vscode.CodeActionKind.QuickFix.append('netpad');
+
+// Diagnostics are summarized in the fix title up to this length
+const MAX_TITLE_MESSAGE = 60;
+
+/**
+ * Lightbulb entries that run NetPad commands on the current range or diagnostic.
+ * Actions only reference commands; nothing is sent to NetPad until one is chosen.
+ */
+class NetPadCodeActionProvider {
+  provideCodeActions(document, range, context) {
+    if (!vscode.workspace.getConfiguration('netpad').get('codeActionsEnabled', true)) {
+      return [];
+    }
+
+    const actions = [];
+    let target = range.isEmpty ? context.diagnostics[0]?.range : range;
+    if (target?.isEmpty) {
+      target = document.lineAt(target.start.line).range;
+    }
+
+    if (target) {
+      actions.push(
+        this.createAction('Explain with NetPad', EXPLAIN_KIND, 'netpad.explainCode', { range: target }),
+        this.createAction('Refactor with NetPad', REFACTOR_KIND, 'netpad.refactorWithPreview', { range: target })
+      );
+    }
+
+    // Name the diagnostic when there are several to choose from
+    const single = context.diagnostics.length === 1;
+    context.diagnostics.forEach(diagnostic => {
+      const message = diagnostic.message.length > MAX_TITLE_MESSAGE
+        ? `${diagnostic.message.slice(0, MAX_TITLE_MESSAGE - 1)}…`
+        : diagnostic.message;
+      const title = single ? 'Fix this diagnostic with NetPad' : `Fix with NetPad: ${message}`;
+      const action = this.createAction(title, FIX_KIND, 'netpad.fixDiagnostic', { diagnostic });
+      action.diagnostics = [diagnostic];
+      actions.push(action);
+    });
+
+    return actions;
+  }
+
+  createAction(title, kind, command, options) {
+    const action = new vscode.CodeAction(title, kind);
+    action.command = { command, title, arguments: [options] };
+    return action;
+  }
+}
+
+NetPadCodeActionProvider.providedCodeActionKinds = [EXPLAIN_KIND, REFACTOR_KIND, FIX_KIND];
+
+module.exports = { NetPadCodeActionProvider };
@@ -0,0 +1,108 @@
+// common/codeLens.js
+const vscode = require('vscode');
+const { findEmbeddedSql, supportsEmbeddedSql } = require('./embeddedSql');
+
+const SYMBOL_KINDS = [
+  vscode.SymbolKind.Function,
+  vscode.SymbolKind.Method,
+  vscode.SymbolKind.Class
+];
+
+const LENS_COMMANDS = [
+  { title: 'Explain', command: 'netpad.explainCode', tooltip: 'Explain this symbol with NetPad' },
+  { title: 'Analyze', command: 'netpad.analyzeCode', tooltip: 'Analyze this symbol with NetPad' },
+  { title: 'Lineage', command: 'netpad.extractDataLineage', tooltip: 'Extract data lineage for this symbol with NetPad' }
+];
+
+const EMBEDDED_SQL_COMMANDS = [
+  { title: '$(database) SQL Metadata', command: 'netpad.sqlMetadataLookup', tooltip: 'Look up metadata for this SQL with NetPad' },
+  { title: 'SQL Lineage', command: 'netpad.extractDataLineage', tooltip: 'Extract data lineage for this SQL with NetPad' }
+];
+
+/**
+ * Ranges of functions, methods and classes, including nested ones (methods in classes).
+ * Handles both DocumentSymbol and the older SymbolInformation results.
+ */
+function collectSymbolRanges(symbols, ranges = []) {
+  symbols.forEach(symbol => {
+    if (SYMBOL_KINDS.includes(symbol.kind)) {
+      ranges.push(symbol.range || symbol.location.range);
+    }
+    if (symbol.children) {
+      collectSymbolRanges(symbol.children, ranges);
+    }
+  });
+  return ranges;
+}
+
+/**
+ * NetPad actions above functions, methods and classes, found through the
+ * language's document symbol provider, and above SQL embedded in string
+ * literals. Enabled per language with `netpad.codeLensEnabled`
+ * (language-overridable).
+ */
+class NetPadCodeLensProvider {
+  constructor(options = {}) {
+    // Short text for a symbol that already has a cached analysis, or null
+    this.getSummary = options.getSummary || (() => null);
+    this.onDidChangeCodeLensesEmitter = new vscode.EventEmitter();
+    this.onDidChangeCodeLenses = this.onDidChangeCodeLensesEmitter.event;
+  }
+
+  /**
+   * Recompute lenses, e.g. after a result was cached
+   */
+  refresh() {
+    this.onDidChangeCodeLensesEmitter.fire();
+  }
+
+  async provideCodeLenses(document, token) {
+    if (!vscode.workspace.getConfiguration('netpad', document).get('codeLensEnabled', true)) {
+      return [];
+    }
+
+    const lenses = this.embeddedSqlLenses(document);
+    const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri);
+    if (!Array.isArray(symbols) || token.isCancellationRequested) return lenses;
+
+    collectSymbolRanges(symbols).forEach(range => {
+      const args = [{ range }];
+
+      LENS_COMMANDS.forEach(({ title, command, tooltip }) => {
+        lenses.push(new vscode.CodeLens(range, { title, command, tooltip, arguments: args }));
+      });
+
+      const summary = this.getSummary(document, range);
+      if (summary) {
+        lenses.push(new vscode.CodeLens(range, {
+          title: `$(pulse) ${summary}`,
+          command: 'netpad.analyzeCode',
+          tooltip: 'Show the cached NetPad analysis',
+          arguments: args
+        }));
+      }
+    });
+
+    return lenses;
+  }
+
+  /**
+   * Lenses above each SQL query found in the document's string literals
+   */
+  embeddedSqlLenses(document) {
+    if (!supportsEmbeddedSql(document.languageId)) return [];
+
+    return findEmbeddedSql(document.getText(), { languageId: document.languageId }).flatMap(query => {
+      const range = new vscode.Range(document.positionAt(query.start), document.positionAt(query.end));
+      return EMBEDDED_SQL_COMMANDS.map(({ title, command, tooltip }) =>
+        new vscode.CodeLens(range, { title, command, tooltip, arguments: [{ range, embedded: true }] })
+      );
+    });
+  }
+
+  dispose() {
+    this.onDidChangeCodeLensesEmitter.dispose();
+  }
+}
+
+module.exports = { NetPadCodeLensProvider, collectSymbolRanges };
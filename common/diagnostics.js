@@ -0,0 +1,92 @@
+// common/diagnostics.js
+const vscode = require('vscode');
+
+const SEVERITY_MAP = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  info: vscode.DiagnosticSeverity.Information,
+  hint: vscode.DiagnosticSeverity.Hint
+};
+
+/**
+ * Publishes NetPad findings as editor diagnostics (squiggles and Problems panel)
+ */
+class NetPadDiagnostics {
+  constructor(options = {}) {
+    this.collection = vscode.languages.createDiagnosticCollection('NetPad');
+    // Builds the link target that opens the full result for a history entry
+    this.resultUri = options.resultUri || (() => null);
+
+    // Findings no longer describe lines that have been edited
+    this.changeSubscription = vscode.workspace.onDidChangeTextDocument(event => {
+      this.dropEdited(event.document.uri, event.contentChanges);
+    });
+  }
+
+  /**
+   * Map findings (1-based, relative to the analyzed selection) onto the document.
+   * Diagnostics previously published for the same lines are replaced.
+   */
+  publish(document, context, findings, entryId) {
+    const lastLine = Math.max(0, document.lineCount - 1);
+    const target = entryId ? this.resultUri(entryId) : null;
+
+    const diagnostics = findings.map(finding => {
+      const startLine = Math.min(context.lineStart + finding.lineStart - 1, context.lineEnd, lastLine);
+      const endLine = Math.min(context.lineStart + finding.lineEnd - 1, context.lineEnd, lastLine);
+      const range = new vscode.Range(
+        startLine,
+        document.lineAt(startLine).firstNonWhitespaceCharacterIndex,
+        endLine,
+        document.lineAt(endLine).range.end.character
+      );
+
+      const diagnostic = new vscode.Diagnostic(range, finding.message, SEVERITY_MAP[finding.severity] ?? SEVERITY_MAP.info);
+      diagnostic.source = 'NetPad';
+      diagnostic.code = target ? { value: 'details', target } : 'details';
+      return diagnostic;
+    });
+
+    const kept = (this.collection.get(document.uri) || []).filter(diagnostic =>
+      diagnostic.range.end.line < context.lineStart || diagnostic.range.start.line > context.lineEnd
+    );
+
+    this.collection.set(document.uri, [...kept, ...diagnostics]);
+    return diagnostics.length;
+  }
+
+  /**
+   * Remove diagnostics whose lines were touched by an edit
+   */
+  dropEdited(uri, changes) {
+    const current = this.collection.get(uri);
+    if (!current || current.length === 0 || changes.length === 0) return;
+
+    const remaining = current.filter(diagnostic =>
+      !changes.some(change => change.range.start.line <= diagnostic.range.end.line &&
+        change.range.end.line >= diagnostic.range.start.line)
+    );
+
+    if (remaining.length !== current.length) {
+      this.collection.set(uri, remaining);
+    }
+  }
+
+  /**
+   * Clear diagnostics for one document, or for all documents
+   */
+  clear(uri) {
+    if (uri) {
+      this.collection.delete(uri);
+    } else {
+      this.collection.clear();
+    }
+  }
+
+  dispose() {
+    this.changeSubscription.dispose();
+    this.collection.dispose();
+  }
+}
+
+module.exports = { NetPadDiagnostics };
@@ -0,0 +1,140 @@
+// common/editorClient.js
+const vscode = require('vscode');
+const path = require('path');
+const { NetPadApiClient } = require('./apiClient');
+const { ResultCache } = require('./resultCache');
+const { NetPadConfigError } = require('./errors');
+
+const DEFAULT_API_URL = 'https://netpad.io/api/mcp';
+
+/**
+ * Settings-driven NetPad client shared by the editor extensions
+ */
+class NetPadEditorClient {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent;
+    this.log = options.log || (() => {});
+    this.apiClient = null;
+    // Results persist in the extension's global storage when it is available
+    this.cache = new ResultCache({
+      filePath: options.storagePath ? path.join(options.storagePath, 'result-cache.json') : null
+    });
+  }
+
+  /**
+   * Read client settings, falling back to environment variables
+   */
+  readSettings() {
+    const config = vscode.workspace.getConfiguration('netpad');
+
+    return {
+      apiUrl: config.get('apiUrl') || process.env.NETPAD_API_URL || DEFAULT_API_URL,
+      apiKey: config.get('apiKey') || process.env.NETPAD_API_KEY || '',
+      timeout: config.get('timeout') || parseInt(process.env.NETPAD_TIMEOUT) || 30000,
+      retries: config.get('retries') ?? (parseInt(process.env.NETPAD_RETRIES) || 3),
+      enableLogging: config.get('enableLogging', true),
+      cacheEnabled: config.get('cacheEnabled', true),
+      cacheTtl: config.get('cacheTtlMinutes', 1440) * 60 * 1000,
+      cacheMaxEntries: config.get('cacheMaxEntries', 200)
+    };
+  }
+
+  /**
+   * (Re)create the API client from the current settings
+   */
+  reload() {
+    const settings = this.readSettings();
+    this.apiClient = null;
+    this.cache.configure({ ttl: settings.cacheTtl, maxEntries: settings.cacheMaxEntries });
+
+    if (!settings.apiKey) {
+      this.log('NetPad API key not configured. Some features will be limited.');
+      return null;
+    }
+
+    this.apiClient = new NetPadApiClient({
+      ...settings,
+      cache: settings.cacheEnabled ? this.cache : null,
+      userAgent: this.userAgent,
+      logger: message => this.log(message)
+    });
+
+    return this.apiClient;
+  }
+
+  /**
+   * Whether an API key is configured and the client is ready
+   */
+  isConfigured() {
+    return Boolean(this.apiClient);
+  }
+
+  /**
+   * Get the API client, creating it on first use
+   */
+  requireClient() {
+    if (!this.apiClient) {
+      this.reload();
+    }
+
+    if (!this.apiClient) {
+      throw new NetPadConfigError('NetPad API key not configured. Please set "netpad.apiKey" in settings.');
+    }
+
+    return this.apiClient;
+  }
+
+  /**
+   * Execute a NetPad command (code_analysis, data_lineage_extraction, ...)
+   * Pass `{ forceRefresh: true }` to bypass the result cache and
+   * `{ signal }` to make the request cancellable.
+   */
+  async executeCommand(type, input, options = {}) {
+    return this.requireClient().executeCommand(type, input, options);
+  }
+
+  /**
+   * A cached result for this command, or null; never sends a request
+   */
+  getCachedResult(type, input) {
+    if (!this.apiClient?.cache || !ResultCache.isCacheable(type)) return null;
+    return this.cache.peek(this.cache.keyFor(type, input));
+  }
+
+  /**
+   * Remove every cached result; returns the number of entries removed
+   */
+  clearCache() {
+    return this.cache.clear();
+  }
+
+  /**
+   * Fetch the tools available to this API key
+   */
+  async getTools(options = {}) {
+    return this.requireClient().getTools(options);
+  }
+
+  /**
+   * Execute a single NetPad tool
+   */
+  async executeTool(toolName, parameters = {}, options = {}) {
+    return this.requireClient().executeTool(toolName, parameters, options);
+  }
+
+  /**
+   * Post a workflow graph to /workflow/run
+   */
+  async runWorkflowGraph(graph, options = {}) {
+    return this.requireClient().runWorkflowGraph(graph, options);
+  }
+
+  /**
+   * Poll an asynchronous workflow run until it ends
+   */
+  async waitForWorkflowJob(jobId, options = {}) {
+    return this.requireClient().waitForWorkflowJob(jobId, options);
+  }
+}
+
+module.exports = { NetPadEditorClient };
@@ -0,0 +1,345 @@
+// common/embeddedSql.js
+
+const JS_LANGUAGES = new Set(['javascript', 'javascriptreact', 'typescript', 'typescriptreact']);
+const PYTHON_LANGUAGES = new Set(['python']);
+
+// Template tags whose literal is SQL: sql`…`, Prisma.sql`…`, prisma.$queryRaw`…`, sql.unsafe`…`
+const SQL_TAGS = new Set(['sql', 'SQL', 'raw', 'unsafe', '$queryRaw', '$executeRaw', 'queryRaw', 'executeRaw']);
+// Statements worth treating as SQL; the leading keyword must be all upper or all lower case
+// so that UI text such as "Select a file" is not picked up
+const SQL_START = /^(?:(?:SELECT|select)\b[\s\S]*\b(?:FROM|from)\b|(?:SELECT|select)\s+\S|(?:WITH|with)\s+(?:RECURSIVE\s+|recursive\s+)?[\w"`]+[\s\S]*?\b(?:AS|as)\s*\(|(?:INSERT|insert)\s+(?:INTO|into|IGNORE|ignore)\s|(?:UPDATE|update)\s+\S+[\s\S]*?\b(?:SET|set)\s|(?:DELETE|delete)\s+(?:FROM|from)\s|(?:MERGE|merge)\s+(?:INTO|into)\s|(?:REPLACE|replace)\s+(?:INTO|into)\s|(?:CREATE|create)\s+(?:[\w]+\s+){0,3}(?:TABLE|table|VIEW|view|INDEX|index)\s|(?:ALTER|alter)\s+(?:TABLE|table)\s|(?:DROP|drop)\s+(?:TABLE|table|VIEW|view|INDEX|index)\s|(?:TRUNCATE|truncate)\s)/;
+// A SELECT without FROM only counts when it is short and code-like (SELECT 1, SELECT now())
+const BARE_SELECT = /^(?:SELECT|select)\s+[^\s]+(?:\s*,\s*[^\s,]+)*\s*;?\s*$/;
+const PYTHON_PREFIX = /^(?:[rubf]|br|rb|fr|rf)$/i;
+// Between two literals of one query: nothing (Python), `+`, or `+ expression +`
+const CONCAT_GAP = {
+  js: /^(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*\+(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*$/,
+  python: /^(?:\s|\\\n|#[^\n]*)*\+?(?:\s|\\\n|#[^\n]*)*$/
+};
+const CONCAT_EXPRESSION = /^\s*\+\s*([\w$.]+(?:\([^()'"`]*\))?(?:\[[^\]'"`]*\])?)\s*\+\s*$/;
+const CALLEE = /([\w$]+(?:\s*\.\s*[\w$]+)*)\s*\(\s*$/;
+const TAG = /([\w$]+(?:\.[\w$]+)*)\s*$/;
+
+function supportsEmbeddedSql(languageId) {
+  return JS_LANGUAGES.has(languageId) || PYTHON_LANGUAGES.has(languageId);
+}
+
+function looksLikeSql(text) {
+  const body = text.replace(/^(?:\s|\(|--[^\n]*\n|\/\*[\s\S]*?\*\/)+/, '');
+  if (!SQL_START.test(body)) return false;
+  // A lone SELECT must look like code, not a sentence
+  return /^(?:SELECT|select)\b/.test(body) && !/\b(?:FROM|from)\b/.test(body) ? BARE_SELECT.test(body.trim()) : true;
+}
+
+const JS_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Scans source text for string literals, decoding escapes and replacing
+ * interpolations with `?` parameters. Every literal keeps the source offset
+ * of each decoded character so results map back onto the source.
+ */
+class LiteralScanner {
+  constructor(text, language) {
+    this.text = text;
+    this.language = language;
+    this.literals = [];
+  }
+
+  scan() {
+    const { text } = this;
+    let i = 0;
+    // Last significant character, to tell a regex literal from division
+    let previous = '';
+    while (i < text.length) {
+      const c = text[i];
+      const next = text[i + 1];
+      if (/\s/.test(c)) {
+        i++;
+        continue;
+      }
+      if (this.language === 'js' && c === '/' && (next === '/' || next === '*')) {
+        const end = next === '/' ? this.lineEnd(i) : text.indexOf('*/', i + 2);
+        i = end === -1 ? text.length : next === '/' ? end : end + 2;
+        continue;
+      }
+      if (this.language === 'python' && c === '#') {
+        i = this.lineEnd(i);
+        continue;
+      }
+
+      if (/[A-Za-z_$]/.test(c)) {
+        const word = /[\w$]+/y;
+        word.lastIndex = i;
+        const end = i + word.exec(text)[0].length;
+        const quote = text[end];
+        const prefixed = this.language === 'python' && (quote === '"' || quote === '\'') && PYTHON_PREFIX.test(text.slice(i, end));
+        i = prefixed ? this.readPython(i, end) : end;
+        previous = 'a';
+      } else if (c === '"' || c === '\'') {
+        i = this.language === 'python' ? this.readPython(i, i) : this.readQuoted(i);
+        previous = 'a';
+      } else if (c === '`' && this.language === 'js') {
+        i = this.readTemplate(i);
+        previous = 'a';
+      } else if (c === '/' && this.language === 'js' && (previous === '' || /[(,=:[!&|?{};+\-*%<>~^]/.test(previous))) {
+        i = this.skipRegex(i);
+        previous = 'a';
+      } else {
+        i++;
+        previous = c;
+      }
+    }
+    return this.literals;
+  }
+
+  lineEnd(i) {
+    const end = this.text.indexOf('\n', i);
+    return end === -1 ? this.text.length : end;
+  }
+
+  skipRegex(i) {
+    let inClass = false;
+    for (let k = i + 1; k < this.text.length; k++) {
+      const c = this.text[k];
+      if (c === '\\') k++;
+      else if (c === '\n') return k;
+      else if (c === '[') inClass = true;
+      else if (c === ']') inClass = false;
+      else if (c === '/' && !inClass) return k + 1;
+    }
+    return this.text.length;
+  }
+
+  /**
+   * Decoded escape at `k` (just after the backslash): [text, next index]
+   */
+  escape(k) {
+    const c = this.text[k];
+    if (c === '\r' && this.text[k + 1] === '\n') return ['', k + 2];
+    if (c === '\n') return ['', k + 1];
+    if (c === 'x' && /^[0-9a-f]{2}$/i.test(this.text.slice(k + 1, k + 3))) {
+      return [String.fromCharCode(parseInt(this.text.slice(k + 1, k + 3), 16)), k + 3];
+    }
+    if (c === 'u' && /^[0-9a-f]{4}$/i.test(this.text.slice(k + 1, k + 5))) {
+      return [String.fromCharCode(parseInt(this.text.slice(k + 1, k + 5), 16)), k + 5];
+    }
+    return [JS_ESCAPES[c] ?? c, k + 1];
+  }
+
+  literal(start) {
+    return { start, end: start, value: '', offsets: [], placeholders: [] };
+  }
+
+  append(literal, value, offset) {
+    literal.value += value;
+    for (let k = 0; k < value.length; k++) literal.offsets.push(offset);
+  }
+
+  finish(literal, end) {
+    literal.end = end;
+    literal.offsets.push(end);
+    this.literals.push(literal);
+    return end;
+  }
+
+  readQuoted(start) {
+    const quote = this.text[start];
+    const literal = this.literal(start);
+    let k = start + 1;
+    while (k < this.text.length && this.text[k] !== quote && this.text[k] !== '\n') {
+      if (this.text[k] === '\\') {
+        const [value, next] = this.escape(k + 1);
+        this.append(literal, value, k);
+        k = next;
+      } else {
+        this.append(literal, this.text[k], k);
+        k++;
+      }
+    }
+    return this.finish(literal, Math.min(k + 1, this.text.length));
+  }
+
+  readTemplate(start) {
+    const literal = this.literal(start);
+    literal.tag = (TAG.exec(this.text.slice(Math.max(0, start - 80), start)) || [])[1] || null;
+    let k = start + 1;
+    while (k < this.text.length && this.text[k] !== '`') {
+      if (this.text[k] === '\\') {
+        const [value, next] = this.escape(k + 1);
+        this.append(literal, value, k);
+        k = next;
+      } else if (this.text[k] === '$' && this.text[k + 1] === '{') {
+        const end = this.skipExpression(k + 2, '}');
+        literal.placeholders.push(this.text.slice(k + 2, end).trim());
+        this.append(literal, '?', k);
+        k = end + 1;
+      } else {
+        this.append(literal, this.text[k], k);
+        k++;
+      }
+    }
+    return this.finish(literal, Math.min(k + 1, this.text.length));
+  }
+
+  /**
+   * Index of the `close` ending an interpolated expression, stepping over
+   * nested brackets and strings
+   */
+  skipExpression(k, close) {
+    let depth = 0;
+    while (k < this.text.length) {
+      const c = this.text[k];
+      if (depth === 0 && c === close) return k;
+      if (c === '{' || c === '(' || c === '[') depth++;
+      else if (c === '}' || c === ')' || c === ']') depth--;
+      else if (c === '"' || c === '\'' || c === '`') {
+        let end = k + 1;
+        while (end < this.text.length && this.text[end] !== c) end += this.text[end] === '\\' ? 2 : 1;
+        k = end;
+      }
+      k++;
+    }
+    return this.text.length;
+  }
+
+  /**
+   * A Python string starting at `start` with its prefix, quote at `quoteAt`
+   */
+  readPython(start, quoteAt) {
+    const prefix = this.text.slice(start, quoteAt).toLowerCase();
+    const raw = prefix.includes('r');
+    const formatted = prefix.includes('f');
+    const quote = this.text[quoteAt];
+    const triple = this.text.startsWith(quote.repeat(3), quoteAt);
+    const delimiter = triple ? quote.repeat(3) : quote;
+    const literal = this.literal(start);
+
+    let k = quoteAt + delimiter.length;
+    while (k < this.text.length && !this.text.startsWith(delimiter, k) && (triple || this.text[k] !== '\n')) {
+      const c = this.text[k];
+      if (c === '\\') {
+        if (raw) {
+          this.append(literal, this.text.slice(k, k + 2), k);
+          k += 2;
+        } else {
+          const [value, next] = this.escape(k + 1);
+          this.append(literal, value, k);
+          k = next;
+        }
+      } else if (formatted && (c === '{' || c === '}') && this.text[k + 1] === c) {
+        this.append(literal, c, k);
+        k += 2;
+      } else if (formatted && c === '{') {
+        const end = this.skipExpression(k + 1, '}');
+        literal.placeholders.push(this.text.slice(k + 1, end).trim());
+        this.append(literal, '?', k);
+        k = end + 1;
+      } else if (!formatted && c === '%' && /^%(?:\([A-Za-z_]\w*\))?[sd]/.test(this.text.slice(k, k + 40))) {
+        // DB-API parameters: %s, %(name)s
+        const [placeholder, name] = /^%(?:\(([A-Za-z_]\w*)\))?[sd]/.exec(this.text.slice(k, k + 40));
+        literal.placeholders.push(placeholder);
+        this.append(literal, name ? `:${name}` : '?', k);
+        k += placeholder.length;
+      } else if (!formatted && c === '%' && this.text[k + 1] === '%') {
+        this.append(literal, '%', k);
+        k += 2;
+      } else {
+        this.append(literal, c, k);
+        k++;
+      }
+    }
+    return this.finish(literal, Math.min(k + delimiter.length, this.text.length));
+  }
+}
+
+/**
+ * SQL embedded in JavaScript, TypeScript or Python source: string literals,
+ * template literals and f-strings whose text is a SQL statement, with
+ * literals joined by `+` (or adjacent, in Python) read as one query.
+ * Interpolations become `?` parameters.
+ *
+ * Returns [{ sql, kind, label, start, end, line, endLine, lines, placeholders }]
+ * where `start`/`end` are source offsets of the literal(s), `line`/`endLine`
+ * their 0-based lines, and `lines[k]` the 0-based { line, character } of the
+ * source the SQL's line k + 1 starts at. `kind` is 'tagged' (sql`…`),
+ * 'call' (a string passed to query(), raw(), execute(), …) or 'string'.
+ */
+function findEmbeddedSql(text, options = {}) {
+  if (!supportsEmbeddedSql(options.languageId)) return [];
+  const language = JS_LANGUAGES.has(options.languageId) ? 'js' : 'python';
+  const literals = new LiteralScanner(text, language).scan();
+
+  // Literals joined by concatenation form one query
+  const groups = [];
+  literals.forEach(literal => {
+    const group = groups[groups.length - 1];
+    const last = group && group.parts[group.parts.length - 1];
+    const gap = last ? text.slice(last.end, literal.start) : null;
+    const joinable = last && !last.tag && !literal.tag;
+    if (joinable && CONCAT_GAP[language].test(gap)) {
+      group.parts.push(literal);
+    } else if (joinable && CONCAT_EXPRESSION.test(gap)) {
+      group.parts.push({ start: last.end, end: literal.start, value: '?', offsets: [last.end, literal.start], placeholders: [CONCAT_EXPRESSION.exec(gap)[1]] });
+      group.parts.push(literal);
+    } else {
+      groups.push({ parts: [literal] });
+    }
+  });
+
+  const lineStarts = [0];
+  for (let k = 0; k < text.length; k++) {
+    if (text[k] === '\n') lineStarts.push(k + 1);
+  }
+  const position = offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low, character: offset - lineStarts[low] };
+  };
+
+  return groups.map(({ parts }) => {
+    const sql = parts.map(part => part.value).join('');
+    const offsets = parts.flatMap((part, index) => index < parts.length - 1 ? part.offsets.slice(0, -1) : part.offsets);
+    return { parts, sql, offsets };
+  }).filter(({ parts, sql }) => {
+    const tagged = parts[0].tag && SQL_TAGS.has(parts[0].tag.split('.').pop());
+    return (tagged && sql.trim()) || looksLikeSql(sql);
+  }).map(({ parts, sql, offsets }) => {
+    const first = parts[0];
+    const start = first.start;
+    const end = parts[parts.length - 1].end;
+    const before = text.slice(Math.max(0, start - 120), start);
+    const callee = first.tag ? null : (CALLEE.exec(before) || [])[1]?.replace(/\s+/g, '') || null;
+
+    const lines = [position(offsets[0])];
+    for (let k = 0; k < sql.length; k++) {
+      if (sql[k] === '\n') lines.push(position(offsets[k + 1]));
+    }
+
+    return {
+      sql,
+      kind: first.tag ? 'tagged' : callee ? 'call' : 'string',
+      label: first.tag ? `${first.tag}\`…\`` : callee ? `${callee}()` : null,
+      start,
+      end,
+      line: position(start).line,
+      endLine: position(end).line,
+      lines,
+      placeholders: parts.flatMap(part => part.placeholders)
+    };
+  });
+}
+
+/**
+ * First line of a query with whitespace collapsed, for pickers and lenses
+ */
+function previewSql(sql, length = 60) {
+  const text = sql.replace(/\s+/g, ' ').trim();
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = { findEmbeddedSql, supportsEmbeddedSql, previewSql };
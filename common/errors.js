@@ -0,0 +1,122 @@
+// common/errors.js
+
+/**
+ * Base class for every error raised by the NetPad client layer
+ */
+class NetPadError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'NetPadError';
+    if (options.cause) {
+      this.originalError = options.cause;
+    }
+  }
+}
+
+/**
+ * Raised when the client cannot be created from the current settings
+ */
+class NetPadConfigError extends NetPadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetPadConfigError';
+  }
+}
+
+/**
+ * Raised when the NetPad API answered with an error status
+ */
+class NetPadApiError extends NetPadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetPadApiError';
+    this.status = options.status;
+    this.data = options.data;
+  }
+}
+
+/**
+ * Raised when no response was received from the NetPad API
+ */
+class NetPadNetworkError extends NetPadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetPadNetworkError';
+  }
+}
+
+/**
+ * Raised in replay mode when the cassette has no recording for a request
+ */
+class NetPadCassetteError extends NetPadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetPadCassetteError';
+    this.request = options.request;
+  }
+}
+
+/**
+ * Raised when a request or a pending retry was cancelled through its AbortSignal
+ */
+class NetPadCancelledError extends NetPadError {
+  constructor(message = 'NetPad request cancelled', options = {}) {
+    super(message, options);
+    this.name = 'NetPadCancelledError';
+  }
+}
+
+/**
+ * Raised when SQL fails to parse locally, before anything is sent to NetPad.
+ * `line` and `column` are 1-based and relative to the parsed text.
+ */
+class NetPadSqlParseError extends NetPadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetPadSqlParseError';
+    this.line = options.line;
+    this.column = options.column;
+    this.offset = options.offset;
+  }
+}
+
+/**
+ * Raised when a workflow definition cannot be read or does not describe a
+ * graph. `file` is the definition file; `line` and `column` are 1-based
+ * when the problem has a position.
+ */
+class NetPadWorkflowError extends NetPadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetPadWorkflowError';
+    this.file = options.file;
+    this.line = options.line;
+    this.column = options.column;
+  }
+}
+
+/**
+ * Raised when an asynchronous workflow job ends without a result, or is
+ * given up on. `status` is 'failed', 'skipped' (cancelled on the NetPad
+ * side), or the status the job was still in when waiting stopped.
+ */
+class NetPadJobError extends NetPadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetPadJobError';
+    this.jobId = options.jobId;
+    this.status = options.status;
+  }
+}
+
+module.exports = {
+  NetPadError,
+  NetPadConfigError,
+  NetPadApiError,
+  NetPadNetworkError,
+  NetPadCassetteError,
+  NetPadCancelledError,
+  NetPadSqlParseError,
+  NetPadWorkflowError,
+  NetPadJobError
+};
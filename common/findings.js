@@ -0,0 +1,120 @@
+// common/findings.js
+
+const SEVERITIES = ['error', 'warning', 'info', 'hint'];
+
+// Keywords used to guess a severity for findings parsed from prose
+const SEVERITY_KEYWORDS = [
+  { severity: 'error', pattern: /\b(error|critical|bug|vulnerab\w*|injection|security)\b/i },
+  { severity: 'warning', pattern: /\b(warning|performance|leak|deprecated|unsafe|missing)\b/i },
+  { severity: 'hint', pattern: /\b(consider|style|naming|nit)\b/i }
+];
+
+// "Line 12", "Lines 3-5", "L7", "line 4 to 9"
+const LINE_PATTERN = /\b(?:lines?|L)\s*(\d+)(?:\s*(?:-|–|to)\s*(\d+))?/i;
+
+/**
+ * Normalize a severity label to error, warning, info or hint
+ */
+function normalizeSeverity(value) {
+  const severity = String(value || '').toLowerCase();
+  if (SEVERITIES.includes(severity)) return severity;
+  if (['critical', 'high', 'fatal'].includes(severity)) return 'error';
+  if (['medium', 'moderate'].includes(severity)) return 'warning';
+  if (['low', 'information', 'informational', 'note'].includes(severity)) return 'info';
+  return 'info';
+}
+
+function guessSeverity(text) {
+  const match = SEVERITY_KEYWORDS.find(({ pattern }) => pattern.test(text));
+  return match ? match.severity : 'info';
+}
+
+/**
+ * Findings from a structured `findings`/`issues` array in the response
+ */
+function fromStructured(items) {
+  return items
+    .map(item => {
+      const lineStart = Number(item.lineStart ?? item.line ?? item.startLine);
+      const lineEnd = Number(item.lineEnd ?? item.endLine ?? lineStart);
+      if (!Number.isFinite(lineStart) || lineStart < 1) return null;
+
+      return {
+        severity: normalizeSeverity(item.severity || item.level),
+        message: item.message || item.title || item.description || 'NetPad finding',
+        lineStart,
+        lineEnd: Number.isFinite(lineEnd) && lineEnd >= lineStart ? lineEnd : lineStart,
+        explanation: item.explanation || item.details || null
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Findings from bullet or numbered lines in a markdown report that mention a line number
+ */
+function fromText(output) {
+  const findings = [];
+
+  output.split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!/^([-*•]|\d+[.)])\s+/.test(line)) return;
+
+    const match = line.match(LINE_PATTERN);
+    if (!match) return;
+
+    const lineStart = parseInt(match[1]);
+    const lineEnd = match[2] ? Math.max(lineStart, parseInt(match[2])) : lineStart;
+    const message = line
+      .replace(/^([-*•]|\d+[.)])\s+/, '')
+      .replace(/\*\*/g, '')
+      .replace(/^\(?(?:lines?|L)\s*\d+(?:\s*(?:-|–|to)\s*\d+)?\)?\s*[:\-–]?\s*/i, '')
+      .trim();
+
+    findings.push({
+      severity: guessSeverity(line),
+      message: message || line,
+      lineStart,
+      lineEnd,
+      explanation: null
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Extract line-anchored findings from a code_analysis result.
+ * Line numbers are 1-based and relative to the analyzed code.
+ */
+function parseFindings(result) {
+  if (!result) return [];
+
+  const structured = result.findings || result.issues;
+  if (Array.isArray(structured)) {
+    return fromStructured(structured);
+  }
+
+  return typeof result.output === 'string' ? fromText(result.output) : [];
+}
+
+/**
+ * One-line summary of a code_analysis result: complexity rating and finding count
+ */
+function summarizeAnalysis(result) {
+  if (!result) return null;
+
+  const parts = [];
+  const complexity = result.complexity ??
+    (typeof result.output === 'string' ? result.output.match(/complexity\**\s*[:\-–]\s*\**\s*([\w .\/-]{1,24})/i)?.[1] : null);
+  if (complexity !== null && complexity !== undefined && String(complexity).trim()) {
+    parts.push(`Complexity: ${String(complexity).trim()}`);
+  }
+
+  const count = parseFindings(result).length;
+  parts.push(`${count} finding${count === 1 ? '' : 's'}`);
+
+  return parts.join(' · ');
+}
+
+module.exports = { parseFindings, normalizeSeverity, summarizeAnalysis };
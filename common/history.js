@@ -0,0 +1,146 @@
+// common/history.js
+const vscode = require('vscode');
+const path = require('path');
+
+const STATE_KEY = 'netpad.history';
+
+/**
+ * 1-based "start-end" lines of an entry, or null for results that were not
+ * run on a selection (tool runs, workflows run from a definition)
+ */
+function entryLines(entry) {
+  return Number.isInteger(entry.lineStart) ? `${entry.lineStart + 1}-${(Number.isInteger(entry.lineEnd) ? entry.lineEnd : entry.lineStart) + 1}` : null;
+}
+
+/**
+ * Past NetPad results, persisted in workspace state.
+ * Pinned entries are never evicted by the size limit.
+ */
+class ResultHistory {
+  constructor(workspaceState, options = {}) {
+    this.workspaceState = workspaceState;
+    this.maxEntries = options.maxEntries || 50;
+    this.entries = workspaceState.get(STATE_KEY, []);
+    this.onDidChangeEmitter = new vscode.EventEmitter();
+    this.onDidChange = this.onDidChangeEmitter.event;
+  }
+
+  /**
+   * Record a result; returns the new entry
+   */
+  add({ title, commandId, context, request, output }) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      title,
+      commandId,
+      fileName: context.fileName,
+      lineStart: context.lineStart,
+      lineEnd: context.lineEnd,
+      language: context.language,
+      timestamp: new Date().toISOString(),
+      pinned: false,
+      request,
+      output
+    };
+
+    this.entries.unshift(entry);
+    this.trim();
+    this.save();
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id);
+  }
+
+  /**
+   * Pinned entries first, then newest first
+   */
+  list() {
+    return [...this.entries].sort((a, b) => (b.pinned - a.pinned) || b.timestamp.localeCompare(a.timestamp));
+  }
+
+  setPinned(id, pinned) {
+    const entry = this.get(id);
+    if (!entry) return;
+    entry.pinned = pinned;
+    this.save();
+  }
+
+  delete(id) {
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    this.save();
+  }
+
+  clear() {
+    this.entries = this.entries.filter(entry => entry.pinned);
+    this.save();
+  }
+
+  /**
+   * Drop the oldest unpinned entries beyond maxEntries
+   */
+  trim() {
+    let unpinned = this.entries.filter(entry => !entry.pinned).length;
+    for (let i = this.entries.length - 1; i >= 0 && unpinned > this.maxEntries; i--) {
+      if (!this.entries[i].pinned) {
+        this.entries.splice(i, 1);
+        unpinned--;
+      }
+    }
+  }
+
+  save() {
+    this.workspaceState.update(STATE_KEY, this.entries);
+    this.onDidChangeEmitter.fire();
+  }
+
+  dispose() {
+    this.onDidChangeEmitter.dispose();
+  }
+}
+
+/**
+ * Tree of past results for the NetPad activity bar view
+ */
+class HistoryTreeProvider {
+  constructor(history) {
+    this.history = history;
+    this.onDidChangeTreeDataEmitter = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this.onDidChangeTreeDataEmitter.event;
+    this.subscription = history.onDidChange(() => this.onDidChangeTreeDataEmitter.fire());
+  }
+
+  getChildren(element) {
+    return element ? [] : this.history.list();
+  }
+
+  getTreeItem(entry) {
+    const item = new vscode.TreeItem(entry.title, vscode.TreeItemCollapsibleState.None);
+    const lines = entryLines(entry);
+    const location = entry.fileName
+      ? `${path.basename(entry.fileName)}${lines ? `:${lines}` : ''}`
+      : '';
+
+    item.id = entry.id;
+    item.description = location;
+    item.tooltip = new vscode.MarkdownString(
+      `**${entry.title}**\n\n${entry.fileName || 'No file'}\n\n${lines ? `Lines ${lines}\n\n` : ''}${new Date(entry.timestamp).toLocaleString()}`
+    );
+    item.iconPath = new vscode.ThemeIcon(entry.pinned ? 'pinned' : 'history');
+    item.contextValue = entry.pinned ? 'netpadHistoryEntryPinned' : 'netpadHistoryEntry';
+    item.command = {
+      command: 'netpad.history.show',
+      title: 'Show Result',
+      arguments: [entry]
+    };
+    return item;
+  }
+
+  dispose() {
+    this.subscription.dispose();
+    this.onDidChangeTreeDataEmitter.dispose();
+  }
+}
+
+module.exports = { ResultHistory, HistoryTreeProvider, entryLines };
@@ -0,0 +1,125 @@
+// common/hover.js
+const vscode = require('vscode');
+const crypto = require('crypto');
+const { collectSymbolRanges } = require('./codeLens');
+
+// How long after the explain-hover key press a hover counts as requested
+const ARM_DURATION = 3000;
+const MAX_CACHED = 100;
+const MAX_SUMMARY_LENGTH = 400;
+
+/**
+ * First paragraph of an explanation, without markdown headings
+ */
+function summarizeExplanation(output) {
+  const paragraph = String(output)
+    .split(/\n\s*\n/)
+    .map(block => block.replace(/^#+\s.*$/gm, '').trim())
+    .find(Boolean) || '';
+
+  return paragraph.length > MAX_SUMMARY_LENGTH
+    ? `${paragraph.slice(0, MAX_SUMMARY_LENGTH - 1).trimEnd()}…`
+    : paragraph;
+}
+
+/**
+ * Opt-in hover with a short NetPad explanation of the enclosing function or class.
+ *
+ * Editors do not tell hover providers which modifier keys are held, so the
+ * "modifier" is the NetPad: Explain Symbol Under Cursor keybinding, which arms
+ * the provider and opens the hover. In `always` mode plain hovers are explained
+ * after `netpad.hoverDelay` ms of resting on an identifier.
+ */
+class NetPadHoverProvider {
+  constructor(options = {}) {
+    // (code, document) => code_analysis explanation result, or null
+    this.explain = options.explain;
+    this.log = options.log || (() => {});
+    this.armedUntil = 0;
+    // Summaries by code hash, and requests still in flight
+    this.summaries = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Let the next hover (within ARM_DURATION) show an explanation
+   */
+  arm() {
+    this.armedUntil = Date.now() + ARM_DURATION;
+  }
+
+  async provideHover(document, position, token) {
+    const config = vscode.workspace.getConfiguration('netpad', document);
+    const mode = config.get('hoverExplanations', 'off');
+    const armed = Date.now() < this.armedUntil;
+
+    if (mode === 'off' || (mode === 'onKeyPress' && !armed)) return null;
+    if (!document.getWordRangeAtPosition(position)) return null;
+
+    // Debounce: only explain once the pointer has rested on the identifier
+    if (!armed) {
+      await new Promise(resolve => setTimeout(resolve, config.get('hoverDelay', 400)));
+      if (token.isCancellationRequested) return null;
+    }
+    this.armedUntil = 0;
+
+    const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri);
+    if (!Array.isArray(symbols) || token.isCancellationRequested) return null;
+
+    // Innermost function, method or class around the pointer
+    const range = collectSymbolRanges(symbols)
+      .filter(candidate => candidate.contains(position))
+      .sort((a, b) => (a.end.line - a.start.line) - (b.end.line - b.start.line))[0];
+    if (!range) return null;
+
+    const code = document.getText(range);
+    const key = crypto.createHash('sha256').update(`${document.languageId}\n${code}`).digest('hex');
+
+    let summary = this.summaries.get(key);
+    if (summary === undefined) {
+      summary = await this.fetchSummary(key, code, document);
+      if (summary === null || token.isCancellationRequested) return null;
+    }
+
+    const markdown = new vscode.MarkdownString();
+    markdown.appendMarkdown('**NetPad**\n\n');
+    markdown.appendMarkdown(summary);
+    return new vscode.Hover(markdown, range);
+  }
+
+  /**
+   * Explain a symbol once; concurrent hovers over the same code share the request
+   */
+  fetchSummary(key, code, document) {
+    if (!this.pending.has(key)) {
+      const request = this.explain(code, document)
+        .then(result => {
+          if (!result?.output) return null;
+          const summary = summarizeExplanation(result.output);
+          this.remember(key, summary);
+          return summary;
+        })
+        .catch(error => {
+          this.log(`Hover explanation failed: ${error.message}`);
+          return null;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+    return this.pending.get(key);
+  }
+
+  remember(key, summary) {
+    this.summaries.delete(key);
+    this.summaries.set(key, summary);
+    if (this.summaries.size > MAX_CACHED) {
+      this.summaries.delete(this.summaries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.summaries.clear();
+  }
+}
+
+module.exports = { NetPadHoverProvider, summarizeExplanation };
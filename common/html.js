@@ -0,0 +1,21 @@
+// common/html.js
+
+/**
+ * Escape text for safe inclusion in webview HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Random value for a webview's script-src nonce
+ */
+function createNonce() {
+  return Array.from({ length: 32 }, () => Math.floor(Math.random() * 36).toString(36)).join('');
+}
+
+module.exports = { escapeHtml, createNonce };
@@ -0,0 +1,147 @@
+// common/impactAnalysis.js
+const { normalizeDatasetName } = require('./projectLineage');
+
+const DATASET_KINDS = ['source', 'sink', 'intermediate'];
+
+/**
+ * Read a target typed as `dataset` or `dataset.column` against a project graph:
+ * the longest prefix naming a known dataset wins, the rest is the column
+ */
+function resolveTarget(graph, text, options = {}) {
+  const datasets = graph.nodes.filter(node => DATASET_KINDS.includes(node.kind));
+  const find = name => {
+    const { key } = normalizeDatasetName(name, options);
+    return datasets.find(node => node.id === `dataset:${key}`) || null;
+  };
+
+  const whole = find(text);
+  if (whole) return { dataset: whole, field: null };
+
+  const dot = String(text).lastIndexOf('.');
+  if (dot > 0) {
+    const dataset = find(text.slice(0, dot));
+    if (dataset) return { dataset, field: text.slice(dot + 1) };
+  }
+  return null;
+}
+
+/**
+ * Nodes reachable from `start` following edges forward or backward,
+ * with their distance
+ */
+function reach(graph, start, direction) {
+  const depths = new Map([[start, 0]]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    graph.edges.forEach(edge => {
+      const [from, to] = direction === 'down' ? [edge.from, edge.to] : [edge.to, edge.from];
+      if (from === id && !depths.has(to)) {
+        depths.set(to, depths.get(id) + 1);
+        queue.push(to);
+      }
+    });
+  }
+  depths.delete(start);
+  return depths;
+}
+
+/**
+ * Columns derived from (down) or feeding (up) a column, transitively
+ */
+function reachColumns(graph, dataset, field, direction) {
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const columns = graph.columns || [];
+  const found = [];
+  const seen = new Set([`${dataset}.${field}`.toLowerCase()]);
+  const queue = [{ dataset, field, depth: 0 }];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const next = direction === 'down'
+      ? columns
+        .filter(column => column.inputs.some(input => same(input.dataset, current.dataset) && same(input.field, current.field)))
+        .map(column => ({ dataset: column.dataset, field: column.field, transformation: column.transformation, file: column.file }))
+      : columns
+        .filter(column => same(column.dataset, current.dataset) && same(column.field, current.field))
+        .flatMap(column => column.inputs.map(input => ({ ...input, transformation: column.transformation, file: column.file })));
+
+    next.forEach(column => {
+      const key = `${column.dataset}.${column.field}`.toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      found.push({ ...column, depth: current.depth + 1 });
+      queue.push({ ...column, depth: current.depth + 1 });
+    });
+  }
+  return found;
+}
+
+/**
+ * Code locations for a node: a transformation is where it is. The target
+ * dataset (depth 0) is every file that writes it (upstream) or reads it
+ * (downstream); a reached dataset is every file that reads or writes it,
+ * so an end source or sink is listed too.
+ */
+function locations(node, depth, role) {
+  const here = { label: node.label, kind: node.kind, detail: node.detail, file: node.file, line: node.line, depth };
+  if (!node.references) return [here];
+  const references = node.references.filter(reference => depth > 0 || reference.role === role);
+  if (references.length === 0) return depth > 0 ? [here] : [];
+  return references.map(reference => ({
+    label: node.label,
+    kind: node.kind,
+    detail: `${reference.role === 'write' ? 'writes' : 'reads'} ${node.label}`,
+    file: reference.file,
+    line: reference.line,
+    depth
+  }));
+}
+
+/**
+ * Everything upstream (producers) and downstream (consumers) of a dataset
+ * or column in a project lineage graph, with the downstream blast radius
+ */
+function analyzeImpact(graph, target) {
+  const byId = new Map(graph.nodes.map(node => [node.id, node]));
+  const collect = (direction, role) => {
+    const reached = [...reach(graph, target.dataset.id, direction)]
+      .map(([id, depth]) => ({ node: byId.get(id), depth }))
+      .sort((a, b) => a.depth - b.depth);
+    return {
+      nodes: reached,
+      // The target's own readers/writers first, then everything further away
+      locations: [
+        ...locations(target.dataset, 0, role),
+        ...reached.flatMap(({ node, depth }) => locations(node, depth, role))
+      ]
+    };
+  };
+
+  const upstream = collect('up', 'write');
+  const downstream = collect('down', 'read');
+  const columns = target.field
+    ? {
+      upstream: reachColumns(graph, target.dataset.label, target.field, 'up'),
+      downstream: reachColumns(graph, target.dataset.label, target.field, 'down')
+    }
+    : { upstream: [], downstream: [] };
+
+  const downstreamDatasets = downstream.nodes.filter(({ node }) => DATASET_KINDS.includes(node.kind));
+  const downstreamFiles = new Set(downstream.locations.filter(location => location.file).map(location => location.file));
+
+  return {
+    target: { dataset: target.dataset.label, field: target.field || null },
+    producers: upstream.locations,
+    consumers: downstream.locations,
+    columns,
+    blastRadius: {
+      datasets: downstreamDatasets.length,
+      transformations: downstream.nodes.length - downstreamDatasets.length,
+      files: downstreamFiles.size,
+      columns: columns.downstream.length
+    }
+  };
+}
+
+module.exports = { analyzeImpact, resolveTarget };
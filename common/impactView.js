@@ -0,0 +1,131 @@
+// common/impactView.js
+const vscode = require('vscode');
+
+const KIND_ICONS = {
+  transformation: 'symbol-function',
+  source: 'database',
+  sink: 'database',
+  intermediate: 'database',
+  column: 'symbol-field'
+};
+
+/**
+ * References-style tree of an impact analysis: upstream producers and
+ * downstream consumers grouped by file, then the affected columns
+ */
+class ImpactTreeProvider {
+  constructor(options = {}) {
+    // (path) => Uri of a file named by the lineage index
+    this.resolveFile = options.resolveFile || (() => null);
+    this.result = null;
+    this.onDidChangeTreeDataEmitter = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this.onDidChangeTreeDataEmitter.event;
+  }
+
+  show(result) {
+    this.result = result;
+    this.onDidChangeTreeDataEmitter.fire();
+  }
+
+  clear() {
+    this.show(null);
+  }
+
+  getChildren(element) {
+    if (!this.result) return [];
+    if (element) return element.children || [];
+
+    const { producers, consumers, columns } = this.result;
+    return [
+      this.group('Upstream producers', 'arrow-up', this.byFile(producers)),
+      this.group('Downstream consumers', 'arrow-down', this.byFile(consumers)),
+      ...(this.result.target.field ? [
+        this.group('Upstream columns', 'arrow-up', columns.upstream.map(column => this.column(column))),
+        this.group('Downstream columns', 'arrow-down', columns.downstream.map(column => this.column(column)))
+      ] : [])
+    ];
+  }
+
+  group(label, icon, children) {
+    const count = children.reduce((sum, child) => sum + (child.children ? child.children.length : 1), 0);
+    return { type: 'group', label, icon, children, count };
+  }
+
+  /**
+   * Locations grouped under their file, nearest first
+   */
+  byFile(locations) {
+    const files = new Map();
+    locations.forEach(location => {
+      const file = location.file || '(unknown file)';
+      if (!files.has(file)) files.set(file, []);
+      files.get(file).push({ type: 'location', ...location });
+    });
+    return [...files].map(([file, children]) => ({ type: 'file', file, children }));
+  }
+
+  column(column) {
+    return { type: 'column', ...column };
+  }
+
+  getTreeItem(element) {
+    const { None, Expanded } = vscode.TreeItemCollapsibleState;
+
+    if (element.type === 'group') {
+      const item = new vscode.TreeItem(element.label, element.children.length > 0 ? Expanded : None);
+      item.description = String(element.count);
+      item.iconPath = new vscode.ThemeIcon(element.icon);
+      return item;
+    }
+
+    if (element.type === 'file') {
+      const item = new vscode.TreeItem(element.file, Expanded);
+      item.description = String(element.children.length);
+      item.iconPath = vscode.ThemeIcon.File;
+      item.resourceUri = this.resolveFile(element.file);
+      return item;
+    }
+
+    const isColumn = element.type === 'column';
+    const item = new vscode.TreeItem(isColumn ? `${element.dataset}.${element.field}` : element.label, None);
+    item.description = [
+      element.line ? `Line ${element.line}` : null,
+      isColumn ? element.transformation : element.detail,
+      element.depth > 1 ? `${element.depth} hops` : null
+    ].filter(Boolean).join(' · ');
+    item.iconPath = new vscode.ThemeIcon(KIND_ICONS[isColumn ? 'column' : element.kind] || 'circle-outline');
+    item.contextValue = isColumn ? 'netpadImpactColumn' : 'netpadImpactLocation';
+
+    const uri = element.file && this.resolveFile(element.file);
+    if (uri) {
+      const line = Math.max(0, (element.line || 1) - 1);
+      item.command = {
+        command: 'vscode.open',
+        title: 'Open',
+        arguments: [uri, { selection: new vscode.Range(line, 0, line, 0) }]
+      };
+    }
+    return item;
+  }
+
+  dispose() {
+    this.onDidChangeTreeDataEmitter.dispose();
+  }
+}
+
+/**
+ * One-line summary of the downstream blast radius
+ */
+function describeBlastRadius({ target, blastRadius }) {
+  const name = target.field ? `${target.dataset}.${target.field}` : target.dataset;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const parts = [
+    plural(blastRadius.datasets, 'downstream dataset'),
+    plural(blastRadius.transformations, 'transformation'),
+    plural(blastRadius.files, 'file')
+  ];
+  if (target.field) parts.push(plural(blastRadius.columns, 'derived column'));
+  return `Changing ${name} affects ${parts.join(', ')}`;
+}
+
+module.exports = { ImpactTreeProvider, describeBlastRadius };
@@ -0,0 +1,77 @@
+// common/lineDiff.js
+
+// Above this many line pairs the LCS table gets too large; treat as one hunk
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Diff two arrays of lines into hunks. Each hunk replaces
+ * original[originalStart, originalEnd) with its `lines`.
+ */
+function diffLines(original, proposed) {
+  if (original.length * proposed.length > MAX_LCS_CELLS) {
+    return [{ originalStart: 0, originalEnd: original.length, removed: original, lines: proposed }];
+  }
+
+  // lcs[i][j] = length of the LCS of original[i..] and proposed[j..]
+  const lcs = Array.from({ length: original.length + 1 }, () => new Array(proposed.length + 1).fill(0));
+  for (let i = original.length - 1; i >= 0; i--) {
+    for (let j = proposed.length - 1; j >= 0; j--) {
+      lcs[i][j] = original[i] === proposed[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let current = null;
+  let i = 0;
+  let j = 0;
+
+  const flush = () => {
+    if (current) {
+      current.originalEnd = i;
+      hunks.push(current);
+      current = null;
+    }
+  };
+  const open = () => {
+    if (!current) current = { originalStart: i, originalEnd: i, removed: [], lines: [] };
+  };
+
+  while (i < original.length || j < proposed.length) {
+    if (i < original.length && j < proposed.length && original[i] === proposed[j]) {
+      flush();
+      i++;
+      j++;
+    } else if (j < proposed.length && (i === original.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      open();
+      current.lines.push(proposed[j++]);
+    } else {
+      open();
+      current.removed.push(original[i++]);
+    }
+  }
+  flush();
+
+  return hunks;
+}
+
+/**
+ * Apply the chosen hunks to the original lines
+ */
+function applyHunks(original, hunks) {
+  const result = [];
+  let cursor = 0;
+
+  [...hunks]
+    .sort((a, b) => a.originalStart - b.originalStart)
+    .forEach(hunk => {
+      result.push(...original.slice(cursor, hunk.originalStart), ...hunk.lines);
+      cursor = hunk.originalEnd;
+    });
+
+  result.push(...original.slice(cursor));
+  return result;
+}
+
+module.exports = { diffLines, applyHunks };
@@ -0,0 +1,370 @@
+// common/lineage.js
+
+const KINDS = ['source', 'transformation', 'sink'];
+// Project graphs also have datasets that are both written and read
+const GRAPH_KINDS = [...KINDS, 'intermediate'];
+
+// Section headings NetPad uses in prose lineage reports
+const SECTION_PATTERNS = [
+  { kind: 'source', pattern: /^(sources?|inputs?|upstream)\b/i },
+  { kind: 'transformation', pattern: /^(transformations?|steps?|operations?)\b/i },
+  { kind: 'sink', pattern: /^(sinks?|outputs?|targets?|destinations?|downstream)\b/i },
+  { kind: 'column', pattern: /^(column[- ]level lineage|column lineage|columns?)\b/i }
+];
+
+const LIST_ITEM = /^([-*•]|\d+[.)])\s+/;
+
+/**
+ * Map NetPad's node type names onto source / transformation / sink
+ */
+function normalizeKind(value) {
+  const kind = String(value || '').toLowerCase();
+  if (KINDS.includes(kind)) return kind;
+  if (/^(input|dataset|table|upstream|read)/.test(kind)) return 'source';
+  if (/^(output|target|destination|downstream|write)/.test(kind)) return 'sink';
+  return 'transformation';
+}
+
+/**
+ * Find the line (1-based) where a node's name first appears in the analyzed code
+ */
+function locate(label, code) {
+  if (!code) return null;
+  const lines = code.split('\n');
+  const words = label.split(/[^\w.]+/).filter(word => word.length >= 3);
+
+  for (const word of words) {
+    const index = lines.findIndex(line => line.includes(word));
+    if (index !== -1) return index + 1;
+  }
+  return null;
+}
+
+/**
+ * Split `table.column` (or `schema.table.column`) into dataset and field
+ */
+function splitField(value) {
+  const text = String(value).trim();
+  const dot = text.lastIndexOf('.');
+  return dot > 0
+    ? { dataset: text.slice(0, dot), field: text.slice(dot + 1) }
+    : { dataset: null, field: text };
+}
+
+/**
+ * A column input given as `table.column` or { dataset | table, field | column }
+ */
+function fieldRef(item) {
+  if (typeof item === 'string') return splitField(item);
+  const field = item.field || item.column || item.name;
+  return field ? { dataset: item.dataset || item.table || null, field: String(field) } : null;
+}
+
+/**
+ * Builds a graph, merging nodes with the same kind and name
+ */
+class GraphBuilder {
+  constructor(code) {
+    this.code = code;
+    this.nodes = [];
+    this.edges = [];
+    this.columns = [];
+    this.byKey = new Map();
+  }
+
+  addNode({ id, label, kind, detail = null, line = null }) {
+    const key = `${kind}:${label.toLowerCase()}`;
+    if (this.byKey.has(key)) return this.byKey.get(key);
+
+    const node = {
+      id: String(id ?? `n${this.nodes.length}`),
+      label,
+      kind,
+      detail,
+      line: Number.isFinite(Number(line)) && Number(line) > 0 ? Number(line) : locate(label, this.code)
+    };
+    this.nodes.push(node);
+    this.byKey.set(key, node);
+    return node;
+  }
+
+  addEdge(from, to, label = null) {
+    if (!from || !to || from === to) return;
+    if (this.edges.some(edge => edge.from === from.id && edge.to === to.id)) return;
+    this.edges.push({ from: from.id, to: to.id, label });
+  }
+
+  /**
+   * Record a column of a dataset and the columns it is derived from;
+   * repeated mentions of the same column merge their inputs
+   */
+  addColumn({ dataset, field, type = null, inputs = [], transformation = null }) {
+    const sameName = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+    let column = this.columns.find(candidate => sameName(candidate.dataset, dataset) && sameName(candidate.field, field));
+    if (!column) {
+      column = { dataset, field, type, inputs: [], transformation };
+      this.columns.push(column);
+    }
+    column.type = column.type || type;
+    column.transformation = column.transformation || transformation;
+    inputs.filter(Boolean).forEach(input => {
+      if (!column.inputs.some(existing => sameName(existing.dataset, input.dataset) && sameName(existing.field, input.field))) {
+        column.inputs.push(input);
+      }
+    });
+  }
+
+  /**
+   * Without explicit edges, read the lists as a pipeline:
+   * sources → transformations in order → sinks
+   */
+  chain() {
+    const byKind = kind => this.nodes.filter(node => node.kind === kind);
+    const stages = [byKind('source'), ...byKind('transformation').map(node => [node]), byKind('sink')]
+      .filter(stage => stage.length > 0);
+
+    for (let i = 0; i + 1 < stages.length; i++) {
+      stages[i].forEach(from => stages[i + 1].forEach(to => this.addEdge(from, to)));
+    }
+  }
+
+  build() {
+    return { nodes: this.nodes, edges: this.edges, columns: this.columns };
+  }
+}
+
+function itemLabel(item) {
+  return typeof item === 'string' ? item : item.label || item.name || item.id || 'unnamed';
+}
+
+/**
+ * Columns listed on a dataset item: strings, or { name, type, inputs | from }
+ */
+function addItemColumns(builder, dataset, item) {
+  if (typeof item === 'string' || !Array.isArray(item.columns)) return;
+  item.columns.forEach(column => {
+    const field = typeof column === 'string' ? column : column.name || column.field;
+    if (!field) return;
+    builder.addColumn({
+      dataset,
+      field: String(field),
+      type: column.type || null,
+      inputs: [].concat(column.inputs || column.inputFields || column.from || []).map(fieldRef),
+      transformation: column.transformation || column.description || null
+    });
+  });
+}
+
+/**
+ * Top-level column lineage: [{ dataset, field, inputs, transformation }]
+ */
+function addColumnLineage(builder, columns) {
+  columns.forEach(column => {
+    const target = column.dataset || column.table
+      ? { dataset: column.dataset || column.table, field: column.field || column.column || column.name }
+      : splitField(column.field || column.column || column.name || '');
+    if (!target.field) return;
+    builder.addColumn({
+      ...target,
+      type: column.type || null,
+      inputs: [].concat(column.inputs || column.inputFields || column.from || []).map(fieldRef),
+      transformation: column.transformation || column.description || null
+    });
+  });
+}
+
+/**
+ * Graph from a structured `lineage` object: either { nodes, edges } or
+ * { sources, transformations, sinks }
+ */
+function fromStructured(lineage, code) {
+  const builder = new GraphBuilder(code);
+
+  if (Array.isArray(lineage.nodes)) {
+    const byId = new Map();
+    lineage.nodes.forEach(item => {
+      const node = builder.addNode({
+        id: item.id,
+        label: itemLabel(item),
+        kind: normalizeKind(item.kind || item.type),
+        detail: item.detail || item.description || null,
+        line: item.line ?? item.lineStart
+      });
+      byId.set(String(item.id ?? item.name), node);
+      addItemColumns(builder, node.label, item);
+    });
+    (lineage.edges || []).forEach(edge => {
+      builder.addEdge(byId.get(String(edge.from ?? edge.source)), byId.get(String(edge.to ?? edge.target)), edge.label || null);
+    });
+  } else {
+    [['sources', 'source'], ['transformations', 'transformation'], ['sinks', 'sink']].forEach(([field, kind]) => {
+      (lineage[field] || []).forEach(item => {
+        const node = builder.addNode({
+          label: itemLabel(item),
+          kind,
+          detail: typeof item === 'string' ? null : item.detail || item.type || null,
+          line: typeof item === 'string' ? null : item.line ?? item.lineStart
+        });
+        addItemColumns(builder, node.label, item);
+      });
+    });
+  }
+
+  const columnLineage = lineage.columns || lineage.columnLineage;
+  if (Array.isArray(columnLineage)) addColumnLineage(builder, columnLineage);
+
+  if (builder.edges.length === 0) builder.chain();
+  return builder.build();
+}
+
+/**
+ * A Column Lineage bullet: `sink.col ← source.col, other.col (how)`,
+ * or the same with the arrow pointing the other way
+ */
+function addColumnLine(builder, text) {
+  const match = text.match(/^(.*?)\s+\(([^()]*)\)\s*$/);
+  const body = match ? match[1] : text;
+  const backward = body.split(/\s*(?:←|<-+)\s*/);
+  const forward = body.split(/\s*(?:→|-+>)\s*/);
+  const [target, inputs] = backward.length === 2
+    ? [backward[0], backward[1]]
+    : forward.length === 2 ? [forward[1], forward[0]] : [null, null];
+  if (!target) return;
+
+  builder.addColumn({
+    ...splitField(target),
+    inputs: inputs.split(/\s*(?:,|\+|\band\b)\s*/).filter(Boolean).map(splitField),
+    transformation: match ? match[2] : null
+  });
+}
+
+/**
+ * Graph from the Sources / Transformations / Sinks (and Column Lineage)
+ * sections of a markdown report
+ */
+function fromText(output, code) {
+  const builder = new GraphBuilder(code);
+  let kind = null;
+
+  output.split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const heading = line.replace(/^#+\s*/, '').replace(/\*\*/g, '').replace(/:$/, '').trim();
+    const section = SECTION_PATTERNS.find(({ pattern }) => pattern.test(heading));
+
+    if (section && !LIST_ITEM.test(line)) {
+      kind = section.kind;
+      return;
+    }
+    if (/^#/.test(line)) {
+      kind = null;
+      return;
+    }
+    if (!kind || !LIST_ITEM.test(line)) return;
+
+    const text = line.replace(LIST_ITEM, '').replace(/\*\*|`/g, '').trim();
+    if (kind === 'column') {
+      addColumnLine(builder, text);
+      return;
+    }
+    const match = text.match(/^(.*?)\s+\(([^()]*)\)\s*$/);
+    builder.addNode({
+      label: match ? match[1] : text,
+      kind,
+      detail: match ? match[2] : null
+    });
+  });
+
+  builder.chain();
+  return builder.build();
+}
+
+/**
+ * Parse a data_lineage_extraction result into { nodes, edges, columns }.
+ * Node lines are 1-based and relative to the analyzed code.
+ */
+function parseLineage(result, code = '') {
+  if (!result) return { nodes: [], edges: [], columns: [] };
+
+  const structured = result.lineage || result.graph;
+  if (structured && typeof structured === 'object') {
+    return fromStructured(structured, code);
+  }
+
+  return typeof result.output === 'string' ? fromText(result.output, code) : { nodes: [], edges: [], columns: [] };
+}
+
+/**
+ * Mermaid flowchart of a lineage graph
+ */
+function toMermaid(graph) {
+  const escape = text => String(text).replace(/"/g, '#quot;');
+  const shape = node => node.kind === 'transformation'
+    ? `["${escape(node.label)}"]`
+    : `[("${escape(node.label)}")]`;
+  const ids = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+
+  return [
+    'flowchart LR',
+    ...graph.nodes.map(node => `  ${ids.get(node.id)}${shape(node)}`),
+    ...graph.edges.map(edge => `  ${ids.get(edge.from)} -->${edge.label ? `|"${escape(edge.label)}"|` : ''} ${ids.get(edge.to)}`),
+    '  classDef source fill:#e3f2fd,stroke:#1565c0',
+    '  classDef transformation fill:#fff8e1,stroke:#b26a00',
+    '  classDef sink fill:#e8f5e9,stroke:#2e7d32',
+    '  classDef intermediate fill:#f3e5f5,stroke:#6a1b9a',
+    ...GRAPH_KINDS
+      .map(kind => [kind, graph.nodes.filter(node => node.kind === kind).map(node => ids.get(node.id))])
+      .filter(([, members]) => members.length > 0)
+      .map(([kind, members]) => `  class ${members.join(',')} ${kind}`)
+  ].join('\n') + '\n';
+}
+
+/**
+ * Graphviz DOT digraph of a lineage graph
+ */
+function toDot(graph) {
+  const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const attributes = {
+    source: 'shape=cylinder, style=filled, fillcolor="#e3f2fd"',
+    transformation: 'shape=box, style="rounded,filled", fillcolor="#fff8e1"',
+    sink: 'shape=cylinder, style=filled, fillcolor="#e8f5e9"',
+    intermediate: 'shape=cylinder, style=filled, fillcolor="#f3e5f5"'
+  };
+
+  return [
+    'digraph lineage {',
+    '  rankdir=LR;',
+    '  node [fontname="Helvetica"];',
+    ...graph.nodes.map(node => `  ${quote(node.id)} [label=${quote(node.label)}, ${attributes[node.kind]}];`),
+    ...graph.edges.map(edge => `  ${quote(edge.from)} -> ${quote(edge.to)}${edge.label ? ` [label=${quote(edge.label)}]` : ''};`),
+    '}'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Assign each node a column (longest path from a root) and a row within it
+ */
+function layoutGraph(graph) {
+  const rank = new Map(graph.nodes.map(node => [node.id, 0]));
+
+  // Longest-path ranking; bounded so a cycle in malformed data cannot loop forever
+  for (let pass = 0; pass < graph.nodes.length; pass++) {
+    let changed = false;
+    graph.edges.forEach(edge => {
+      if (rank.has(edge.from) && rank.has(edge.to) && rank.get(edge.to) < rank.get(edge.from) + 1) {
+        rank.set(edge.to, rank.get(edge.from) + 1);
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+
+  const rows = new Map();
+  return graph.nodes.map(node => {
+    const column = rank.get(node.id);
+    const row = rows.get(column) || 0;
+    rows.set(column, row + 1);
+    return { ...node, column, row };
+  });
+}
+
+module.exports = { parseLineage, toMermaid, toDot, layoutGraph, normalizeKind };
@@ -0,0 +1,247 @@
+// common/lineageIndex.js
+const vscode = require('vscode');
+const crypto = require('crypto');
+const { parseLineage } = require('./lineage');
+const { mergeGraphs } = require('./projectLineage');
+const { runPool } = require('./workspaceAnalysis');
+const { NetPadCancelledError } = require('./errors');
+
+const STATE_KEY = 'netpad.lineageIndex';
+// Larger files are left out of the index rather than sent whole
+const MAX_FILE_CHARS = 200 * 1024;
+// Quiet period after the last change before changed files are re-extracted
+const UPDATE_DELAY = 2000;
+
+/**
+ * Per-file lineage graphs for the workspace, persisted in workspace state.
+ * Files are only re-extracted when their content hash changes, and a file
+ * watcher keeps the index current once it has been built.
+ */
+class LineageIndex {
+  constructor(workspaceState, options = {}) {
+    this.workspaceState = workspaceState;
+    // (document, signal) => data_lineage_extraction result for the whole document
+    this.extract = options.extract;
+    this.log = options.log || (() => {});
+
+    const saved = workspaceState.get(STATE_KEY, null);
+    this.include = saved?.include || null;
+    this.exclude = saved?.exclude || null;
+    // Relative path → { uri, hash, graph, updatedAt } or { uri, hash, error }
+    this.entries = saved?.entries || {};
+
+    this.watchers = [];
+    this.pending = new Set();
+    this.timer = null;
+    this.onDidChangeEmitter = new vscode.EventEmitter();
+    this.onDidChange = this.onDidChangeEmitter.event;
+  }
+
+  get size() {
+    return Object.keys(this.entries).length;
+  }
+
+  /**
+   * Path a file is indexed and shown under: relative to its workspace
+   * folder, prefixed with the folder's name in multi-root workspaces
+   */
+  keyFor(uri) {
+    return vscode.workspace.asRelativePath(uri, true);
+  }
+
+  /**
+   * Uri of a file the index (or a graph built from it) refers to by path
+   */
+  uriFor(file) {
+    if (this.entries[file]?.uri) return vscode.Uri.parse(this.entries[file].uri);
+
+    // Entries indexed before their uri was kept
+    const folders = vscode.workspace.workspaceFolders || [];
+    const [name, ...rest] = file.split('/');
+    const named = folders.length > 1 && rest.length > 0 && folders.find(folder => folder.name === name);
+    if (named) return vscode.Uri.joinPath(named.uri, ...rest);
+    return folders[0] ? vscode.Uri.joinPath(folders[0].uri, file) : null;
+  }
+
+  /**
+   * Extract lineage for files whose content changed since they were indexed.
+   * With `prune`, indexed files not in `uris` are dropped.
+   * Returns counts of extracted, unchanged, failed and removed files.
+   */
+  async update(uris, options = {}) {
+    const { progress, signal } = options;
+    const stats = { extracted: 0, unchanged: 0, failed: 0, removed: 0 };
+    let done = 0;
+
+    if (options.prune) {
+      const keep = new Set(uris.map(uri => this.keyFor(uri)));
+      Object.keys(this.entries).filter(file => !keep.has(file)).forEach(file => {
+        delete this.entries[file];
+        stats.removed++;
+      });
+    }
+
+    await runPool(uris, options.concurrency || 4, async uri => {
+      const file = this.keyFor(uri);
+      try {
+        const outcome = await this.updateFile(uri, file, signal);
+        stats[outcome]++;
+      } catch (error) {
+        if (error instanceof NetPadCancelledError) return;
+        this.log(`Lineage extraction failed for ${file}: ${error.message}`);
+        stats.failed++;
+      }
+      done++;
+      progress?.report({ increment: 100 / uris.length, message: `${done}/${uris.length} ${file}` });
+    }, signal);
+
+    this.save();
+    this.onDidChangeEmitter.fire(stats);
+    return stats;
+  }
+
+  /**
+   * Whether the exclude glob covers a document. Like findFiles, the glob is
+   * relative to the document's workspace folder.
+   */
+  isExcluded(document) {
+    if (!this.exclude) return false;
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+    const pattern = folder ? new vscode.RelativePattern(folder, this.exclude) : this.exclude;
+    return vscode.languages.match({ pattern }, document) > 0;
+  }
+
+  /**
+   * Index one file; returns 'extracted', 'unchanged' or 'removed'
+   */
+  async updateFile(uri, file, signal) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const code = document.getText();
+
+    if (!code.trim() || code.length > MAX_FILE_CHARS || this.isExcluded(document)) {
+      if (!this.entries[file]) return 'unchanged';
+      delete this.entries[file];
+      return 'removed';
+    }
+
+    const hash = crypto.createHash('sha256').update(code).digest('hex');
+    if (this.entries[file]?.hash === hash && this.entries[file].graph) {
+      this.entries[file].uri = uri.toString();
+      return 'unchanged';
+    }
+
+    try {
+      const result = await this.extract(document, signal);
+      this.entries[file] = { uri: uri.toString(), hash, graph: parseLineage(result, code), updatedAt: new Date().toISOString() };
+      return 'extracted';
+    } catch (error) {
+      if (!(error instanceof NetPadCancelledError)) {
+        this.entries[file] = { uri: uri.toString(), hash, error: error.message };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The merged project graph of every indexed file
+   */
+  graph(options = {}) {
+    const files = Object.entries(this.entries)
+      .filter(([, entry]) => entry.graph)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([file, entry]) => ({ path: file, graph: entry.graph }));
+    return mergeGraphs(files, options);
+  }
+
+  /**
+   * Files whose last extraction failed
+   */
+  failures() {
+    return Object.entries(this.entries)
+      .filter(([, entry]) => entry.error)
+      .map(([file, entry]) => ({ path: file, error: entry.error }));
+  }
+
+  /**
+   * Remember which files the index covers
+   */
+  setScope(include, exclude) {
+    this.include = include;
+    this.exclude = exclude || null;
+    this.save();
+  }
+
+  /**
+   * Re-extract files matching the index's include glob as they are saved,
+   * created or deleted. The glob is relative to each workspace folder, as
+   * findFiles reads it.
+   */
+  watch() {
+    this.unwatch();
+    if (!this.include) return;
+
+    const schedule = uri => {
+      this.pending.add(uri.toString());
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush(), UPDATE_DELAY);
+    };
+    const remove = uri => {
+      const file = this.keyFor(uri);
+      if (this.entries[file]) {
+        delete this.entries[file];
+        this.save();
+        this.onDidChangeEmitter.fire({ extracted: 0, unchanged: 0, failed: 0, removed: 1 });
+      }
+    };
+
+    (vscode.workspace.workspaceFolders || []).forEach(folder => {
+      const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, this.include));
+      watcher.onDidChange(schedule);
+      watcher.onDidCreate(schedule);
+      watcher.onDidDelete(remove);
+      this.watchers.push(watcher);
+    });
+    // Folders added or removed later need their own watchers
+    this.watchers.push(vscode.workspace.onDidChangeWorkspaceFolders(() => this.watch()));
+  }
+
+  async flush() {
+    const uris = [...this.pending].map(value => vscode.Uri.parse(value));
+    this.pending.clear();
+    if (uris.length === 0) return;
+
+    this.log(`Updating lineage index for ${uris.length} changed file${uris.length === 1 ? '' : 's'}`);
+    try {
+      await this.update(uris);
+    } catch (error) {
+      this.log(`Lineage index update failed: ${error.message}`);
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.timer);
+    this.pending.clear();
+    this.watchers.forEach(watcher => watcher.dispose());
+    this.watchers = [];
+  }
+
+  clear() {
+    this.unwatch();
+    this.entries = {};
+    this.include = null;
+    this.exclude = null;
+    this.save();
+    this.onDidChangeEmitter.fire({ extracted: 0, unchanged: 0, failed: 0, removed: 0 });
+  }
+
+  save() {
+    this.workspaceState.update(STATE_KEY, { include: this.include, exclude: this.exclude, entries: this.entries });
+  }
+
+  dispose() {
+    this.unwatch();
+    this.onDidChangeEmitter.dispose();
+  }
+}
+
+module.exports = { LineageIndex };
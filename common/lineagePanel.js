@@ -0,0 +1,322 @@
+// common/lineagePanel.js
+const vscode = require('vscode');
+const path = require('path');
+const { escapeHtml, createNonce } = require('./html');
+const { layoutGraph, toMermaid, toDot } = require('./lineage');
+
+const NODE_WIDTH = 200;
+const NODE_HEIGHT = 44;
+const COLUMN_GAP = 90;
+const ROW_GAP = 24;
+const MAX_LABEL = 26;
+
+/**
+ * Webview showing a lineage graph as a pannable, zoomable DAG.
+ * Clicking a node reveals the code it came from.
+ */
+class LineagePanel {
+  constructor(options = {}) {
+    // (path) => Uri of a file named by a project graph node
+    this.resolveFile = options.resolveFile || (() => null);
+    this.panel = null;
+    this.graph = null;
+    this.origin = null;
+  }
+
+  /**
+   * Show a graph; `origin` is { uri, lineStart, fileName } of the analyzed code,
+   * or { project: true, fileName } for a project graph whose nodes carry their own `file`
+   */
+  show(graph, origin) {
+    this.graph = graph;
+    this.origin = origin;
+
+    if (!this.panel) {
+      this.panel = vscode.window.createWebviewPanel(
+        'netpadLineage',
+        'NetPad Lineage',
+        { viewColumn: vscode.ViewColumn.Beside, preserveFocus: true },
+        { enableScripts: true }
+      );
+      this.panel.onDidDispose(() => {
+        this.panel = null;
+        this.graph = null;
+      });
+      this.panel.webview.onDidReceiveMessage(message => this.handleMessage(message));
+    } else {
+      this.panel.reveal(vscode.ViewColumn.Beside, true);
+    }
+
+    this.panel.title = origin.project ? 'Project Lineage' : `Lineage: ${path.basename(origin.fileName || 'selection')}`;
+    this.panel.webview.html = this.getHtml(graph);
+  }
+
+  /**
+   * Whether the open panel shows the project graph
+   */
+  get showingProject() {
+    return Boolean(this.panel && this.origin?.project);
+  }
+
+  handleMessage(message) {
+    if (!this.graph) return;
+    if (message.command === 'reveal') {
+      this.reveal(message.id);
+    } else if (message.command === 'impact') {
+      const node = this.graph.nodes.find(candidate => candidate.id === message.id);
+      if (node && node.kind !== 'transformation') {
+        vscode.commands.executeCommand('netpad.analyzeImpact', { dataset: node.label });
+      }
+    } else if (message.command === 'export' && (message.format === 'mermaid' || message.format === 'dot')) {
+      this.export(message.format);
+    } else if (message.command === 'export' && message.format === 'openlineage') {
+      vscode.commands.executeCommand('netpad.exportOpenLineage', { graph: this.graph, origin: this.origin });
+    }
+  }
+
+  /**
+   * Where a node was found: { uri, line } (0-based), or null
+   */
+  locate(node) {
+    if (!node?.line) return null;
+    if (node.file) {
+      const uri = this.resolveFile(node.file);
+      return uri ? { uri, line: node.line - 1 } : null;
+    }
+    return this.origin?.uri ? { uri: this.origin.uri, line: this.origin.lineStart + node.line - 1 } : null;
+  }
+
+  /**
+   * Jump to the line a node was found on
+   */
+  async reveal(id) {
+    const node = this.graph.nodes.find(candidate => candidate.id === id);
+    const location = this.locate(node);
+    if (!location) {
+      vscode.window.setStatusBarMessage(`$(info) NetPad: no code location for "${node?.label || id}"`, 4000);
+      return;
+    }
+
+    const position = new vscode.Position(location.line, 0);
+    await vscode.window.showTextDocument(location.uri, {
+      viewColumn: vscode.ViewColumn.One,
+      selection: new vscode.Range(position, position)
+    });
+  }
+
+  /**
+   * Save the graph as Mermaid or Graphviz DOT
+   */
+  async export(format) {
+    const extension = format === 'dot' ? 'dot' : 'mmd';
+    const baseName = path.basename(this.origin?.fileName || 'lineage', path.extname(this.origin?.fileName || ''));
+    const folder = ((this.origin?.uri && vscode.workspace.getWorkspaceFolder(this.origin.uri)) || vscode.workspace.workspaceFolders?.[0])?.uri;
+
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: folder ? vscode.Uri.joinPath(folder, `${baseName}-lineage.${extension}`) : undefined,
+      filters: format === 'dot' ? { 'Graphviz DOT': ['dot', 'gv'] } : { Mermaid: ['mmd', 'md'] }
+    });
+    if (!uri) return;
+
+    const content = format === 'dot' ? toDot(this.graph) : toMermaid(this.graph);
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+    vscode.window.showInformationMessage(`Lineage saved to ${vscode.workspace.asRelativePath(uri)}`);
+  }
+
+  /**
+   * SVG for the laid-out graph
+   */
+  renderSvg(graph) {
+    const nodes = layoutGraph(graph);
+    const position = new Map(nodes.map(node => [node.id, {
+      x: node.column * (NODE_WIDTH + COLUMN_GAP),
+      y: node.row * (NODE_HEIGHT + ROW_GAP)
+    }]));
+    const width = Math.max(...nodes.map(node => position.get(node.id).x)) + NODE_WIDTH;
+    const height = Math.max(...nodes.map(node => position.get(node.id).y)) + NODE_HEIGHT;
+
+    const edges = graph.edges.map(edge => {
+      const from = position.get(edge.from);
+      const to = position.get(edge.to);
+      if (!from || !to) return '';
+      const x1 = from.x + NODE_WIDTH;
+      const y1 = from.y + NODE_HEIGHT / 2;
+      const x2 = to.x;
+      const y2 = to.y + NODE_HEIGHT / 2;
+      const bend = Math.max(30, (x2 - x1) / 2);
+      return `<path class="edge" d="M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}" marker-end="url(#arrow)"><title>${escapeHtml(edge.label || '')}</title></path>`;
+    }).join('\n      ');
+
+    const boxes = nodes.map(node => {
+      const { x, y } = position.get(node.id);
+      const label = node.label.length > MAX_LABEL ? `${node.label.slice(0, MAX_LABEL - 1)}…` : node.label;
+      const tooltip = [
+        node.label,
+        node.detail,
+        ...this.describeLocation(node),
+        node.kind === 'transformation' ? null : 'Shift+click: impact analysis'
+      ].filter(Boolean).join('\n');
+      return `<g class="node ${node.kind}" data-id="${escapeHtml(node.id)}" transform="translate(${x},${y})">
+        <title>${escapeHtml(tooltip)}</title>
+        <rect width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="${node.kind === 'transformation' ? 6 : 18}"></rect>
+        <text x="${NODE_WIDTH / 2}" y="${NODE_HEIGHT / 2}">${escapeHtml(label)}</text>
+      </g>`;
+    }).join('\n      ');
+
+    return `<svg id="graph" xmlns="http://www.w3.org/2000/svg" data-width="${width}" data-height="${height}">
+    <defs>
+      <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+        <path d="M 0 0 L 10 5 L 0 10 z"></path>
+      </marker>
+    </defs>
+    <g id="viewport">
+      ${edges}
+      ${boxes}
+    </g>
+  </svg>`;
+  }
+
+  /**
+   * Tooltip lines saying where a node comes from
+   */
+  describeLocation(node) {
+    if (node.references) {
+      return node.references.map(reference => `${reference.role === 'write' ? 'Written' : 'Read'} in ${reference.file}${reference.line ? `:${reference.line}` : ''}`);
+    }
+    if (node.file) return [`${node.file}${node.line ? `:${node.line}` : ''}`];
+    return node.line ? [`Line ${this.origin.lineStart + node.line}`] : [];
+  }
+
+  getHtml(graph) {
+    const nonce = createNonce();
+    const body = graph.nodes.length > 0
+      ? this.renderSvg(graph)
+      : '<p class="empty">NetPad did not report any sources, transformations or sinks.</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
+  <style>
+    html, body { height: 100%; margin: 0; overflow: hidden; font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+    header { position: absolute; top: 0; left: 0; right: 0; padding: 8px 12px; display: flex; gap: 6px; align-items: center; background: var(--vscode-editor-background); border-bottom: 1px solid var(--vscode-panel-border); z-index: 1; }
+    .legend { margin-left: auto; font-size: 0.85em; color: var(--vscode-descriptionForeground); }
+    .legend span { margin-left: 10px; }
+    button { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border: none; padding: 4px 10px; cursor: pointer; }
+    button:hover { background: var(--vscode-button-secondaryHoverBackground); }
+    #graph { position: absolute; top: 42px; left: 0; width: 100%; height: calc(100% - 42px); cursor: grab; }
+    #graph.dragging { cursor: grabbing; }
+    .node { cursor: pointer; }
+    .node rect { stroke-width: 1.5; fill-opacity: 0.18; }
+    .node:hover rect { fill-opacity: 0.35; }
+    .node text { fill: var(--vscode-foreground); font-size: 12px; text-anchor: middle; dominant-baseline: middle; pointer-events: none; }
+    .source rect, .legend .source { fill: var(--vscode-charts-blue); stroke: var(--vscode-charts-blue); color: var(--vscode-charts-blue); }
+    .transformation rect, .legend .transformation { fill: var(--vscode-charts-orange); stroke: var(--vscode-charts-orange); color: var(--vscode-charts-orange); }
+    .sink rect, .legend .sink { fill: var(--vscode-charts-green); stroke: var(--vscode-charts-green); color: var(--vscode-charts-green); }
+    .intermediate rect, .legend .intermediate { fill: var(--vscode-charts-purple); stroke: var(--vscode-charts-purple); color: var(--vscode-charts-purple); }
+    .edge { fill: none; stroke: var(--vscode-descriptionForeground); stroke-width: 1.5; }
+    marker path { fill: var(--vscode-descriptionForeground); }
+    .empty { padding: 60px 16px; }
+  </style>
+</head>
+<body>
+  <header>
+    <button data-action="zoom-in" title="Zoom in">+</button>
+    <button data-action="zoom-out" title="Zoom out">−</button>
+    <button data-action="fit">Fit</button>
+    <button data-export="mermaid">Export Mermaid</button>
+    <button data-export="dot">Export DOT</button>
+    <button data-export="openlineage">Export OpenLineage</button>
+    <div class="legend"><span class="source">■ Source</span><span class="transformation">■ Transformation</span><span class="sink">■ Sink</span>${graph.nodes.some(node => node.kind === 'intermediate') ? '<span class="intermediate">■ Intermediate</span>' : ''}</div>
+  </header>
+  ${body}
+  <script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    document.querySelectorAll('button[data-export]').forEach(button => {
+      button.addEventListener('click', () => vscode.postMessage({ command: 'export', format: button.dataset.export }));
+    });
+
+    const svg = document.getElementById('graph');
+    if (svg) {
+      const viewport = document.getElementById('viewport');
+      const view = { x: 0, y: 0, scale: 1 };
+      const apply = () => viewport.setAttribute('transform', 'translate(' + view.x + ',' + view.y + ') scale(' + view.scale + ')');
+
+      const fit = () => {
+        const width = Number(svg.dataset.width);
+        const height = Number(svg.dataset.height);
+        const box = svg.getBoundingClientRect();
+        view.scale = Math.min(1.5, (box.width - 40) / width, (box.height - 40) / height);
+        view.x = (box.width - width * view.scale) / 2;
+        view.y = (box.height - height * view.scale) / 2;
+        apply();
+      };
+
+      // Zoom keeping the point under (cx, cy) fixed
+      const zoom = (factor, cx, cy) => {
+        const scale = Math.min(4, Math.max(0.1, view.scale * factor));
+        view.x = cx - (cx - view.x) * (scale / view.scale);
+        view.y = cy - (cy - view.y) * (scale / view.scale);
+        view.scale = scale;
+        apply();
+      };
+
+      svg.addEventListener('wheel', event => {
+        event.preventDefault();
+        const box = svg.getBoundingClientRect();
+        zoom(event.deltaY < 0 ? 1.1 : 1 / 1.1, event.clientX - box.left, event.clientY - box.top);
+      }, { passive: false });
+
+      let drag = null;
+      svg.addEventListener('pointerdown', event => {
+        drag = { x: event.clientX, y: event.clientY, viewX: view.x, viewY: view.y, moved: false };
+        svg.setPointerCapture(event.pointerId);
+      });
+      svg.addEventListener('pointermove', event => {
+        if (!drag) return;
+        const dx = event.clientX - drag.x;
+        const dy = event.clientY - drag.y;
+        if (Math.abs(dx) + Math.abs(dy) > 3) {
+          drag.moved = true;
+          svg.classList.add('dragging');
+        }
+        view.x = drag.viewX + dx;
+        view.y = drag.viewY + dy;
+        apply();
+      });
+      svg.addEventListener('pointerup', event => {
+        const clicked = drag && !drag.moved;
+        drag = null;
+        svg.classList.remove('dragging');
+        // Pointer capture retargets events to the svg, so find the node under the pointer
+        const node = clicked && document.elementFromPoint(event.clientX, event.clientY)?.closest('.node');
+        if (node) {
+          vscode.postMessage({ command: event.shiftKey ? 'impact' : 'reveal', id: node.dataset.id });
+        }
+      });
+
+      document.querySelectorAll('button[data-action]').forEach(button => {
+        button.addEventListener('click', () => {
+          const box = svg.getBoundingClientRect();
+          if (button.dataset.action === 'fit') fit();
+          else zoom(button.dataset.action === 'zoom-in' ? 1.25 : 0.8, box.width / 2, box.height / 2);
+        });
+      });
+
+      window.addEventListener('resize', fit);
+      fit();
+    }
+  </script>
+</body>
+</html>`;
+  }
+
+  dispose() {
+    if (this.panel) {
+      this.panel.dispose();
+    }
+  }
+}
+
+module.exports = { LineagePanel };
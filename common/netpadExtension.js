@@ -0,0 +1,2239 @@
+// common/netpadExtension.js
+const vscode = require('vscode');
+const path = require('path');
+const { NetPadEditorClient } = require('./editorClient');
+const { ResultHistory, HistoryTreeProvider } = require('./history');
+const { ResultPanel } = require('./resultPanel');
+const { NetPadDiagnostics } = require('./diagnostics');
+const { RefactorPreview, extractReplacement } = require('./refactorPreview');
+const { NetPadCodeActionProvider } = require('./codeActions');
+const { NetPadCodeLensProvider } = require('./codeLens');
+const { NetPadHoverProvider } = require('./hover');
+const { WorkspaceAnalyzer } = require('./workspaceAnalysis');
+const { renderReportMarkdown, renderReportHtml, summarizeReport } = require('./workspaceReport');
+const { parseLineage } = require('./lineage');
+const { LineagePanel } = require('./lineagePanel');
+const { LineageIndex } = require('./lineageIndex');
+const { analyzeImpact, resolveTarget } = require('./impactAnalysis');
+const { ImpactTreeProvider, describeBlastRadius } = require('./impactView');
+const { toOpenLineage, stringifyEvents } = require('./openLineage');
+const { DIALECTS, DEFAULT_DIALECT, parseSql, dialectForLanguage, renderSqlSummary } = require('./sqlParser');
+const { SchemaSources } = require('./schemaSources');
+const { parseSqlMetadata } = require('./schemaModel');
+const { SchemaTreeProvider, qualifiedName } = require('./schemaView');
+const { findEmbeddedSql, supportsEmbeddedSql, previewSql } = require('./embeddedSql');
+const { checkSql, renderSchemaReport } = require('./schemaCheck');
+const { WORKFLOW_GLOB, parseWorkflowDefinition, processorWorkflow, bindWorkflow } = require('./workflowDefinitions');
+const { validateWorkflow } = require('./workflowValidation');
+const { WorkflowDiagnostics } = require('./workflowDiagnostics');
+const { parseWorkflowRun, rerunFromNode } = require('./workflowTrace');
+const { WorkflowRunPanel } = require('./workflowRunPanel');
+const { toolParameters, formatParameterValue, parseParameterValue, selectionDefaults } = require('./toolSchemas');
+const { workflowJobId, describeJob } = require('./workflowJobs');
+const { parseFindings, summarizeAnalysis } = require('./findings');
+const { NetPadConfigError, NetPadCancelledError, NetPadSqlParseError } = require('./errors');
+
+// Lines of code sent on either side of a diagnostic being fixed
+const FIX_CONTEXT_LINES = 5;
+
+const DEFAULT_WORKSPACE_INCLUDE = '**/*.{js,jsx,ts,tsx,py,java,cs,go,rb,php,sql}';
+const DEFAULT_WORKSPACE_EXCLUDE = '**/{node_modules,dist,build,out,.git,vendor}/**';
+const DEFAULT_LINEAGE_INCLUDE = '**/*.{py,sql,scala,java,js,ts,r}';
+const DEFAULT_SCHEMAS = ['public', 'dbo', 'main'];
+// Workspace state key of the asynchronous workflow runs being followed
+const WORKFLOW_JOBS_KEY = 'netpad.workflowJobs';
+
+/**
+ * Editor-agnostic NetPad extension shared by the Cursor and VS Code builds
+ */
+class NetPadExtension {
+  constructor(options = {}) {
+    this.editorName = options.editorName || 'VS Code';
+    this.userAgent = options.userAgent;
+    this.netpad = null;
+    this.outputChannel = null;
+    this.tools = [];
+    this.lastCommand = null;
+    this.lastWorkspaceReport = null;
+    this.lastLineage = null;
+    this.lastWorkflowRun = null;
+  }
+
+  /**
+   * Initialize the extension
+   */
+  async initialize(context) {
+    this.context = context;
+    this.outputChannel = vscode.window.createOutputChannel('NetPad');
+    this.netpad = new NetPadEditorClient({
+      userAgent: this.userAgent,
+      storagePath: context.globalStorageUri?.fsPath,
+      log: message => this.log(message)
+    });
+
+    // Register commands first (this is critical for activation)
+    this.registerCommands();
+    this.registerViews();
+
+    // Initialize API client (don't fail if this fails)
+    try {
+      this.netpad.reload();
+    } catch (error) {
+      this.log(`API client initialization failed: ${error.message}`);
+    }
+
+    // Try to fetch available tools, but don't fail if no API key
+    if (this.netpad.isConfigured()) {
+      await this.fetchTools();
+      // Asynchronous workflow runs started before the window was reloaded
+      this.resumeWorkflowJobs();
+    }
+
+    // Setup configuration watcher
+    this.setupConfigurationWatcher();
+
+    this.log(`NetPad ${this.editorName} extension initialized successfully`);
+  }
+
+  /**
+   * Fetch available tools from NetPad
+   */
+  async fetchTools() {
+    if (!this.netpad.isConfigured()) return;
+
+    try {
+      const response = await this.netpad.getTools();
+      this.tools = response.tools || [];
+      this.log(`Fetched ${this.tools.length} tools from NetPad`);
+      this.workflowDiagnostics.refresh();
+    } catch (error) {
+      this.log(`Failed to fetch tools: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register all commands
+   */
+  registerCommands() {
+    const commands = [
+      { name: 'netpad.analyzeCode', handler: this.analyzeCode.bind(this) },
+      { name: 'netpad.explainCode', handler: this.explainCode.bind(this) },
+      { name: 'netpad.refactorCode', handler: this.refactorCode.bind(this) },
+      { name: 'netpad.refactorWithPreview', handler: this.refactorWithPreview.bind(this) },
+      { name: 'netpad.fixDiagnostic', handler: this.fixDiagnostic.bind(this) },
+      { name: 'netpad.explainHover', handler: this.explainHover.bind(this) },
+      { name: 'netpad.analyzeWorkspace', handler: this.analyzeWorkspace.bind(this) },
+      { name: 'netpad.exportWorkspaceReport', handler: this.exportWorkspaceReport.bind(this) },
+      { name: 'netpad.refactor.acceptAll', handler: () => this.refactorPreview.acceptAll() },
+      { name: 'netpad.refactor.chooseChanges', handler: () => this.refactorPreview.chooseHunks() },
+      { name: 'netpad.refactor.reject', handler: () => this.refactorPreview.reject() },
+      { name: 'netpad.extractDataLineage', handler: this.extractDataLineage.bind(this) },
+      { name: 'netpad.showLineageGraph', handler: this.showLineageGraph.bind(this) },
+      { name: 'netpad.exportOpenLineage', handler: this.exportOpenLineage.bind(this) },
+      { name: 'netpad.buildProjectLineage', handler: this.buildProjectLineage.bind(this) },
+      { name: 'netpad.showProjectLineage', handler: this.showProjectLineage.bind(this) },
+      { name: 'netpad.clearLineageIndex', handler: this.clearLineageIndex.bind(this) },
+      { name: 'netpad.analyzeImpact', handler: this.analyzeImpact.bind(this) },
+      { name: 'netpad.impact.clear', handler: this.clearImpact.bind(this) },
+      { name: 'netpad.getTools', handler: this.getTools.bind(this) },
+      { name: 'netpad.runTool', handler: this.runTool.bind(this) },
+      { name: 'netpad.runCustomWorkflow', handler: this.runCustomWorkflow.bind(this) },
+      { name: 'netpad.showWorkflowRun', handler: this.showWorkflowRun.bind(this) },
+      { name: 'netpad.sqlMetadataLookup', handler: this.sqlMetadataLookup.bind(this) },
+      { name: 'netpad.selectSqlDialect', handler: this.selectSqlDialect.bind(this) },
+      { name: 'netpad.checkSqlAgainstSchema', handler: this.checkSqlAgainstSchema.bind(this) },
+      { name: 'netpad.findEmbeddedSql', handler: this.findEmbeddedSql.bind(this) },
+      { name: 'netpad.schema.search', handler: this.searchSchema.bind(this) },
+      { name: 'netpad.schema.clearSearch', handler: () => this.setSchemaFilter('') },
+      { name: 'netpad.schema.openReference', handler: this.openSchemaReference.bind(this) },
+      { name: 'netpad.schema.copyQualifiedName', handler: this.copySchemaName.bind(this) },
+      { name: 'netpad.schema.refresh', handler: this.refreshSchema.bind(this) },
+      { name: 'netpad.schema.clear', handler: this.clearSchema.bind(this) },
+      { name: 'netpad.forceRefresh', handler: this.forceRefresh.bind(this) },
+      { name: 'netpad.clearCache', handler: this.clearCache.bind(this) },
+      { name: 'netpad.openSidebar', handler: this.openSidebar.bind(this) },
+      { name: 'netpad.history.show', handler: this.showHistoryEntry.bind(this) },
+      { name: 'netpad.history.rerun', handler: this.rerunHistoryEntry.bind(this) },
+      { name: 'netpad.history.pin', handler: entry => this.history.setPinned(entry.id, true) },
+      { name: 'netpad.history.unpin', handler: entry => this.history.setPinned(entry.id, false) },
+      { name: 'netpad.history.delete', handler: this.deleteHistoryEntry.bind(this) },
+      { name: 'netpad.history.clear', handler: () => this.history.clear() },
+      { name: 'netpad.clearDiagnostics', handler: () => this.diagnostics.clear() }
+    ];
+
+    commands.forEach(cmd => {
+      const disposable = vscode.commands.registerCommand(cmd.name, cmd.handler);
+      this.context.subscriptions.push(disposable);
+    });
+  }
+
+  /**
+   * Register the activity bar views
+   */
+  registerViews() {
+    const config = vscode.workspace.getConfiguration('netpad');
+    this.history = new ResultHistory(this.context.workspaceState, {
+      maxEntries: config.get('historySize', 50)
+    });
+    this.historyProvider = new HistoryTreeProvider(this.history);
+    this.resultPanel = new ResultPanel();
+    this.lineagePanel = new LineagePanel({ resolveFile: file => this.lineageIndex.uriFor(file) });
+    this.workflowRunPanel = new WorkflowRunPanel({
+      rerun: (run, nodeId, inputs) => this.rerunWorkflowFrom(run, nodeId, inputs)
+    });
+
+    // Keep an open result panel in sync with pin/unpin
+    this.history.onDidChange(() => {
+      const shown = this.resultPanel.entry && this.history.get(this.resultPanel.entry.id);
+      if (shown) this.resultPanel.update(shown);
+    });
+
+    this.diagnostics = new NetPadDiagnostics({
+      resultUri: entryId => this.getResultUri(entryId)
+    });
+    this.workflowDiagnostics = new WorkflowDiagnostics({ getTools: () => this.tools });
+    this.refactorPreview = new RefactorPreview({ log: message => this.log(message) });
+    this.codeLensProvider = new NetPadCodeLensProvider({
+      getSummary: (document, range) => this.getCachedSummary(document, range)
+    });
+    this.workspaceAnalyzer = new WorkspaceAnalyzer({
+      analyzeDocument: (document, signal) => this.netpad.executeCommand('code_analysis', this.getAnalysisInput({
+        code: document.getText(),
+        language: this.detectLanguage(document),
+        fileName: document.fileName
+      }), { signal }),
+      log: message => this.log(message)
+    });
+    this.lineageIndex = new LineageIndex(this.context.workspaceState, {
+      extract: (document, signal) => this.netpad.executeCommand('data_lineage_extraction', {
+        code: document.getText(),
+        language: this.detectLanguage(document),
+        fileName: document.fileName
+      }, { signal }),
+      log: message => this.log(message)
+    });
+    this.lineageIndex.onDidChange(() => {
+      if (this.lineagePanel.showingProject) this.showProjectLineage();
+    });
+    if (this.lineageIndex.size > 0 && config.get('lineageAutoUpdate', true)) {
+      this.lineageIndex.watch();
+    }
+    this.schemaSources = new SchemaSources();
+    this.schemaProvider = new SchemaTreeProvider(this.context.workspaceState, {
+      defaultSchemas: this.getLineageOptions().defaultSchemas
+    });
+    this.schemaView = vscode.window.createTreeView('netpad.schema', { treeDataProvider: this.schemaProvider });
+    if (config.get('schemaSources', []).length > 0) {
+      this.loadLocalSchema().catch(error => this.log(`Loading schema sources failed: ${error.message}`));
+    }
+    this.impactProvider = new ImpactTreeProvider({ resolveFile: file => this.lineageIndex.uriFor(file) });
+    this.impactView = vscode.window.createTreeView('netpad.impact', { treeDataProvider: this.impactProvider });
+    this.hoverProvider = new NetPadHoverProvider({
+      explain: (code, document) => this.explainForHover(code, document),
+      log: message => this.log(message)
+    });
+
+    this.context.subscriptions.push(
+      vscode.window.registerTreeDataProvider('netpad.history', this.historyProvider),
+      vscode.window.registerUriHandler({ handleUri: uri => this.handleUri(uri) }),
+      this.history,
+      this.historyProvider,
+      this.resultPanel,
+      this.lineagePanel,
+      this.workflowRunPanel,
+      this.lineageIndex,
+      this.impactProvider,
+      this.impactView,
+      this.schemaProvider,
+      this.schemaView,
+      this.diagnostics,
+      this.workflowDiagnostics,
+      this.refactorPreview,
+      vscode.languages.registerCodeActionsProvider(
+        [{ scheme: 'file' }, { scheme: 'untitled' }],
+        new NetPadCodeActionProvider(),
+        { providedCodeActionKinds: NetPadCodeActionProvider.providedCodeActionKinds }
+      ),
+      vscode.languages.registerCodeLensProvider([{ scheme: 'file' }, { scheme: 'untitled' }], this.codeLensProvider),
+      this.codeLensProvider,
+      vscode.languages.registerHoverProvider([{ scheme: 'file' }, { scheme: 'untitled' }], this.hoverProvider)
+    );
+  }
+
+  /**
+   * URI that opens a history entry in the result panel (used by diagnostic links)
+   */
+  getResultUri(entryId) {
+    const extensionId = this.context.extension?.id;
+    if (!extensionId) return null;
+    return vscode.Uri.parse(`${vscode.env.uriScheme}://${extensionId}/result?id=${encodeURIComponent(entryId)}`);
+  }
+
+  /**
+   * Handle vscode://<extension>/... links
+   */
+  handleUri(uri) {
+    if (uri.path === '/result') {
+      const id = new URLSearchParams(uri.query).get('id');
+      this.showHistoryEntry({ id });
+    }
+  }
+
+  /**
+   * Setup configuration change watcher
+   */
+  setupConfigurationWatcher() {
+    const watcher = vscode.workspace.onDidChangeConfiguration(event => {
+      if (event.affectsConfiguration('netpad')) {
+        this.log('Configuration changed, reinitializing...');
+        try {
+          this.netpad.reload();
+        } catch (error) {
+          this.log(`API client initialization failed: ${error.message}`);
+        }
+        this.fetchTools();
+        this.codeLensProvider.refresh();
+      }
+      if (event.affectsConfiguration('netpad.lineageAutoUpdate')) {
+        const autoUpdate = vscode.workspace.getConfiguration('netpad').get('lineageAutoUpdate', true);
+        if (autoUpdate && this.lineageIndex.size > 0) this.lineageIndex.watch();
+        else this.lineageIndex.unwatch();
+      }
+      if (event.affectsConfiguration('netpad.schemaSources')) {
+        this.loadLocalSchema().catch(error => this.log(`Loading schema sources failed: ${error.message}`));
+      }
+    });
+    this.context.subscriptions.push(watcher);
+  }
+
+  /**
+   * Get selected code and context; `range` overrides the selection (code actions)
+   */
+  getCodeContext(range) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+      vscode.window.showErrorMessage('No active editor');
+      return null;
+    }
+
+    const selection = range || editor.selection;
+    const code = editor.document.getText(selection);
+
+    if (!code.trim()) {
+      vscode.window.showErrorMessage('No code selected');
+      return null;
+    }
+
+    return {
+      code,
+      language: this.detectLanguage(editor.document),
+      fileName: editor.document.fileName,
+      lineStart: selection.start.line,
+      lineEnd: selection.end.line,
+      selection,
+      fullDocument: editor.document.getText(),
+      document: editor.document
+    };
+  }
+
+  /**
+   * Detect programming language
+   */
+  detectLanguage(document) {
+    if (!document) return 'text';
+
+    const languageId = document.languageId;
+    const languageMap = {
+      'javascript': 'javascript',
+      'typescript': 'typescript',
+      'python': 'python',
+      'java': 'java',
+      'csharp': 'c#',
+      'cpp': 'c++',
+      'c': 'c',
+      'go': 'go',
+      'rust': 'rust',
+      'php': 'php',
+      'ruby': 'ruby',
+      'swift': 'swift',
+      'kotlin': 'kotlin',
+      'scala': 'scala',
+      'r': 'r',
+      'sql': 'sql',
+      'html': 'html',
+      'css': 'css',
+      'json': 'json',
+      'yaml': 'yaml',
+      'xml': 'xml',
+      'markdown': 'markdown'
+    };
+    return languageMap[languageId] || languageId || 'text';
+  }
+
+  /**
+   * Show results in output panel; earlier results stay above and in the history view
+   */
+  showResults(title, content) {
+    this.outputChannel.appendLine('');
+    this.outputChannel.appendLine(`=== ${title} ===`);
+    this.outputChannel.appendLine(new Date().toISOString());
+    this.outputChannel.appendLine('');
+    this.outputChannel.appendLine(content);
+    this.outputChannel.show();
+  }
+
+  /**
+   * Add a result to the history view
+   */
+  recordResult(title, commandId, context, request, output) {
+    // New results may be cached, which changes the CodeLens summaries
+    this.codeLensProvider.refresh();
+    return this.history.add({ title, commandId, context, request, output });
+  }
+
+  /**
+   * Input for a comprehensive code_analysis request
+   */
+  getAnalysisInput(context) {
+    return {
+      code: context.code,
+      language: context.language,
+      analysisType: 'comprehensive',
+      fileName: context.fileName
+    };
+  }
+
+  /**
+   * CodeLens summary for a range that already has a cached analysis
+   */
+  getCachedSummary(document, range) {
+    const input = this.getAnalysisInput({
+      code: document.getText(range),
+      language: this.detectLanguage(document),
+      fileName: document.fileName
+    });
+    return summarizeAnalysis(this.netpad.getCachedResult('code_analysis', input));
+  }
+
+  /**
+   * Announce a finished analysis, offering a refresh when it came from the cache
+   */
+  async notifyComplete(message, result, rerun) {
+    if (!result.cached) {
+      vscode.window.showInformationMessage(message);
+      return;
+    }
+
+    const choice = await vscode.window.showInformationMessage(`${message} (cached result)`, 'Refresh');
+    if (choice === 'Refresh') {
+      rerun({ forceRefresh: true });
+    }
+  }
+
+  /**
+   * Remember a command for Force Refresh, with the range it ran on
+   */
+  setLastCommand(id, context, options) {
+    this.lastCommand = { id, range: options.range, embedded: options.embedded, uri: context.document.uri.toString() };
+  }
+
+  /**
+   * Turn a progress cancellation token into an AbortSignal for the client
+   */
+  toAbortSignal(token) {
+    const controller = new AbortController();
+    if (token) {
+      if (token.isCancellationRequested) {
+        controller.abort();
+      }
+      token.onCancellationRequested(() => controller.abort());
+    }
+    return controller.signal;
+  }
+
+  /**
+   * Report a failed command to the user
+   */
+  async showError(action, error) {
+    if (error instanceof NetPadCancelledError) {
+      this.log(`${action} cancelled`);
+      vscode.window.setStatusBarMessage(`$(circle-slash) NetPad: ${action} cancelled`, 5000);
+      return;
+    }
+
+    this.log(`${action} error: ${error.message}`);
+
+    if (error instanceof NetPadConfigError) {
+      const choice = await vscode.window.showErrorMessage(`${action} failed: ${error.message}`, 'Open Settings');
+      if (choice === 'Open Settings') {
+        vscode.commands.executeCommand('workbench.action.openSettings', 'netpad');
+      }
+      return;
+    }
+
+    vscode.window.showErrorMessage(`${action} failed: ${error.message}`);
+  }
+
+  /**
+   * Log message
+   */
+  log(message) {
+    const timestamp = new Date().toISOString();
+    console.log(`[NetPad] ${timestamp}: ${message}`);
+  }
+
+  /**
+   * Analyze Code Command
+   */
+  async analyzeCode(options = {}) {
+    const context = this.getCodeContext(options.range);
+    if (!context) return;
+    this.setLastCommand('netpad.analyzeCode', context, options);
+
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "Analyzing code...",
+        cancellable: true
+      }, async (progress, token) => {
+        progress.report({ message: "Sending code to NetPad..." });
+
+        const input = this.getAnalysisInput(context);
+
+        const result = await this.netpad.executeCommand('code_analysis', input, { forceRefresh: options.forceRefresh, signal: this.toAbortSignal(token) });
+
+        if (result?.output) {
+          this.showResults('Code Analysis', result.output);
+          const entry = this.recordResult('Code Analysis', 'netpad.analyzeCode', context, { type: 'code_analysis', input }, result.output);
+          const count = this.diagnostics.publish(context.document, context, parseFindings(result), entry.id);
+          const summary = count > 0 ? ` ${count} finding${count === 1 ? '' : 's'} added to Problems.` : '';
+          this.notifyComplete(`Code analysis complete!${summary}`, result, refresh => this.analyzeCode({ range: options.range, ...refresh }));
+        } else {
+          vscode.window.showWarningMessage('No analysis results received');
+        }
+      });
+    } catch (error) {
+      this.showError('Analysis', error);
+    }
+  }
+
+  /**
+   * Explain Code Command
+   */
+  async explainCode(options = {}) {
+    const context = this.getCodeContext(options.range);
+    if (!context) return;
+    this.setLastCommand('netpad.explainCode', context, options);
+
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "Generating explanation...",
+        cancellable: true
+      }, async (progress, token) => {
+        const input = {
+          code: context.code,
+          language: context.language,
+          analysisType: 'explanation'
+        };
+
+        const result = await this.netpad.executeCommand('code_analysis', input, { forceRefresh: options.forceRefresh, signal: this.toAbortSignal(token) });
+
+        if (result?.output) {
+          this.showResults('Code Explanation', result.output);
+          this.recordResult('Code Explanation', 'netpad.explainCode', context, { type: 'code_analysis', input }, result.output);
+          this.notifyComplete('Code explanation ready!', result, refresh => this.explainCode({ range: options.range, ...refresh }));
+        } else {
+          vscode.window.showWarningMessage('No explanation received');
+        }
+      });
+    } catch (error) {
+      this.showError('Explanation', error);
+    }
+  }
+
+  /**
+   * Explain Symbol Under Cursor Command: show the NetPad hover at the cursor
+   */
+  async explainHover() {
+    if (!vscode.window.activeTextEditor) return;
+
+    const mode = vscode.workspace.getConfiguration('netpad').get('hoverExplanations', 'off');
+    if (mode === 'off') {
+      const choice = await vscode.window.showInformationMessage(
+        'NetPad hover explanations are turned off.',
+        'Enable'
+      );
+      if (choice !== 'Enable') return;
+      await vscode.workspace.getConfiguration('netpad').update('hoverExplanations', 'onKeyPress', vscode.ConfigurationTarget.Global);
+    }
+
+    this.hoverProvider.arm();
+    await vscode.commands.executeCommand('editor.action.showHover');
+  }
+
+  /**
+   * Explanation request used by the hover; shares its cache entry with Explain Code
+   */
+  async explainForHover(code, document) {
+    if (!this.netpad.isConfigured()) return null;
+
+    return this.netpad.executeCommand('code_analysis', {
+      code,
+      language: this.detectLanguage(document),
+      analysisType: 'explanation'
+    });
+  }
+
+  /**
+   * Refactor Code Command
+   */
+  async refactorCode(options = {}) {
+    const context = this.getCodeContext(options.range);
+    if (!context) return;
+    this.setLastCommand('netpad.refactorCode', context, options);
+
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "Generating refactoring suggestions...",
+        cancellable: true
+      }, async (progress, token) => {
+        const input = {
+          code: context.code,
+          language: context.language,
+          analysisType: 'refactor',
+          context: {
+            fileName: context.fileName,
+            surroundingCode: context.fullDocument.substring(
+              Math.max(0, context.code.indexOf(context.code) - 500),
+              context.code.indexOf(context.code) + context.code.length + 500
+            )
+          }
+        };
+
+        const result = await this.netpad.executeCommand('code_analysis', input, { forceRefresh: options.forceRefresh, signal: this.toAbortSignal(token) });
+
+        if (result?.output) {
+          this.showResults('Refactoring Suggestions', result.output);
+          this.recordResult('Refactoring Suggestions', 'netpad.refactorCode', context, { type: 'code_analysis', input }, result.output);
+          this.notifyComplete('Refactoring suggestions ready!', result, refresh => this.refactorCode({ range: options.range, ...refresh }));
+        } else {
+          vscode.window.showWarningMessage('No refactoring suggestions received');
+        }
+      });
+    } catch (error) {
+      this.showError('Refactoring', error);
+    }
+  }
+
+  /**
+   * Refactor Code (Preview Edit) Command: request replacement code for the
+   * selected lines and review it as a diff before applying
+   */
+  async refactorWithPreview(options = {}) {
+    const context = this.getCodeContext(options.range);
+    if (!context) return;
+    this.setLastCommand('netpad.refactorWithPreview', context, options);
+
+    // Whole lines, so changes can be split into per-line hunks
+    const { document, selection } = context;
+    const lastLine = selection.end.character === 0 && selection.end.line > selection.start.line
+      ? selection.end.line - 1
+      : selection.end.line;
+    const range = new vscode.Range(selection.start.line, 0, lastLine, document.lineAt(lastLine).range.end.character);
+    const version = document.version;
+
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "Generating refactored code...",
+        cancellable: true
+      }, async (progress, token) => {
+        const input = {
+          code: document.getText(range),
+          language: context.language,
+          analysisType: 'refactor',
+          responseFormat: 'replacement',
+          context: {
+            fileName: context.fileName
+          }
+        };
+
+        const result = await this.netpad.executeCommand('code_analysis', input, { forceRefresh: options.forceRefresh, signal: this.toAbortSignal(token) });
+        const replacement = extractReplacement(result);
+
+        if (result?.output) {
+          this.showResults('Refactoring', result.output);
+          this.recordResult('Refactoring', 'netpad.refactorWithPreview', context, { type: 'code_analysis', input }, result.output);
+        }
+
+        if (replacement === null) {
+          vscode.window.showWarningMessage('NetPad did not return replacement code for this selection');
+          return;
+        }
+
+        await this.refactorPreview.propose(document, range, version, replacement);
+      });
+    } catch (error) {
+      this.showError('Refactoring', error);
+    }
+  }
+
+  /**
+   * Fix Diagnostic Command: send a diagnostic and the code around it to NetPad
+   * and preview the returned fix as an edit
+   */
+  async fixDiagnostic(options = {}) {
+    const editor = vscode.window.activeTextEditor;
+    const { diagnostic } = options;
+    if (!editor || !diagnostic) return;
+
+    const document = editor.document;
+    const version = document.version;
+    const startLine = Math.max(0, diagnostic.range.start.line - FIX_CONTEXT_LINES);
+    const endLine = Math.min(document.lineCount - 1, diagnostic.range.end.line + FIX_CONTEXT_LINES);
+    const range = new vscode.Range(startLine, 0, endLine, document.lineAt(endLine).range.end.character);
+    const context = {
+      fileName: document.fileName,
+      language: this.detectLanguage(editor.document),
+      lineStart: startLine,
+      lineEnd: endLine
+    };
+
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "Generating a fix...",
+        cancellable: true
+      }, async (progress, token) => {
+        const input = {
+          code: document.getText(range),
+          language: context.language,
+          analysisType: 'fix',
+          responseFormat: 'replacement',
+          diagnostic: {
+            message: diagnostic.message,
+            source: diagnostic.source || null,
+            code: diagnostic.code?.value ?? diagnostic.code ?? null,
+            // 1-based lines relative to the submitted code
+            lineStart: diagnostic.range.start.line - startLine + 1,
+            lineEnd: diagnostic.range.end.line - startLine + 1
+          },
+          context: {
+            fileName: context.fileName
+          }
+        };
+
+        const result = await this.netpad.executeCommand('code_analysis', input, { forceRefresh: options.forceRefresh, signal: this.toAbortSignal(token) });
+        const replacement = extractReplacement(result);
+
+        if (result?.output) {
+          this.showResults('Diagnostic Fix', result.output);
+          this.recordResult('Diagnostic Fix', 'netpad.fixDiagnostic', context, { type: 'code_analysis', input }, result.output);
+        }
+
+        if (replacement === null) {
+          vscode.window.showWarningMessage('NetPad did not return a fix for this diagnostic');
+          return;
+        }
+
+        await this.refactorPreview.propose(document, range, version, replacement);
+      });
+    } catch (error) {
+      this.showError('Fix', error);
+    }
+  }
+
+  /**
+   * Extract Data Lineage Command
+   */
+  async extractDataLineage(options = {}) {
+    // `embedded`: the lineage of the SQL in a string literal rather than of the code around it
+    const context = options.embedded ? await this.getSqlContext(options) : this.getCodeContext(options.range);
+    if (!context) return;
+    if (context.embedded) options = { ...options, range: context.selection };
+    this.setLastCommand('netpad.extractDataLineage', context, options);
+
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "Extracting data lineage...",
+        cancellable: true
+      }, async (progress, token) => {
+        const input = {
+          code: context.code,
+          language: context.language,
+          fileName: context.fileName
+        };
+
+        const result = await this.netpad.executeCommand('data_lineage_extraction', input, { forceRefresh: options.forceRefresh, signal: this.toAbortSignal(token) });
+
+        if (result?.output) {
+          this.showResults('Data Lineage', result.output);
+          this.recordResult('Data Lineage', 'netpad.extractDataLineage', context, { type: 'data_lineage_extraction', input }, result.output);
+
+          const graph = parseLineage(result, context.code);
+          this.lastLineage = {
+            graph,
+            origin: { uri: context.document.uri, lineStart: context.lineStart, fileName: context.fileName }
+          };
+          if (graph.nodes.length > 0) {
+            this.lineagePanel.show(graph, this.lastLineage.origin);
+          }
+          this.notifyComplete('Data lineage extraction complete!', result, refresh => this.extractDataLineage({ range: options.range, embedded: options.embedded, ...refresh }));
+        } else {
+          vscode.window.showWarningMessage('No data lineage information received');
+        }
+      });
+    } catch (error) {
+      this.showError('Data lineage extraction', error);
+    }
+  }
+
+  /**
+   * Show Lineage Graph Command: reopen the graph of the last lineage extraction
+   */
+  async showLineageGraph() {
+    if (!this.lastLineage) {
+      vscode.window.showInformationMessage('Run "NetPad: Extract Data Lineage" on a selection first.');
+      return;
+    }
+    this.lineagePanel.show(this.lastLineage.graph, this.lastLineage.origin);
+  }
+
+  /**
+   * Build Project Lineage Command: extract lineage from every matching file
+   * into the lineage index and show the merged graph
+   */
+  async buildProjectLineage() {
+    if (!vscode.workspace.workspaceFolders?.length) {
+      vscode.window.showErrorMessage('Open a folder or workspace to build project lineage');
+      return;
+    }
+
+    const config = vscode.workspace.getConfiguration('netpad');
+    const include = await vscode.window.showInputBox({
+      prompt: 'Files to extract lineage from (glob pattern)',
+      value: this.lineageIndex.include || config.get('lineageInclude', DEFAULT_LINEAGE_INCLUDE)
+    });
+    if (!include) return;
+
+    const exclude = await vscode.window.showInputBox({
+      prompt: 'Files to skip (glob pattern, leave empty to skip nothing)',
+      value: this.lineageIndex.exclude ?? config.get('workspaceExclude', DEFAULT_WORKSPACE_EXCLUDE)
+    });
+    if (exclude === undefined) return;
+
+    try {
+      this.netpad.requireClient();
+
+      const uris = await vscode.workspace.findFiles(include, exclude || null, config.get('workspaceMaxFiles', 500));
+      if (uris.length === 0) {
+        vscode.window.showWarningMessage(`No files match ${include}`);
+        return;
+      }
+
+      this.lineageIndex.setScope(include, exclude);
+      const stats = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Extracting lineage from ${uris.length} file${uris.length === 1 ? '' : 's'}`,
+        cancellable: true
+      }, (progress, token) => this.lineageIndex.update(uris, {
+        prune: true,
+        concurrency: config.get('workspaceConcurrency', 4),
+        progress,
+        signal: this.toAbortSignal(token)
+      }));
+
+      if (config.get('lineageAutoUpdate', true)) {
+        this.lineageIndex.watch();
+      }
+      this.showProjectLineage();
+
+      const failed = stats.failed ? `, ${stats.failed} failed (see the NetPad output)` : '';
+      vscode.window.showInformationMessage(`Project lineage: ${stats.extracted} file${stats.extracted === 1 ? '' : 's'} extracted, ${stats.unchanged} unchanged${failed}.`);
+    } catch (error) {
+      this.showError('Project lineage', error);
+    }
+  }
+
+  /**
+   * Show Project Lineage Command: the merged graph from the lineage index
+   */
+  showProjectLineage() {
+    if (this.lineageIndex.size === 0) {
+      vscode.window.showInformationMessage('Run "NetPad: Build Project Lineage" first.');
+      return;
+    }
+
+    const graph = this.lineageIndex.graph(this.getLineageOptions());
+    this.lineagePanel.show(graph, { project: true, fileName: vscode.workspace.name || 'project' });
+  }
+
+  getLineageOptions() {
+    return { defaultSchemas: vscode.workspace.getConfiguration('netpad').get('lineageDefaultSchemas', DEFAULT_SCHEMAS) };
+  }
+
+  /**
+   * Analyze Impact Command: every upstream producer and downstream consumer of
+   * a dataset or column across the project lineage index. `target` is a name
+   * (`orders`, `orders.customer_id`) or { dataset, field }; without one the
+   * user picks or types it.
+   */
+  async analyzeImpact(target) {
+    if (this.lineageIndex.size === 0) {
+      const choice = await vscode.window.showInformationMessage(
+        'Impact analysis uses the project lineage index, which is empty.',
+        'Build Project Lineage'
+      );
+      if (choice) await this.buildProjectLineage();
+      if (this.lineageIndex.size === 0) return;
+    }
+
+    const options = this.getLineageOptions();
+    const graph = this.lineageIndex.graph(options);
+    const text = typeof target === 'string'
+      ? target
+      : target?.dataset ? [target.dataset, target.field].filter(Boolean).join('.') : await this.pickImpactTarget(graph);
+    if (!text) return;
+
+    const resolved = resolveTarget(graph, text.trim(), options);
+    if (!resolved) {
+      vscode.window.showWarningMessage(`"${text}" is not a dataset in the project lineage index`);
+      return;
+    }
+
+    const result = analyzeImpact(graph, resolved);
+    const summary = describeBlastRadius(result);
+    this.impactProvider.show(result);
+    this.impactView.description = resolved.field ? `${resolved.dataset.label}.${resolved.field}` : resolved.dataset.label;
+    this.impactView.message = summary;
+    await vscode.commands.executeCommand('netpad.impact.focus');
+    vscode.window.setStatusBarMessage(`$(references) ${summary}`, 8000);
+  }
+
+  /**
+   * Quick pick of the project's datasets and known columns, or a typed name
+   */
+  async pickImpactTarget(graph) {
+    const count = (node, role) => new Set(node.references.filter(reference => reference.role === role).map(reference => reference.file)).size;
+    const datasets = graph.nodes
+      .filter(node => node.references)
+      .sort((a, b) => a.label.localeCompare(b.label))
+      .map(node => ({
+        label: node.label,
+        description: node.datasetType,
+        detail: `Written in ${count(node, 'write')} file(s), read in ${count(node, 'read')}`,
+        value: node.label
+      }));
+    const columns = [...new Set(graph.columns.flatMap(column => [
+      `${column.dataset}.${column.field}`,
+      ...column.inputs.map(input => `${input.dataset}.${input.field}`)
+    ]))].sort().map(name => ({ label: name, description: 'column', value: name }));
+
+    const picked = await vscode.window.showQuickPick([
+      { label: '$(edit) Type a dataset or column…', typed: true },
+      ...datasets,
+      ...columns
+    ], { placeHolder: 'Dataset or column to analyze', matchOnDetail: true });
+    if (!picked) return null;
+
+    if (picked.typed) {
+      return vscode.window.showInputBox({ prompt: 'Dataset or column (e.g. public.orders or orders.customer_id)' });
+    }
+    return picked.value;
+  }
+
+  clearImpact() {
+    this.impactProvider.clear();
+    this.impactView.description = undefined;
+    this.impactView.message = undefined;
+  }
+
+  /**
+   * Clear Lineage Index Command
+   */
+  clearLineageIndex() {
+    const count = this.lineageIndex.size;
+    this.lineageIndex.clear();
+    vscode.window.showInformationMessage(`Removed ${count} file${count === 1 ? '' : 's'} from the lineage index`);
+  }
+
+  /**
+   * Export OpenLineage Command: the last extracted lineage (or the graph the
+   * lineage panel passes) as OpenLineage RunEvent or DatasetEvent JSON,
+   * saved to a file or opened in an editor
+   */
+  async exportOpenLineage(target) {
+    const lineage = target?.graph ? target : this.lastLineage;
+    if (!lineage) {
+      vscode.window.showInformationMessage('Run "NetPad: Extract Data Lineage" on a selection first.');
+      return;
+    }
+
+    const kind = await vscode.window.showQuickPick([
+      { label: 'RunEvent', description: 'One COMPLETE run of a job named after the file', eventKind: 'run' },
+      { label: 'DatasetEvents', description: 'One event per source and sink dataset', eventKind: 'dataset' }
+    ], { placeHolder: 'OpenLineage event type' });
+    if (!kind) return;
+
+    const destination = await vscode.window.showQuickPick(
+      ['Save to File…', 'Open in Editor'],
+      { placeHolder: 'Export OpenLineage JSON to...' }
+    );
+    if (!destination) return;
+
+    const { graph, origin } = lineage;
+    const fileName = origin.fileName ? vscode.workspace.asRelativePath(origin.fileName, false) : null;
+    const events = toOpenLineage(graph, {
+      eventKind: kind.eventKind,
+      namespace: vscode.workspace.getConfiguration('netpad').get('openLineageNamespace', 'netpad'),
+      fileName
+    });
+    const content = stringifyEvents(events);
+
+    try {
+      if (destination === 'Open in Editor') {
+        const document = await vscode.workspace.openTextDocument({ language: 'json', content });
+        await vscode.window.showTextDocument(document, { preview: false });
+        return;
+      }
+
+      const baseName = path.basename(origin.fileName || 'lineage', path.extname(origin.fileName || ''));
+      const folder = ((origin.uri && vscode.workspace.getWorkspaceFolder(origin.uri)) || vscode.workspace.workspaceFolders?.[0])?.uri;
+      const uri = await vscode.window.showSaveDialog({
+        defaultUri: folder ? vscode.Uri.joinPath(folder, `${baseName}-openlineage.json`) : undefined,
+        filters: { JSON: ['json'] }
+      });
+      if (!uri) return;
+
+      await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+      vscode.window.showInformationMessage(`OpenLineage ${kind.label} saved to ${vscode.workspace.asRelativePath(uri)}`);
+    } catch (error) {
+      this.showError('OpenLineage export', error);
+    }
+  }
+
+  /**
+   * Analyze Workspace Command: analyze every file matching a glob and
+   * collect the findings into one report
+   */
+  async analyzeWorkspace() {
+    if (!vscode.workspace.workspaceFolders?.length) {
+      vscode.window.showErrorMessage('Open a folder or workspace to analyze');
+      return;
+    }
+
+    const config = vscode.workspace.getConfiguration('netpad');
+    const include = await vscode.window.showInputBox({
+      prompt: 'Files to analyze (glob pattern)',
+      value: config.get('workspaceInclude', DEFAULT_WORKSPACE_INCLUDE)
+    });
+    if (!include) return;
+
+    const exclude = await vscode.window.showInputBox({
+      prompt: 'Files to skip (glob pattern, leave empty to skip nothing)',
+      value: config.get('workspaceExclude', DEFAULT_WORKSPACE_EXCLUDE)
+    });
+    if (exclude === undefined) return;
+
+    try {
+      this.netpad.requireClient();
+
+      const maxFiles = config.get('workspaceMaxFiles', 500);
+      const uris = await vscode.workspace.findFiles(include, exclude || null, maxFiles);
+      if (uris.length === 0) {
+        vscode.window.showWarningMessage(`No files match ${include}`);
+        return;
+      }
+
+      const report = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Analyzing ${uris.length} file${uris.length === 1 ? '' : 's'}`,
+        cancellable: true
+      }, (progress, token) => this.workspaceAnalyzer.analyze(uris, {
+        include,
+        exclude,
+        maxFiles,
+        concurrency: config.get('workspaceConcurrency', 4),
+        progress,
+        signal: this.toAbortSignal(token)
+      }));
+
+      this.lastWorkspaceReport = report;
+      await this.showWorkspaceReport(report);
+    } catch (error) {
+      this.showError('Workspace analysis', error);
+    }
+  }
+
+  /**
+   * Open a workspace report as Markdown and offer to export it
+   */
+  async showWorkspaceReport(report) {
+    const document = await vscode.workspace.openTextDocument({ language: 'markdown', content: renderReportMarkdown(report) });
+    await vscode.window.showTextDocument(document, { preview: false });
+
+    const { totals, analyzedCount, failed } = summarizeReport(report);
+    const findings = Object.values(totals).reduce((sum, count) => sum + count, 0);
+    const status = report.cancelled ? 'cancelled' : 'complete';
+    const choice = await vscode.window.showInformationMessage(
+      `Workspace analysis ${status}: ${findings} finding${findings === 1 ? '' : 's'} in ${analyzedCount} files${failed.length ? `, ${failed.length} failed` : ''}.`,
+      'Export Markdown…', 'Export HTML…'
+    );
+
+    if (choice === 'Export Markdown…') {
+      await this.exportWorkspaceReport('markdown');
+    } else if (choice === 'Export HTML…') {
+      await this.exportWorkspaceReport('html');
+    }
+  }
+
+  /**
+   * Export Workspace Report Command
+   */
+  async exportWorkspaceReport(format) {
+    const report = this.lastWorkspaceReport;
+    if (!report) {
+      vscode.window.showInformationMessage('Run "NetPad: Analyze Workspace" first.');
+      return;
+    }
+
+    if (format !== 'markdown' && format !== 'html') {
+      const picked = await vscode.window.showQuickPick(
+        [{ label: 'Markdown', format: 'markdown' }, { label: 'HTML', format: 'html' }],
+        { placeHolder: 'Export the workspace report as...' }
+      );
+      if (!picked) return;
+      format = picked.format;
+    }
+
+    const extension = format === 'html' ? 'html' : 'md';
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: folder ? vscode.Uri.joinPath(folder, `netpad-report.${extension}`) : undefined,
+      filters: format === 'html' ? { HTML: ['html'] } : { Markdown: ['md'] }
+    });
+    if (!uri) return;
+
+    try {
+      const content = format === 'html' ? renderReportHtml(report) : renderReportMarkdown(report);
+      await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+      vscode.window.showInformationMessage(`Report saved to ${vscode.workspace.asRelativePath(uri)}`);
+    } catch (error) {
+      this.showError('Report export', error);
+    }
+  }
+
+  /**
+   * Get Tools Command
+   */
+  async getTools() {
+    try {
+      if (!this.netpad.isConfigured()) {
+        vscode.window.showErrorMessage('NetPad API not configured. Please set your API key in settings.');
+        this.showResults('NetPad Configuration Required',
+          'To use NetPad tools, please configure your API credentials:\n\n' +
+          '1. Open Settings (Cmd/Ctrl + ,)\n' +
+          '2. Search for "netpad"\n' +
+          '3. Set your NetPad API URL and API Key\n\n' +
+          'Extension is loaded and ready to use once configured!'
+        );
+        return;
+      }
+
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "Fetching available tools...",
+        cancellable: true
+      }, async (progress, token) => {
+        const response = await this.netpad.getTools({ signal: this.toAbortSignal(token) });
+        this.tools = response.tools || [];
+        this.workflowDiagnostics.refresh();
+
+        if (this.tools.length > 0) {
+          const toolsList = this.tools.map(tool =>
+            `• ${tool.name}: ${tool.description || 'No description'}${tool.agentEnabled ? ' (Agent-enabled)' : ''}`
+          ).join('\n');
+
+          this.showResults('Available NetPad Tools', toolsList);
+          vscode.window.showInformationMessage(`Found ${this.tools.length} tools!`);
+        } else {
+          vscode.window.showWarningMessage('No tools available');
+        }
+      });
+    } catch (error) {
+      this.showError('Fetching tools', error);
+    }
+  }
+
+  /**
+   * Run Tool Command: pick one of NetPad's tools, ask for each parameter its
+   * schema describes (prefilled from the selection where one fits) and post
+   * them to /tools/execute
+   */
+  async runTool() {
+    if (!this.netpad.isConfigured()) {
+      vscode.window.showErrorMessage('NetPad API not configured. Please set your API key in settings.');
+      return;
+    }
+
+    if (this.tools.length === 0) {
+      try {
+        await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: "Fetching available tools...",
+          cancellable: true
+        }, async (progress, token) => {
+          const response = await this.netpad.getTools({ signal: this.toAbortSignal(token) });
+          this.tools = response.tools || [];
+          this.workflowDiagnostics.refresh();
+        });
+      } catch (error) {
+        this.showError('Fetching tools', error);
+        return;
+      }
+      if (this.tools.length === 0) {
+        vscode.window.showWarningMessage('No tools available');
+        return;
+      }
+    }
+
+    const picked = await vscode.window.showQuickPick(this.tools.map(tool => {
+      const parameters = toolParameters(tool);
+      return {
+        label: `$(tools) ${tool.name}`,
+        description: parameters
+          ? parameters.map(parameter => parameter.required ? parameter.name : `${parameter.name}?`).join(', ')
+          : 'parameters as JSON',
+        detail: tool.description || undefined,
+        tool
+      };
+    }), {
+      placeHolder: 'Select a NetPad tool to run',
+      matchOnDescription: true,
+      matchOnDetail: true
+    });
+    if (!picked) return;
+
+    const editor = vscode.window.activeTextEditor;
+    const context = editor ? {
+      code: editor.document.getText(editor.selection),
+      language: this.detectLanguage(editor.document),
+      fileName: editor.document.fileName,
+      lineStart: editor.selection.start.line,
+      lineEnd: editor.selection.end.line
+    } : {};
+
+    const parameters = await this.promptToolParameters(picked.tool, context);
+    if (!parameters) return;
+
+    await this.executeToolRun(picked.tool.name, parameters, context);
+  }
+
+  /**
+   * Ask for a tool's parameters one step at a time. Tools without a schema
+   * take a JSON object. Resolves to the parameters, or null when cancelled.
+   */
+  async promptToolParameters(tool, context) {
+    const parameters = toolParameters(tool);
+    if (!parameters) {
+      const text = await vscode.window.showInputBox({
+        title: `${tool.name}: parameters`,
+        prompt: `${tool.name} does not describe its parameters; enter them as a JSON object`,
+        value: context.code?.trim() ? JSON.stringify({ code: context.code, language: context.language }) : '{}',
+        validateInput: input => parseParameterValue({ name: 'parameters', type: 'object', required: true }, input).error || null
+      });
+      return text === undefined ? null : parseParameterValue({ name: 'parameters', type: 'object' }, text).value || {};
+    }
+
+    const prefill = selectionDefaults(parameters, context);
+    const values = {};
+    for (const [index, parameter] of parameters.entries()) {
+      const step = `${tool.name} (${index + 1}/${parameters.length})`;
+      const answer = await this.promptToolParameter(parameter, prefill[parameter.name], step);
+      if (!answer) return null;
+      if (answer.value !== undefined) values[parameter.name] = answer.value;
+    }
+    return values;
+  }
+
+  /**
+   * Ask for one parameter: a pick for enums and booleans, a choice between
+   * the selection and typing for multi-line selections, otherwise an input
+   * box checked against the parameter's type. Resolves to { value } (value
+   * undefined when left unset), or null when cancelled.
+   */
+  async promptToolParameter(parameter, prefill, step) {
+    const label = `${parameter.name}${parameter.required ? '' : ' (optional)'}`;
+    const options = Array.isArray(parameter.enum) && parameter.enum.length > 0
+      ? parameter.enum
+      : parameter.type === 'boolean' ? [true, false] : null;
+
+    if (options) {
+      const items = options.map(option => ({
+        label: formatParameterValue(option),
+        description: option === parameter.default ? 'default' : undefined,
+        value: option
+      }));
+      if (!parameter.required) items.push({ label: '$(circle-slash) Leave unset', value: undefined });
+      const item = await vscode.window.showQuickPick(items, {
+        title: `${step}: ${label}`,
+        placeHolder: parameter.description || `Choose a value for ${parameter.name}`
+      });
+      return item ? { value: item.value } : null;
+    }
+
+    if (typeof prefill === 'string' && prefill.includes('\n')) {
+      const lines = prefill.split('\n').length;
+      const choice = await vscode.window.showQuickPick([
+        { label: `$(selection) Selected code (${lines} lines)`, useSelection: true },
+        { label: '$(edit) Enter a value…', useSelection: false }
+      ], {
+        title: `${step}: ${label}`,
+        placeHolder: parameter.description || `Value for ${parameter.name}`
+      });
+      if (!choice) return null;
+      if (choice.useSelection) return { value: prefill };
+      prefill = undefined;
+    }
+
+    const text = await vscode.window.showInputBox({
+      title: `${step}: ${label}`,
+      prompt: [parameter.description, `(${parameter.type})`].filter(Boolean).join(' '),
+      value: formatParameterValue(prefill ?? parameter.default),
+      validateInput: input => parseParameterValue(parameter, input).error || null
+    });
+    return text === undefined ? null : { value: parseParameterValue(parameter, text).value };
+  }
+
+  /**
+   * Post a tool's parameters to /tools/execute and show its result
+   */
+  async executeToolRun(name, parameters, context) {
+    const title = `Tool: ${name}`;
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Running ${name}...`,
+        cancellable: true
+      }, async (progress, token) => {
+        const result = await this.netpad.executeTool(name, parameters, { signal: this.toAbortSignal(token) });
+        const output = this.getToolOutput(result);
+
+        if (!output) {
+          vscode.window.showWarningMessage(`No result received for ${title}`);
+          return;
+        }
+
+        this.showResults(title, output);
+        const entry = this.recordResult(title, 'netpad.runTool', context, { tool: name, parameters }, output);
+        await this.resultPanel.show(entry);
+      });
+    } catch (error) {
+      this.showError('Tool execution', error);
+    }
+  }
+
+  /**
+   * Text of a /tools/execute response: its output or result when that is
+   * text, otherwise the response as JSON
+   */
+  getToolOutput(result) {
+    if (result === undefined || result === null || result === '') return null;
+    const text = [result.output, result.result, result.data?.output].find(value => typeof value === 'string' && value.trim() !== '');
+    return text || (typeof result === 'string' ? result : JSON.stringify(result, null, 2));
+  }
+
+  /**
+   * Run Custom Workflow Command: pick a workflow defined in
+   * .netpad/workflows (JSON or YAML), or a single processor run on the
+   * selection, check its graph, bind the editor and workspace into its
+   * input nodes and post the graph to /workflow/run
+   */
+  async runCustomWorkflow() {
+    const { definitions, errors } = await this.loadWorkflowDefinitions();
+    errors.forEach(({ file, error }) => this.log(`Workflow ${file}: ${error.message}`));
+
+    let definition = null;
+    if (definitions.length > 0 || errors.length > 0) {
+      const picked = await this.pickWorkflow(definitions, errors);
+      if (!picked) return;
+      if (picked.invalid) {
+        await this.showWorkflowError(picked.invalid);
+        return;
+      }
+      definition = picked.definition;
+    }
+
+    if (!definition) {
+      if (!this.getCodeContext()) return;
+      const processorType = await vscode.window.showInputBox({
+        prompt: 'Enter workflow processor type (e.g., custom_processor, metadata_audit)',
+        placeHolder: 'e.g., custom_processor'
+      });
+      if (!processorType) return;
+      definition = processorWorkflow(processorType);
+    }
+
+    const findings = validateWorkflow(definition, { tools: this.tools });
+    if (!(await this.confirmWorkflow(definition, findings))) return;
+
+    const variables = this.getWorkflowVariables(definition);
+    let workflowGraph;
+    try {
+      workflowGraph = {
+        ...bindWorkflow(definition, variables),
+        context: {
+          project: `${this.editorName} NetPad Extension`,
+          sessionId: Date.now().toString(),
+          user: process.env.USER || 'netpad-user'
+        }
+      };
+    } catch (error) {
+      // Unknown variables, or ones with nothing to bind (no selection, no workspace)
+      this.log(`Workflow ${definition.name}: ${error.message}`);
+      const choice = await vscode.window.showErrorMessage(error.message, ...(definition.uri ? ['Open Definition'] : []));
+      if (choice === 'Open Definition') vscode.window.showTextDocument(definition.uri);
+      return;
+    }
+
+    const editor = vscode.window.activeTextEditor;
+    const context = {
+      fileName: variables.fileName || definition.uri?.fsPath || definition.name,
+      language: variables.language,
+      lineStart: editor?.selection.start.line,
+      lineEnd: editor?.selection.end.line
+    };
+
+    await this.executeWorkflowGraph(definition.name, workflowGraph, context);
+  }
+
+  /**
+   * Post a bound workflow graph to /workflow/run, show the run node by node
+   * and record its result
+   */
+  async executeWorkflowGraph(name, workflowGraph, context) {
+    let response;
+    try {
+      response = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Running custom workflow: ${name}`,
+        cancellable: true
+      }, (progress, token) => this.netpad.runWorkflowGraph(workflowGraph, { signal: this.toAbortSignal(token) }));
+    } catch (error) {
+      this.showError('Workflow execution', error);
+      return;
+    }
+
+    // Long runs come back as a job to poll
+    const jobId = workflowJobId(response);
+    if (jobId) {
+      const job = { jobId, name, context, graph: workflowGraph, startedAt: Date.now() };
+      await this.context.workspaceState.update(WORKFLOW_JOBS_KEY, [...this.getWorkflowJobs(), job]);
+      await this.followWorkflowJob(job);
+      return;
+    }
+
+    if (this.finishWorkflowRun({ name, context, graph: workflowGraph }, response)) {
+      vscode.window.showInformationMessage(`Workflow ${name} executed successfully.`);
+    }
+    this.workflowRunPanel.show(this.lastWorkflowRun);
+  }
+
+  /**
+   * Show and record a finished workflow run; returns whether it produced output
+   */
+  finishWorkflowRun({ name, context, graph }, response) {
+    this.lastWorkflowRun = { name, context, ...parseWorkflowRun(response, graph) };
+
+    const output = this.getWorkflowOutput(response);
+    if (!output) {
+      vscode.window.showWarningMessage('Workflow completed but returned no result.');
+      return false;
+    }
+    this.showResults(`Workflow: ${name}`, output);
+    this.recordResult(`Workflow: ${name}`, 'netpad.runCustomWorkflow', context, { graph }, output);
+    return true;
+  }
+
+  /**
+   * Asynchronous workflow runs being followed: [{ jobId, name, context, graph, startedAt }]
+   */
+  getWorkflowJobs() {
+    return this.context.workspaceState.get(WORKFLOW_JOBS_KEY, []);
+  }
+
+  async forgetWorkflowJob(jobId) {
+    await this.context.workspaceState.update(WORKFLOW_JOBS_KEY, this.getWorkflowJobs().filter(job => job.jobId !== jobId));
+  }
+
+  /**
+   * Follow every tracked workflow job again, each in its own notification
+   */
+  resumeWorkflowJobs() {
+    this.getWorkflowJobs().forEach(job => {
+      this.log(`Resuming workflow job ${job.jobId} (${job.name})`);
+      this.followWorkflowJob(job);
+    });
+  }
+
+  /**
+   * Poll a workflow job with node progress in a notification until it ends,
+   * then offer its results. Cancelling stops following the job; it may
+   * still finish on NetPad.
+   */
+  async followWorkflowJob(job) {
+    let response;
+    try {
+      response = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Workflow ${job.name}`,
+        cancellable: true
+      }, (progress, token) => {
+        let reported = 0;
+        return this.netpad.waitForWorkflowJob(job.jobId, {
+          signal: this.toAbortSignal(token),
+          onProgress: state => {
+            const done = state.totalNodes ? Math.round(100 * (state.completedNodes || 0) / state.totalNodes) : reported;
+            progress.report({ message: describeJob(state), increment: Math.max(0, done - reported) });
+            reported = Math.max(reported, done);
+          }
+        });
+      });
+    } catch (error) {
+      await this.forgetWorkflowJob(job.jobId);
+      if (error instanceof NetPadCancelledError) {
+        this.log(`Stopped following workflow job ${job.jobId} (${job.name})`);
+        vscode.window.setStatusBarMessage(`$(circle-slash) NetPad: stopped following workflow ${job.name}`, 5000);
+        return;
+      }
+      this.showError('Workflow execution', error);
+      return;
+    }
+
+    await this.forgetWorkflowJob(job.jobId);
+    const produced = this.finishWorkflowRun(job, response);
+    const run = this.lastWorkflowRun;
+    const seconds = Math.round((Date.now() - job.startedAt) / 1000);
+    const choice = await vscode.window.showInformationMessage(
+      `Workflow ${job.name} finished after ${seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`}${produced ? '' : ' without a result'}.`,
+      'Show Results'
+    );
+    if (choice === 'Show Results') this.workflowRunPanel.show(run);
+  }
+
+  /**
+   * Run a workflow again from one of its nodes, with edited inputs for it
+   * and the recorded outputs of the nodes before it
+   */
+  async rerunWorkflowFrom(run, nodeId, inputs) {
+    const graph = rerunFromNode(run, nodeId, inputs);
+    graph.context = { ...run.graph.context, sessionId: Date.now().toString() };
+    await this.executeWorkflowGraph(`${run.name} from ${nodeId}`, graph, run.context);
+  }
+
+  /**
+   * Show Workflow Run Command: reopen the last run's node-by-node view
+   */
+  async showWorkflowRun() {
+    if (!this.lastWorkflowRun) {
+      vscode.window.showInformationMessage('Run "NetPad: Run Custom Workflow" first.');
+      return;
+    }
+    this.workflowRunPanel.show(this.lastWorkflowRun);
+  }
+
+  /**
+   * Workflow definitions in every workspace folder's .netpad/workflows.
+   * Returns { definitions, errors }; definitions carry their `uri`, errors
+   * are { uri, file, error } for files that could not be read.
+   */
+  async loadWorkflowDefinitions() {
+    const definitions = [];
+    const errors = [];
+    const uris = await vscode.workspace.findFiles(WORKFLOW_GLOB);
+    uris.sort((a, b) => a.fsPath.localeCompare(b.fsPath));
+
+    for (const uri of uris) {
+      const file = vscode.workspace.asRelativePath(uri, false);
+      try {
+        // Through the document so unsaved edits count
+        const document = await vscode.workspace.openTextDocument(uri);
+        definitions.push({ ...parseWorkflowDefinition(document.getText(), file), uri });
+      } catch (error) {
+        errors.push({ uri, file, error });
+      }
+    }
+    return { definitions, errors };
+  }
+
+  /**
+   * Quick pick of workflow definitions, the files that failed to load and
+   * a single-processor run. Resolves to { definition }, { invalid } or
+   * undefined when dismissed; `definition` is null for a single processor.
+   */
+  async pickWorkflow(definitions, errors) {
+    const items = [
+      ...definitions.map(definition => ({
+        label: `$(symbol-event) ${definition.name}`,
+        description: definition.file,
+        detail: definition.description || `${definition.nodes.length} node${definition.nodes.length === 1 ? '' : 's'}`,
+        definition
+      })),
+      ...errors.map(invalid => ({
+        label: `$(error) ${invalid.file}`,
+        description: 'cannot be run',
+        detail: invalid.error.message,
+        invalid
+      })),
+      {
+        label: '$(add) Single processor…',
+        description: 'Run one processor type on the selection',
+        definition: null
+      }
+    ];
+    return vscode.window.showQuickPick(items, {
+      placeHolder: 'Select a workflow from .netpad/workflows',
+      matchOnDescription: true,
+      matchOnDetail: true
+    });
+  }
+
+  /**
+   * Open a workflow definition that failed to load at its error's position
+   */
+  async showWorkflowError({ uri, file, error }) {
+    const line = Math.max(0, (error.line || 1) - 1);
+    const column = Math.max(0, (error.column || 1) - 1);
+    await vscode.window.showTextDocument(uri, { selection: new vscode.Range(line, column, line, column) });
+    vscode.window.showErrorMessage(`${file}: ${error.message}`);
+  }
+
+  /**
+   * Report what validateWorkflow found before a workflow is run. Warnings
+   * are only logged; errors ask whether to run anyway. Resolves to true
+   * when the workflow should run.
+   */
+  async confirmWorkflow(definition, findings) {
+    findings.forEach(finding => this.log(`Workflow ${definition.name} (${finding.severity}): ${finding.message}`));
+    const errors = findings.filter(finding => finding.severity === 'error');
+    if (errors.length === 0) return true;
+
+    const choice = await vscode.window.showErrorMessage(
+      `Workflow "${definition.name}" has ${errors.length} problem${errors.length === 1 ? '' : 's'}: ${errors[0].message}`,
+      ...(definition.uri ? ['Show Problems'] : []),
+      'Run Anyway'
+    );
+    if (choice === 'Show Problems') {
+      const { line, column } = definition.locate(errors[0].path);
+      const position = new vscode.Position(line - 1, column - 1);
+      const editor = await vscode.window.showTextDocument(definition.uri, { selection: new vscode.Range(position, position) });
+      this.workflowDiagnostics.validate(editor.document);
+      vscode.commands.executeCommand('workbench.actions.view.problems');
+    }
+    return choice === 'Run Anyway';
+  }
+
+  /**
+   * Values for a workflow's ${variables}: the active editor's selection and
+   * file, and the workspace folder holding the definition
+   */
+  getWorkflowVariables(definition) {
+    const variables = {};
+    const editor = vscode.window.activeTextEditor;
+    if (editor) {
+      const { document, selection } = editor;
+      const code = document.getText(selection);
+      if (code.trim()) variables.selection = code;
+      variables.file = document.getText();
+      variables.fileName = document.fileName;
+      variables.relativeFile = vscode.workspace.asRelativePath(document.uri, false);
+      variables.language = this.detectLanguage(document);
+    }
+
+    const folder = (definition.uri && vscode.workspace.getWorkspaceFolder(definition.uri)) || vscode.workspace.workspaceFolders?.[0];
+    if (folder) {
+      variables.workspaceFolder = folder.uri.fsPath;
+      variables.workspaceName = folder.name;
+    }
+    return variables;
+  }
+
+  /**
+   * Extract the displayable result of a /workflow/run response
+   */
+  getWorkflowOutput(response) {
+    const data = response?.data ?? response;
+    // Nothing to show rather than "null" or "{}"
+    if (data === null || data === undefined || (typeof data === 'object' && Object.keys(data).length === 0)) return null;
+    return data.portData?.result || JSON.stringify(data);
+  }
+
+  /**
+   * SQL Metadata Lookup Command: the selection is parsed locally first, and the
+   * parsed tables, columns, CTEs and joins go along with the request and are
+   * shown next to NetPad's answer. Parse errors are reported before sending,
+   * and the parsed SQL is checked against any local schema sources.
+   */
+  async sqlMetadataLookup(options = {}) {
+    const context = await this.getSqlContext(options);
+    if (!context) return;
+    if (context.embedded) options = { ...options, range: context.selection, embedded: true };
+    this.setLastCommand('netpad.sqlMetadataLookup', context, options);
+
+    const dialect = this.getSqlDialect(context.document);
+    let parsed = null;
+    try {
+      parsed = parseSql(context.code, { dialect });
+    } catch (error) {
+      if (!(error instanceof NetPadSqlParseError)) {
+        this.showError('SQL metadata lookup', error);
+        return;
+      }
+      const choice = await this.reportSqlParseError(context, dialect, error);
+      if (choice === 'Change Dialect') {
+        if (await this.selectSqlDialect()) await this.sqlMetadataLookup(options);
+        return;
+      }
+      if (choice !== 'Send Anyway') return;
+    }
+
+    if (parsed) this.recordSqlReferences(context, parsed);
+    const schema = parsed ? await this.checkSqlSchema(context, parsed, dialect) : null;
+    const local = parsed ? [renderSqlSummary(parsed, { mapLine: line => this.editorLine(context, line) }), schema?.report].filter(Boolean).join('\n\n') : null;
+
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "Analyzing SQL metadata...",
+        cancellable: true
+      }, async (progress, token) => {
+        const input = {
+          sql: context.code,
+          fileName: context.fileName,
+          dialect,
+          ...(parsed ? { parsed } : {})
+        };
+
+        const result = await this.netpad.executeCommand('sql_metadata_lookup', input, { forceRefresh: options.forceRefresh, signal: this.toAbortSignal(token) });
+
+        const tables = parseSqlMetadata(result);
+        if (tables.length > 0) {
+          this.schemaProvider.update(model => tables.forEach(table => model.addTable(table.name, { ...table, source: 'netpad' })));
+        }
+
+        if (result?.output) {
+          const output = local ? `${result.output}\n\n${local}` : result.output;
+          this.showResults('SQL Metadata Analysis', output);
+          this.recordResult('SQL Metadata Analysis', 'netpad.sqlMetadataLookup', context, { type: 'sql_metadata_lookup', input }, output);
+          this.notifyComplete('SQL metadata analysis complete!', result, refresh => this.sqlMetadataLookup({ range: options.range, embedded: options.embedded, ...refresh }));
+        } else {
+          vscode.window.showWarningMessage('No SQL metadata received');
+        }
+      });
+    } catch (error) {
+      // The local parse and schema checks are still useful when NetPad cannot be reached
+      if (local && !(error instanceof NetPadCancelledError)) {
+        this.showResults('SQL Metadata Analysis (local)', local);
+      }
+      this.showError('SQL metadata lookup', error);
+    }
+  }
+
+  /**
+   * Check SQL Against Schema Command: parse the selection and cross-check it
+   * against the local schema sources without calling NetPad
+   */
+  async checkSqlAgainstSchema(options = {}) {
+    const context = await this.getSqlContext(options);
+    if (!context) return;
+
+    if (vscode.workspace.getConfiguration('netpad').get('schemaSources', []).length === 0) {
+      const choice = await vscode.window.showInformationMessage(
+        'No schema sources configured. Add DDL folders, SQLite databases or JSON schema exports to netpad.schemaSources.',
+        'Open Settings'
+      );
+      if (choice === 'Open Settings') {
+        vscode.commands.executeCommand('workbench.action.openSettings', 'netpad.schemaSources');
+      }
+      return;
+    }
+    if (!this.getSchemaRoot(context.document)) {
+      vscode.window.showWarningMessage('Schema sources are relative to a workspace folder. Open a folder or save the file first.');
+      return;
+    }
+
+    const dialect = this.getSqlDialect(context.document);
+    let parsed;
+    try {
+      parsed = parseSql(context.code, { dialect });
+    } catch (error) {
+      if (!(error instanceof NetPadSqlParseError)) {
+        this.showError('SQL schema check', error);
+        return;
+      }
+      const choice = await this.reportSqlParseError(context, dialect, error, ['Change Dialect']);
+      if (choice === 'Change Dialect' && await this.selectSqlDialect()) await this.checkSqlAgainstSchema(options);
+      return;
+    }
+
+    try {
+      this.recordSqlReferences(context, parsed);
+      const { findings, report } = await this.checkSqlSchema(context, parsed, dialect);
+      this.showResults('SQL Schema Check', `${report}\n\n${renderSqlSummary(parsed, { mapLine: line => this.editorLine(context, line) })}`);
+      vscode.window.setStatusBarMessage(
+        `NetPad: ${findings.length === 0 ? 'no schema problems found' : `${findings.length} schema finding${findings.length === 1 ? '' : 's'}`}`,
+        5000
+      );
+    } catch (error) {
+      this.showError('SQL schema check', error);
+    }
+  }
+
+  /**
+   * Cross-check parsed SQL against the netpad.schemaSources and publish the
+   * findings as diagnostics on the selection. Returns { findings, report },
+   * or null when no schema sources are configured.
+   */
+  async checkSqlSchema(context, parsed, dialect) {
+    const paths = vscode.workspace.getConfiguration('netpad').get('schemaSources', []);
+    if (paths.length === 0) return null;
+
+    const root = this.getSchemaRoot(context.document);
+    if (!root) {
+      this.log('Schema sources are relative to a workspace folder; open a folder or save the file to check against them');
+      return null;
+    }
+    const { catalog, sources, errors } = await this.schemaSources.load(paths, {
+      root,
+      dialect,
+      defaultSchemas: this.getLineageOptions().defaultSchemas
+    });
+    errors.forEach(error => this.log(`Schema source ${error.source}: ${error.message}`));
+    this.schemaProvider.update(model => model.setLocal(catalog, { root }));
+
+    const findings = checkSql(parsed, catalog);
+    this.diagnostics.publish(context.document, context, findings.map(finding => ({
+      lineStart: this.editorLine(context, finding.line) - context.lineStart,
+      lineEnd: this.editorLine(context, finding.line) - context.lineStart,
+      severity: finding.severity,
+      message: finding.message
+    })));
+
+    const report = renderSchemaReport(findings, { tables: catalog.size, sources, errors, mapLine: line => this.editorLine(context, line) });
+    return { findings, report };
+  }
+
+  /**
+   * Record the tables and columns parsed SQL references in the schema
+   * explorer, replacing what was recorded for the same lines before
+   */
+  recordSqlReferences(context, parsed) {
+    const { uri } = context.document;
+    if (uri.scheme !== 'file') return;
+
+    const file = vscode.workspace.asRelativePath(uri);
+    const references = [];
+    const columns = new Map();
+    parsed.statements.forEach(statement => {
+      const names = new Map(statement.tables.map(table => [table.name.toLowerCase(), table.name]));
+      statement.tables.forEach(table => {
+        references.push({ table: table.name, line: this.editorLine(context, table.line), role: table.role });
+      });
+      statement.columns.forEach(column => {
+        const table = column.table && names.get(column.table.toLowerCase());
+        if (!table || column.name === '*') return;
+        if (!columns.has(table)) columns.set(table, []);
+        columns.get(table).push({ name: column.name, type: null });
+      });
+    });
+
+    this.schemaProvider.update(model => {
+      model.setReferences(file, references, { lineStart: context.lineStart + 1, lineEnd: context.lineEnd + 1, uri: uri.toString() });
+      columns.forEach((tableColumns, table) => model.addTable(table, { columns: tableColumns }));
+    });
+  }
+
+  /**
+   * Folder the netpad.schemaSources paths are read relative to: the
+   * document's workspace folder, else the first folder, else the folder of
+   * a saved file. Null when there is none.
+   */
+  getSchemaRoot(document) {
+    const folder = (document && vscode.workspace.getWorkspaceFolder(document.uri)) || vscode.workspace.workspaceFolders?.[0];
+    if (folder) return folder.uri.fsPath;
+    return document?.uri.scheme === 'file' ? path.dirname(document.uri.fsPath) : null;
+  }
+
+  /**
+   * Load the netpad.schemaSources into the schema explorer, relative to the
+   * active editor's workspace folder
+   */
+  async loadLocalSchema() {
+    const root = vscode.workspace.workspaceFolders?.length ? this.getSchemaRoot(vscode.window.activeTextEditor?.document) : null;
+    if (!root) return null;
+
+    const paths = vscode.workspace.getConfiguration('netpad').get('schemaSources', []);
+    const { catalog, errors } = await this.schemaSources.load(paths, {
+      root,
+      dialect: this.getSqlDialect(null),
+      defaultSchemas: this.getLineageOptions().defaultSchemas
+    });
+    errors.forEach(error => this.log(`Schema source ${error.source}: ${error.message}`));
+    this.schemaProvider.update(model => model.setLocal(catalog, { root }));
+    return catalog;
+  }
+
+  /**
+   * Refresh Schema Command: reread the local schema sources
+   */
+  async refreshSchema() {
+    try {
+      const catalog = await this.loadLocalSchema();
+      if (catalog) {
+        vscode.window.setStatusBarMessage(`NetPad: ${catalog.size} table${catalog.size === 1 ? '' : 's'} from local schema sources`, 5000);
+      }
+    } catch (error) {
+      this.showError('Schema refresh', error);
+    }
+  }
+
+  /**
+   * Search Schema Command: show only tables whose name or a column matches
+   */
+  async searchSchema() {
+    const filter = await vscode.window.showInputBox({
+      prompt: 'Filter tables and columns by name',
+      placeHolder: 'e.g. orders or customer_id',
+      value: this.schemaProvider.filter
+    });
+    if (filter === undefined) return;
+    this.setSchemaFilter(filter.trim());
+  }
+
+  setSchemaFilter(filter) {
+    this.schemaProvider.setFilter(filter);
+    this.schemaView.message = filter ? `Showing tables and columns matching "${filter}"` : undefined;
+    vscode.commands.executeCommand('setContext', 'netpad.schemaFiltered', Boolean(filter));
+  }
+
+  /**
+   * Open Referencing Code Command: for a table, pick among the places that
+   * reference or define it; a file entry opens its first reference
+   */
+  async openSchemaReference(element) {
+    const references = element?.type === 'file' ? element.references : element?.table?.references || [];
+    if (references.length === 0) {
+      vscode.window.showInformationMessage('No code references recorded for this table yet.');
+      return;
+    }
+
+    let reference = references[0];
+    if (element.type !== 'file' && references.length > 1) {
+      const picked = await vscode.window.showQuickPick(references.map(entry => ({
+        label: entry.line ? `${entry.file}:${entry.line}` : entry.file,
+        description: entry.role,
+        reference: entry
+      })), { placeHolder: `Code referencing ${element.table.name}` });
+      if (!picked) return;
+      reference = picked.reference;
+    }
+
+    const open = this.schemaProvider.openCommand(reference);
+    if (!open) {
+      vscode.window.showWarningMessage(`Cannot open ${reference.file} without a workspace folder`);
+      return;
+    }
+    await vscode.commands.executeCommand(open.command, ...open.arguments);
+  }
+
+  /**
+   * Copy Qualified Name Command: `schema.table` or `schema.table.column`
+   */
+  async copySchemaName(element) {
+    const name = element && qualifiedName(element);
+    if (!name) return;
+    await vscode.env.clipboard.writeText(name);
+    vscode.window.setStatusBarMessage(`NetPad: copied ${name}`, 3000);
+  }
+
+  /**
+   * Clear Schema Command
+   */
+  clearSchema() {
+    const count = this.schemaProvider.model.size;
+    this.schemaProvider.clear();
+    vscode.window.showInformationMessage(`Removed ${count} table${count === 1 ? '' : 's'} from the schema explorer`);
+  }
+
+  /**
+   * SQL dialect for a document: the netpad.sqlDialect setting, or with `auto`
+   * the dialect named by the document's language id
+   */
+  getSqlDialect(document) {
+    const setting = vscode.workspace.getConfiguration('netpad').get('sqlDialect', 'auto');
+    if (setting !== 'auto') return setting;
+    return dialectForLanguage(document?.languageId) || DEFAULT_DIALECT;
+  }
+
+  /**
+   * Code context for SQL commands. In JavaScript, TypeScript and Python the
+   * SQL is read from the string literal at the cursor or in the selection
+   * (asking which when there are several); elsewhere it is the selection.
+   */
+  async getSqlContext(options = {}) {
+    const editor = vscode.window.activeTextEditor;
+    const document = editor?.document;
+    if (!document || !supportsEmbeddedSql(document.languageId)) return this.getCodeContext(options.range);
+
+    const range = options.range || editor.selection;
+    const start = document.offsetAt(range.start);
+    const end = document.offsetAt(range.end);
+    const queries = findEmbeddedSql(document.getText(), { languageId: document.languageId })
+      .filter(query => query.start <= end && query.end >= start);
+
+    if (queries.length === 0) {
+      if (options.embedded || range.isEmpty) {
+        vscode.window.showErrorMessage('No embedded SQL found at the cursor');
+        return null;
+      }
+      return this.getCodeContext(options.range);
+    }
+
+    const query = queries.length === 1 ? queries[0] : await this.pickEmbeddedSql(queries, 'The selection has several SQL queries; pick one');
+    return query ? this.getEmbeddedSqlContext(document, query) : null;
+  }
+
+  /**
+   * Code context for one embedded SQL query; its selection is the string literal
+   */
+  getEmbeddedSqlContext(document, query) {
+    const selection = new vscode.Range(document.positionAt(query.start), document.positionAt(query.end));
+    return {
+      code: query.sql,
+      language: 'sql',
+      fileName: document.fileName,
+      lineStart: selection.start.line,
+      lineEnd: selection.end.line,
+      selection,
+      fullDocument: document.getText(),
+      document,
+      embedded: query
+    };
+  }
+
+  /**
+   * 1-based editor line of a 1-based line of the context's code; lines of
+   * embedded SQL follow the string literal they were read from
+   */
+  editorLine(context, line) {
+    const lines = context.embedded?.lines;
+    return lines ? lines[Math.min(line, lines.length) - 1].line + 1 : context.lineStart + line;
+  }
+
+  /**
+   * Quick pick of embedded SQL queries; returns the query picked
+   */
+  async pickEmbeddedSql(queries, placeHolder) {
+    const items = queries.map(query => ({
+      label: `$(database) ${previewSql(query.sql)}`,
+      description: [`Line ${query.line + 1}`, query.label].filter(Boolean).join(' · '),
+      detail: query.placeholders.length > 0 ? `Parameters: ${query.placeholders.join(', ')}` : undefined,
+      query
+    }));
+    const picked = await vscode.window.showQuickPick(items, { placeHolder, matchOnDescription: true });
+    return picked?.query;
+  }
+
+  /**
+   * Find Embedded SQL Command: list the SQL in string literals of the file
+   * (or the selection) and run SQL Metadata Lookup, the schema check or
+   * lineage extraction on the query picked
+   */
+  async findEmbeddedSql() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+      vscode.window.showErrorMessage('No active editor');
+      return;
+    }
+    const { document, selection } = editor;
+    if (!supportsEmbeddedSql(document.languageId)) {
+      vscode.window.showInformationMessage('Embedded SQL is found in JavaScript, TypeScript and Python files.');
+      return;
+    }
+
+    const [start, end] = [document.offsetAt(selection.start), document.offsetAt(selection.end)];
+    const queries = findEmbeddedSql(document.getText(), { languageId: document.languageId })
+      .filter(query => selection.isEmpty || (query.start <= end && query.end >= start));
+    if (queries.length === 0) {
+      vscode.window.showInformationMessage(`No embedded SQL found in ${selection.isEmpty ? 'this file' : 'the selection'}.`);
+      return;
+    }
+
+    const query = await this.pickEmbeddedSql(queries, `${queries.length} SQL quer${queries.length === 1 ? 'y' : 'ies'} found; pick one to analyze`);
+    if (!query) return;
+    const range = new vscode.Range(document.positionAt(query.start), document.positionAt(query.end));
+    editor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+
+    const action = await vscode.window.showQuickPick([
+      { label: 'SQL Metadata Lookup', command: 'netpad.sqlMetadataLookup' },
+      { label: 'Check Against Local Schema', command: 'netpad.checkSqlAgainstSchema' },
+      { label: 'Extract Data Lineage', command: 'netpad.extractDataLineage' }
+    ], { placeHolder: previewSql(query.sql) });
+    if (action) {
+      await vscode.commands.executeCommand(action.command, { range, embedded: true });
+    }
+  }
+
+  /**
+   * Show a local SQL parse error as a diagnostic on the selection and offer
+   * `actions` (by default sending anyway or changing dialect); returns the
+   * chosen action
+   */
+  reportSqlParseError(context, dialect, error, actions = ['Send Anyway', 'Change Dialect']) {
+    const line = this.editorLine(context, error.line);
+    const start = context.embedded?.lines[error.line - 1];
+    const column = start ? start.character + error.column
+      : error.line === 1 ? context.selection.start.character + error.column : error.column;
+    const label = DIALECTS[dialect].label;
+
+    this.diagnostics.publish(context.document, context, [{
+      lineStart: line - context.lineStart,
+      lineEnd: line - context.lineStart,
+      severity: 'error',
+      message: `SQL parse error (${label}): ${error.message}`
+    }]);
+    this.log(`SQL parse error (${label}) at line ${line}, column ${column}: ${error.message}`);
+
+    return vscode.window.showErrorMessage(
+      `SQL parse error (${label}) at line ${line}, column ${column}: ${error.message}`,
+      ...actions
+    );
+  }
+
+  /**
+   * Select SQL Dialect Command: pick the dialect SQL is parsed in; returns
+   * false when the pick was dismissed
+   */
+  async selectSqlDialect() {
+    const current = vscode.workspace.getConfiguration('netpad').get('sqlDialect', 'auto');
+    const items = [
+      { label: 'Auto', description: 'From the file\'s language, otherwise PostgreSQL', value: 'auto' },
+      ...Object.entries(DIALECTS).map(([value, rules]) => ({ label: rules.label, value }))
+    ].map(item => ({ ...item, picked: item.value === current, detail: item.value === current ? 'Current' : undefined }));
+
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: 'SQL dialect for local parsing' });
+    if (!picked) return false;
+
+    const target = vscode.workspace.workspaceFolders ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global;
+    await vscode.workspace.getConfiguration('netpad').update('sqlDialect', picked.value, target);
+    vscode.window.setStatusBarMessage(`NetPad: SQL dialect set to ${picked.label}`, 3000);
+    return true;
+  }
+
+  /**
+   * Force Refresh Command: re-run the last analysis, bypassing the cache
+   */
+  async forceRefresh() {
+    if (!this.lastCommand) {
+      vscode.window.showInformationMessage('No NetPad analysis has been run yet.');
+      return;
+    }
+    // A range from a code action only applies to the document it came from
+    const { id, range, embedded, uri } = this.lastCommand;
+    const sameDocument = vscode.window.activeTextEditor?.document.uri.toString() === uri;
+    await vscode.commands.executeCommand(id, sameDocument ? { forceRefresh: true, range, embedded } : { forceRefresh: true });
+  }
+
+  /**
+   * Clear Cache Command
+   */
+  async clearCache() {
+    const removed = this.netpad.clearCache();
+    this.codeLensProvider.refresh();
+    this.hoverProvider.clear();
+    this.log(`Cleared ${removed} cached results`);
+    vscode.window.showInformationMessage(`NetPad cache cleared (${removed} ${removed === 1 ? 'entry' : 'entries'}).`);
+  }
+
+  /**
+   * Open Sidebar Command
+   */
+  async openSidebar() {
+    await vscode.commands.executeCommand('workbench.view.extension.netpad');
+  }
+
+  /**
+   * Show a history entry in the result panel
+   */
+  async showHistoryEntry(entry) {
+    const current = entry && this.history.get(entry.id);
+    if (!current) return;
+    await this.resultPanel.show(current);
+  }
+
+  /**
+   * Re-run a history entry with the code it was originally run on
+   */
+  async rerunHistoryEntry(entry) {
+    if (!entry?.request) return;
+
+    // Workflow runs may come back as jobs, which executeWorkflowGraph follows
+    if (entry.request.graph) {
+      const { fileName, language, lineStart, lineEnd } = entry;
+      await this.executeWorkflowGraph(entry.title.replace(/^Workflow: /, ''), entry.request.graph, { fileName, language, lineStart, lineEnd });
+      return;
+    }
+
+    if (entry.request.tool) {
+      const { fileName, language, lineStart, lineEnd } = entry;
+      await this.executeToolRun(entry.request.tool, entry.request.parameters || {}, { fileName, language, lineStart, lineEnd });
+      return;
+    }
+
+    try {
+      await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Re-running ${entry.title}...`,
+        cancellable: true
+      }, async (progress, token) => {
+        const signal = this.toAbortSignal(token);
+        const result = await this.netpad.executeCommand(entry.request.type, entry.request.input, { forceRefresh: true, signal });
+        const output = result?.output;
+
+        if (!output) {
+          vscode.window.showWarningMessage(`No result received for ${entry.title}`);
+          return;
+        }
+
+        this.showResults(entry.title, output);
+        const rerun = this.recordResult(entry.title, entry.commandId, entry, entry.request, output);
+        await this.resultPanel.show(rerun);
+      });
+    } catch (error) {
+      this.showError('Re-run', error);
+    }
+  }
+
+  /**
+   * Delete a history entry
+   */
+  async deleteHistoryEntry(entry) {
+    if (!entry) return;
+    this.history.delete(entry.id);
+    this.resultPanel.closeIfShowing(entry.id);
+  }
+
+  /**
+   * Release resources on deactivation
+   */
+  dispose() {
+    if (this.outputChannel) {
+      this.outputChannel.dispose();
+    }
+  }
+}
+
+module.exports = { NetPadExtension };
@@ -0,0 +1,154 @@
+// common/openLineage.js
+const crypto = require('crypto');
+const path = require('path');
+
+const PRODUCER = 'https://github.com/mrlynn/netpad-extensions';
+const SPEC_URL = 'https://openlineage.io/spec/2-0-2/OpenLineage.json';
+const FACET_URLS = {
+  schema: 'https://openlineage.io/spec/facets/1-1-1/SchemaDatasetFacet.json#/$defs/SchemaDatasetFacet',
+  columnLineage: 'https://openlineage.io/spec/facets/1-2-0/ColumnLineageDatasetFacet.json#/$defs/ColumnLineageDatasetFacet',
+  documentation: 'https://openlineage.io/spec/facets/1-0-1/DocumentationJobFacet.json#/$defs/DocumentationJobFacet',
+  jobType: 'https://openlineage.io/spec/facets/2-0-3/JobTypeJobFacet.json#/$defs/JobTypeJobFacet'
+};
+const DEFAULT_NAMESPACE = 'netpad';
+const DEFAULT_JOB_NAME = 'netpad_lineage';
+
+/**
+ * OpenLineage job name for a file: its path without extension, dot separated
+ * (`etl/load_customers.py` → `etl.load_customers`)
+ */
+function jobNameFromFile(fileName) {
+  if (!fileName) return DEFAULT_JOB_NAME;
+  const parsed = path.parse(String(fileName).replace(/\\/g, '/'));
+  const name = [...parsed.dir.split('/'), parsed.name]
+    .map(part => part.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, ''))
+    .filter(Boolean)
+    .join('.');
+  return name || DEFAULT_JOB_NAME;
+}
+
+function facet(kind, body, producer) {
+  return { _producer: producer, _schemaURL: FACET_URLS[kind], ...body };
+}
+
+/**
+ * Datasets, with the columns NetPad reported for each, resolved against the graph
+ */
+function collectDatasets(graph) {
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const sources = graph.nodes.filter(node => node.kind === 'source');
+  const sinks = graph.nodes.filter(node => node.kind === 'sink');
+  // Datasets a project both writes and reads are outputs of its run
+  const intermediates = graph.nodes.filter(node => node.kind === 'intermediate');
+  const datasets = [...sources, ...sinks, ...intermediates].map(node => ({ node, fields: new Map(), lineage: [] }));
+  const find = label => datasets.find(dataset => same(dataset.node.label, label));
+
+  // An unqualified column can only be placed when there is a single candidate
+  const resolve = (dataset, candidates) => {
+    if (dataset) return find(dataset) || null;
+    return candidates.length === 1 ? find(candidates[0].label) : null;
+  };
+  const addField = (dataset, field, type) => {
+    const existing = dataset.fields.get(field.toLowerCase());
+    if (!existing) dataset.fields.set(field.toLowerCase(), { name: field, type: type || undefined });
+    else if (!existing.type && type) existing.type = type;
+  };
+
+  (graph.columns || []).forEach(column => {
+    const target = resolve(column.dataset, sinks) || (column.inputs.length === 0 ? resolve(column.dataset, sources) : null);
+    if (!target) return;
+    addField(target, column.field, column.type);
+
+    const inputFields = column.inputs
+      .map(input => ({ input, dataset: resolve(input.dataset, sources) }))
+      .filter(({ dataset }) => dataset && dataset !== target)
+      .map(({ input, dataset }) => {
+        addField(dataset, input.field);
+        return { dataset, field: input.field };
+      });
+    if (inputFields.length > 0) {
+      target.lineage.push({ field: column.field, inputFields, transformation: column.transformation });
+    }
+  });
+
+  return datasets;
+}
+
+/**
+ * OpenLineage Dataset for one source or sink
+ */
+function toDataset(dataset, namespace, producer) {
+  const facets = {};
+  if (dataset.fields.size > 0) {
+    facets.schema = facet('schema', { fields: [...dataset.fields.values()] }, producer);
+  }
+  if (dataset.lineage.length > 0) {
+    const fields = {};
+    dataset.lineage.forEach(({ field, inputFields, transformation }) => {
+      fields[field] = {
+        inputFields: inputFields.map(input => ({ namespace, name: input.dataset.node.label, field: input.field })),
+        ...(transformation ? { transformationDescription: transformation } : {})
+      };
+    });
+    facets.columnLineage = facet('columnLineage', { fields }, producer);
+  }
+  return { namespace, name: dataset.node.label, facets };
+}
+
+/**
+ * Build OpenLineage events for a parsed lineage graph.
+ *
+ * `eventKind` 'run' (default) gives one COMPLETE RunEvent with the sources as
+ * inputs and the sinks as outputs; 'dataset' gives one DatasetEvent per dataset.
+ * Other options: namespace, jobName, fileName, runId, eventTime, producer.
+ */
+function toOpenLineage(graph, options = {}) {
+  const namespace = options.namespace || DEFAULT_NAMESPACE;
+  const producer = options.producer || PRODUCER;
+  const eventTime = options.eventTime || new Date().toISOString();
+  const datasets = collectDatasets(graph);
+  const asDataset = dataset => toDataset(dataset, namespace, producer);
+
+  if (options.eventKind === 'dataset') {
+    return datasets.map(dataset => ({
+      eventTime,
+      producer,
+      schemaURL: `${SPEC_URL}#/$defs/DatasetEvent`,
+      dataset: asDataset(dataset)
+    }));
+  }
+
+  const transformations = graph.nodes.filter(node => node.kind === 'transformation');
+  const jobFacets = {
+    jobType: facet('jobType', { processingType: 'BATCH', integration: 'NETPAD', jobType: 'JOB' }, producer)
+  };
+  if (transformations.length > 0) {
+    jobFacets.documentation = facet('documentation', {
+      description: transformations.map(node => `- ${node.label}${node.detail ? ` (${node.detail})` : ''}`).join('\n')
+    }, producer);
+  }
+
+  return [{
+    eventType: options.eventType || 'COMPLETE',
+    eventTime,
+    producer,
+    schemaURL: `${SPEC_URL}#/$defs/RunEvent`,
+    run: { runId: options.runId || crypto.randomUUID(), facets: {} },
+    job: {
+      namespace,
+      name: options.jobName || jobNameFromFile(options.fileName),
+      facets: jobFacets
+    },
+    inputs: datasets.filter(dataset => dataset.node.kind === 'source').map(asDataset),
+    outputs: datasets.filter(dataset => dataset.node.kind !== 'source').map(asDataset)
+  }];
+}
+
+/**
+ * JSON text for a list of events: one event as an object, several as an array
+ */
+function stringifyEvents(events) {
+  return JSON.stringify(events.length === 1 ? events[0] : events, null, 2) + '\n';
+}
+
+module.exports = { toOpenLineage, stringifyEvents, jobNameFromFile };
@@ -0,0 +1,154 @@
+// common/projectLineage.js
+const path = require('path');
+
+const DEFAULT_SCHEMAS = ['public', 'dbo', 'main'];
+const FILE_EXTENSIONS = /\.(csv|tsv|txt|json|jsonl|ndjson|parquet|avro|orc|xlsx?|feather|pkl|pickle|sqlite|db|delta)$/i;
+const TYPE_WORDS = /^(table|view|collection|topic|file|dataset)$/i;
+
+/**
+ * Dataset type from a NetPad detail such as "database table" or "MongoDB collection"
+ */
+function typeFromDetail(detail) {
+  const match = String(detail || '').match(/\b(collection|file|topic|view|table)\b/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function unquote(part) {
+  return part.trim().replace(/^["'`[]+|["'`\]]+$/g, '');
+}
+
+/**
+ * Canonical name for a dataset so the same table, file or collection
+ * mentioned differently in different files becomes one node:
+ *
+ * - `"Public"."Orders"`, `[dbo].[orders]` and `orders` → `orders`
+ *   (quotes dropped, a default schema such as public/dbo dropped)
+ * - `./data\raw.csv` → `data/raw.csv`; `s3://Bucket/x/` → `s3://bucket/x`
+ * - `db.getCollection('events')`, `events collection` → `events`
+ *
+ * Returns { key, name, type }; `key` is the case-insensitive identity.
+ */
+function normalizeDatasetName(label, options = {}) {
+  const defaultSchemas = (options.defaultSchemas || DEFAULT_SCHEMAS).map(schema => schema.toLowerCase());
+  let text = String(label).trim().replace(/\s+/g, ' ');
+  let type = typeFromDetail(options.detail);
+
+  // "orders table", "collection events"
+  const words = text.split(' ');
+  if (words.length > 1 && TYPE_WORDS.test(words[words.length - 1])) {
+    type = type || words.pop().toLowerCase();
+  } else if (words.length > 1 && TYPE_WORDS.test(words[0])) {
+    type = type || words.shift().toLowerCase();
+  }
+  text = words.join(' ');
+
+  const collection = text.match(/^(?:\w+\.)?(?:getCollection|collection)\(\s*['"`]([^'"`]+)['"`]\s*\)$/)
+    || text.match(/^\w+\[\s*['"`]([^'"`]+)['"`]\s*\]$/);
+  if (collection) {
+    return { key: collection[1].toLowerCase(), name: collection[1], type: 'collection' };
+  }
+
+  const uri = text.match(/^([a-z][\w+.-]*):\/\/([^/]*)(.*)$/i);
+  if (uri) {
+    const name = `${uri[1].toLowerCase()}://${uri[2].toLowerCase()}${uri[3].replace(/\/+$/, '')}`;
+    return { key: name.toLowerCase(), name, type: type || 'file' };
+  }
+
+  if (/[/\\]/.test(text) || FILE_EXTENSIONS.test(text)) {
+    const name = path.posix.normalize(unquote(text).replace(/\\/g, '/')).replace(/^\.\//, '').replace(/\/+$/, '');
+    return { key: name.toLowerCase(), name, type: type || 'file' };
+  }
+
+  const parts = text.split('.').map(unquote).filter(Boolean);
+  if (parts.length === 2 && defaultSchemas.includes(parts[0].toLowerCase())) {
+    parts.shift();
+  }
+  const name = parts.join('.') || text;
+  return { key: name.toLowerCase(), name, type: type || 'table' };
+}
+
+/**
+ * Merge per-file lineage graphs ([{ path, graph }]) into one project graph.
+ *
+ * Datasets with the same normalized name become one node that lists every
+ * file reading or writing it; datasets both written and read inside the
+ * project are `intermediate`. Transformations stay per file. Every node
+ * carries the `file` and 1-based `line` to reveal.
+ */
+function mergeGraphs(files, options = {}) {
+  const datasets = new Map();
+  const nodes = [];
+  const edges = [];
+  const columns = [];
+
+  const datasetNode = (node, file) => {
+    const { key, name, type } = normalizeDatasetName(node.label, { ...options, detail: node.detail });
+    let dataset = datasets.get(key);
+    if (!dataset) {
+      dataset = { id: `dataset:${key}`, label: name, kind: node.kind, detail: node.detail, datasetType: type, references: [] };
+      datasets.set(key, dataset);
+      nodes.push(dataset);
+    }
+    if (dataset.datasetType === 'table' && type !== 'table') dataset.datasetType = type;
+    dataset.detail = dataset.detail || node.detail;
+    dataset.references.push({ file, line: node.line, role: node.kind === 'sink' ? 'write' : 'read' });
+    return dataset;
+  };
+
+  files.forEach(({ path: file, graph }) => {
+    const ids = new Map();
+    const sources = graph.nodes.filter(node => node.kind === 'source');
+    const sinks = graph.nodes.filter(node => node.kind === 'sink');
+
+    graph.nodes.forEach(node => {
+      if (node.kind === 'transformation') {
+        const merged = { ...node, id: `${file}#${node.id}`, file };
+        ids.set(node.id, merged.id);
+        nodes.push(merged);
+      } else {
+        ids.set(node.id, datasetNode(node, file).id);
+      }
+    });
+
+    graph.edges.forEach(edge => {
+      const from = ids.get(edge.from);
+      const to = ids.get(edge.to);
+      if (from && to && from !== to && !edges.some(existing => existing.from === from && existing.to === to)) {
+        edges.push({ from, to, label: edge.label });
+      }
+    });
+
+    // Column datasets use the same names as the nodes; unqualified columns
+    // belong to the file's only sink (outputs) or only source (inputs)
+    const datasetName = (name, candidates) => {
+      const label = name || (candidates.length === 1 ? candidates[0].label : null);
+      return label ? normalizeDatasetName(label, options).name : null;
+    };
+    (graph.columns || []).forEach(column => {
+      const dataset = datasetName(column.dataset, column.inputs.length > 0 ? sinks : sources);
+      if (!dataset) return;
+      columns.push({
+        ...column,
+        dataset,
+        inputs: column.inputs
+          .map(input => ({ dataset: datasetName(input.dataset, sources), field: input.field }))
+          .filter(input => input.dataset),
+        file
+      });
+    });
+  });
+
+  datasets.forEach(dataset => {
+    const reads = dataset.references.some(reference => reference.role === 'read');
+    const writes = dataset.references.some(reference => reference.role === 'write');
+    dataset.kind = reads && writes ? 'intermediate' : writes ? 'sink' : 'source';
+    // Reveal where the dataset is produced, or else where it is first read
+    const primary = dataset.references.find(reference => reference.role === 'write') || dataset.references[0];
+    dataset.file = primary.file;
+    dataset.line = primary.line;
+  });
+
+  return { nodes, edges, columns };
+}
+
+module.exports = { normalizeDatasetName, mergeGraphs };
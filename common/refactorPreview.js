@@ -0,0 +1,220 @@
+// common/refactorPreview.js
+const vscode = require('vscode');
+const path = require('path');
+const { diffLines, applyHunks } = require('./lineDiff');
+
+const SCHEME = 'netpad-proposed';
+const PENDING_CONTEXT_KEY = 'netpad.refactorPending';
+
+/**
+ * Replacement code from a refactor response: an explicit field, or the first fenced code block
+ */
+function extractReplacement(result) {
+  if (typeof result?.replacement === 'string') return result.replacement;
+  if (typeof result?.code === 'string') return result.code;
+
+  const match = typeof result?.output === 'string' && result.output.match(/```[^\n]*\n([\s\S]*?)```/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Shows a refactoring as a diff against the document and applies the accepted
+ * hunks as a single (undoable) workspace edit
+ */
+class RefactorPreview {
+  constructor(options = {}) {
+    this.log = options.log || (() => {});
+    this.pending = null;
+    this.registration = vscode.workspace.registerTextDocumentContentProvider(SCHEME, this);
+  }
+
+  /**
+   * Content of the proposed side of the diff
+   */
+  provideTextDocumentContent(uri) {
+    if (!this.pending || uri.toString() !== this.pending.proposedUri.toString()) return '';
+    return this.pending.proposedText;
+  }
+
+  /**
+   * Open a diff proposing `replacement` for `range`. `version` is the document
+   * version the refactoring was requested against.
+   */
+  async propose(document, range, version, replacement) {
+    if (this.pending) {
+      await this.discard();
+    }
+
+    if (document.version !== version) {
+      vscode.window.showWarningMessage(`${path.basename(document.fileName)} changed while NetPad was working. Run the refactoring again.`);
+      return false;
+    }
+
+    const eol = document.eol === vscode.EndOfLine.CRLF ? '\r\n' : '\n';
+    const originalLines = document.getText(range).split(/\r?\n/);
+    const proposedLines = replacement.replace(/\r?\n$/, '').split(/\r?\n/);
+    const hunks = diffLines(originalLines, proposedLines);
+
+    if (hunks.length === 0) {
+      vscode.window.showInformationMessage('NetPad suggested no changes for this selection.');
+      return false;
+    }
+
+    const text = document.getText();
+    const proposedText = text.slice(0, document.offsetAt(range.start)) +
+      proposedLines.join(eol) +
+      text.slice(document.offsetAt(range.end));
+
+    this.pending = {
+      document,
+      range,
+      version,
+      eol,
+      originalLines,
+      hunks,
+      proposedText,
+      proposedUri: vscode.Uri.from({ scheme: SCHEME, path: document.uri.path, query: `t=${Date.now()}` })
+    };
+
+    await vscode.commands.executeCommand('setContext', PENDING_CONTEXT_KEY, true);
+    await vscode.commands.executeCommand(
+      'vscode.diff',
+      document.uri,
+      this.pending.proposedUri,
+      `${path.basename(document.fileName)} ↔ NetPad Refactoring`,
+      { preview: true }
+    );
+
+    this.prompt();
+    return true;
+  }
+
+  /**
+   * Ask what to do with the pending refactoring; dismissing keeps it open
+   * so the diff editor title actions can still be used
+   */
+  async prompt() {
+    const pending = this.pending;
+    if (!pending) return;
+
+    const count = pending.hunks.length;
+    const choice = await vscode.window.showInformationMessage(
+      `NetPad proposes ${count} change${count === 1 ? '' : 's'} to ${path.basename(pending.document.fileName)}.`,
+      'Accept All', 'Choose Changes…', 'Reject'
+    );
+
+    // A newer proposal replaced this one while the message was open
+    if (this.pending !== pending) return;
+
+    if (choice === 'Accept All') {
+      await this.acceptAll();
+    } else if (choice === 'Choose Changes…') {
+      await this.chooseHunks();
+    } else if (choice === 'Reject') {
+      await this.reject();
+    }
+  }
+
+  async acceptAll() {
+    if (!this.pending) return;
+    await this.apply(this.pending.hunks);
+  }
+
+  /**
+   * Pick individual hunks to apply
+   */
+  async chooseHunks() {
+    const pending = this.pending;
+    if (!pending) return;
+
+    const firstLine = pending.range.start.line + 1;
+    const items = pending.hunks.map(hunk => {
+      const start = firstLine + hunk.originalStart;
+      const end = Math.max(start, firstLine + hunk.originalEnd - 1);
+      const preview = (hunk.lines.find(line => line.trim()) || hunk.removed.find(line => line.trim()) || '').trim();
+      return {
+        label: hunk.removed.length === 0 ? `Insert before line ${start}` : start === end ? `Line ${start}` : `Lines ${start}-${end}`,
+        description: `-${hunk.removed.length} +${hunk.lines.length}`,
+        detail: preview,
+        picked: true,
+        hunk
+      };
+    });
+
+    const selected = await vscode.window.showQuickPick(items, {
+      canPickMany: true,
+      placeHolder: 'Select the changes to apply'
+    });
+    if (!selected || selected.length === 0 || this.pending !== pending) return;
+
+    await this.apply(selected.map(item => item.hunk));
+  }
+
+  /**
+   * Apply hunks to the original range, refusing if the document changed since the request
+   */
+  async apply(hunks) {
+    const { document, range, version, eol, originalLines } = this.pending;
+    const total = this.pending.hunks.length;
+
+    if (document.isClosed || document.version !== version) {
+      await this.discard();
+      vscode.window.showWarningMessage(`${path.basename(document.fileName)} changed since the refactoring was requested. Run the refactoring again.`);
+      return false;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(document.uri, range, applyHunks(originalLines, hunks).join(eol));
+
+    await this.discard();
+    const applied = await vscode.workspace.applyEdit(edit);
+    if (!applied) {
+      vscode.window.showErrorMessage('NetPad could not apply the refactoring.');
+      return false;
+    }
+
+    this.log(`Applied ${hunks.length} of ${total} refactoring changes to ${document.fileName}`);
+    await vscode.window.showTextDocument(document, { preserveFocus: false });
+
+    const choice = await vscode.window.showInformationMessage(
+      `Applied ${hunks.length} of ${total} change${total === 1 ? '' : 's'}.`,
+      'Undo'
+    );
+    if (choice === 'Undo') {
+      await vscode.window.showTextDocument(document);
+      await vscode.commands.executeCommand('undo');
+    }
+    return true;
+  }
+
+  async reject() {
+    if (!this.pending) return;
+    this.log(`Rejected refactoring for ${this.pending.document.fileName}`);
+    await this.discard();
+  }
+
+  /**
+   * Forget the pending refactoring and close its diff editor
+   */
+  async discard() {
+    const pending = this.pending;
+    this.pending = null;
+    await vscode.commands.executeCommand('setContext', PENDING_CONTEXT_KEY, false);
+    if (!pending) return;
+
+    const tabs = vscode.window.tabGroups.all
+      .flatMap(group => group.tabs)
+      .filter(tab => tab.input instanceof vscode.TabInputTextDiff &&
+        tab.input.modified.toString() === pending.proposedUri.toString());
+    if (tabs.length > 0) {
+      await vscode.window.tabGroups.close(tabs);
+    }
+  }
+
+  dispose() {
+    this.pending = null;
+    this.registration.dispose();
+  }
+}
+
+module.exports = { RefactorPreview, extractReplacement };
@@ -0,0 +1,156 @@
+// common/resultCache.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Commands whose results depend only on the submitted code
+const CACHEABLE_COMMANDS = ['code_analysis', 'data_lineage_extraction', 'sql_metadata_lookup'];
+
+/**
+ * Content-addressed, size-capped cache of NetPad command results.
+ * Entries are persisted to a JSON file so they survive restarts.
+ */
+class ResultCache {
+  constructor(options = {}) {
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    this.ttl = options.ttl ?? 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 200;
+    // Map keeps insertion order, which doubles as least-recently-used order
+    this.entries = new Map();
+    this.load();
+  }
+
+  /**
+   * Whether results of a command type can be cached
+   */
+  static isCacheable(type) {
+    return CACHEABLE_COMMANDS.includes(type);
+  }
+
+  /**
+   * Hash the parts of a command that determine its result
+   */
+  keyFor(type, input = {}) {
+    const material = JSON.stringify([
+      type,
+      input.analysisType || null,
+      input.responseFormat || null,
+      input.language || null,
+      input.diagnostic || null,
+      input.code ?? input.sql ?? '',
+      // Only present for SQL parsed locally, so other keys stay unchanged
+      ...(input.dialect ? [input.dialect] : [])
+    ]);
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  /**
+   * Update limits, evicting entries that no longer fit
+   */
+  configure(options = {}) {
+    if (options.ttl !== undefined) this.ttl = options.ttl;
+    if (options.maxEntries !== undefined) this.maxEntries = options.maxEntries;
+    if (this.evict()) this.save();
+  }
+
+  /**
+   * Get a cached value, or null when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      this.save();
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Get a cached value without refreshing its position or persisting anything
+   */
+  peek(key) {
+    const entry = this.entries.get(key);
+    return entry && !this.isExpired(entry) ? entry.value : null;
+  }
+
+  /**
+   * Store a value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, createdAt: Date.now() });
+    this.evict();
+    this.save();
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.save();
+    return count;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  isExpired(entry) {
+    return this.ttl > 0 && Date.now() - entry.createdAt > this.ttl;
+  }
+
+  /**
+   * Drop expired entries, then the least recently used beyond maxEntries
+   */
+  evict() {
+    const before = this.entries.size;
+
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry)) this.entries.delete(key);
+    }
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return this.entries.size !== before;
+  }
+
+  /**
+   * Load persisted entries; unreadable files start an empty cache
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = new Map(content.entries || []);
+      this.evict();
+    } catch (error) {
+      this.entries = new Map();
+    }
+  }
+
+  /**
+   * Persist entries to disk (no-op for in-memory caches)
+   */
+  save() {
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      version: 1,
+      entries: Array.from(this.entries)
+    }));
+  }
+}
+
+module.exports = { ResultCache };
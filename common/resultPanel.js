@@ -0,0 +1,129 @@
+// common/resultPanel.js
+const vscode = require('vscode');
+const path = require('path');
+const { entryLines } = require('./history');
+const { escapeHtml, createNonce } = require('./html');
+
+/**
+ * Render markdown with the editor's built-in renderer, falling back to preformatted text
+ */
+async function renderMarkdown(markdown) {
+  try {
+    const html = await vscode.commands.executeCommand('markdown.api.render', markdown);
+    if (typeof html === 'string') return html;
+  } catch (error) {
+    // Markdown extension unavailable
+  }
+  return `<pre>${escapeHtml(markdown)}</pre>`;
+}
+
+/**
+ * Single webview panel showing one history entry as formatted markdown
+ */
+class ResultPanel {
+  constructor() {
+    this.panel = null;
+    this.entry = null;
+  }
+
+  /**
+   * Show an entry, reusing the open panel
+   */
+  async show(entry) {
+    this.entry = entry;
+
+    if (!this.panel) {
+      this.panel = vscode.window.createWebviewPanel(
+        'netpadResult',
+        'NetPad Result',
+        { viewColumn: vscode.ViewColumn.Beside, preserveFocus: true },
+        { enableScripts: true }
+      );
+      this.panel.onDidDispose(() => {
+        this.panel = null;
+        this.entry = null;
+      });
+      this.panel.webview.onDidReceiveMessage(message => {
+        // Only the history actions rendered in the panel may be triggered from it
+        if (this.entry && message.command?.startsWith('netpad.history.')) {
+          vscode.commands.executeCommand(message.command, this.entry);
+        }
+      });
+    } else {
+      this.panel.reveal(vscode.ViewColumn.Beside, true);
+    }
+
+    this.panel.title = `NetPad: ${entry.title}`;
+    this.panel.webview.html = await this.getHtml(entry);
+  }
+
+  /**
+   * Refresh the panel if it currently shows the given entry
+   */
+  async update(entry) {
+    if (this.panel && this.entry?.id === entry.id) {
+      await this.show(entry);
+    }
+  }
+
+  /**
+   * Close the panel if it shows a deleted entry
+   */
+  closeIfShowing(id) {
+    if (this.panel && this.entry?.id === id) {
+      this.panel.dispose();
+    }
+  }
+
+  async getHtml(entry) {
+    const nonce = createNonce();
+    const body = await renderMarkdown(entry.output || '');
+    const lines = entryLines(entry);
+    const location = entry.fileName
+      ? `${escapeHtml(path.basename(entry.fileName))}${lines ? ` · lines ${lines}` : ''}`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
+  <style>
+    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 16px; line-height: 1.5; }
+    header { border-bottom: 1px solid var(--vscode-panel-border); padding-bottom: 8px; margin-bottom: 12px; }
+    .meta { color: var(--vscode-descriptionForeground); font-size: 0.9em; }
+    button { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border: none; padding: 4px 10px; margin-right: 6px; cursor: pointer; }
+    button:hover { background: var(--vscode-button-secondaryHoverBackground); }
+    pre, code { font-family: var(--vscode-editor-font-family); }
+    pre { background: var(--vscode-textCodeBlock-background); padding: 8px; overflow-x: auto; white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <header>
+    <h2>${entry.pinned ? '📌 ' : ''}${escapeHtml(entry.title)}</h2>
+    <div class="meta">${location}${location ? ' · ' : ''}${escapeHtml(new Date(entry.timestamp).toLocaleString())}</div>
+    <p>
+      <button data-command="netpad.history.rerun">Re-run</button>
+      <button data-command="${entry.pinned ? 'netpad.history.unpin' : 'netpad.history.pin'}">${entry.pinned ? 'Unpin' : 'Pin'}</button>
+      <button data-command="netpad.history.delete">Delete</button>
+    </p>
+  </header>
+  <main>${body}</main>
+  <script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    document.querySelectorAll('button[data-command]').forEach(button => {
+      button.addEventListener('click', () => vscode.postMessage({ command: button.dataset.command }));
+    });
+  </script>
+</body>
+</html>`;
+  }
+
+  dispose() {
+    if (this.panel) {
+      this.panel.dispose();
+    }
+  }
+}
+
+module.exports = { ResultPanel, renderMarkdown };
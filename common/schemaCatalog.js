@@ -0,0 +1,425 @@
+// common/schemaCatalog.js
+const { tokenizeStatements, positionAt } = require('./sqlParser');
+const { normalizeDatasetName } = require('./projectLineage');
+
+// Words between CREATE and TABLE / VIEW / INDEX
+const CREATE_MODIFIERS = new Set([
+  'OR', 'REPLACE', 'TEMP', 'TEMPORARY', 'UNLOGGED', 'GLOBAL', 'LOCAL', 'TRANSIENT', 'VOLATILE',
+  'EXTERNAL', 'UNIQUE', 'MATERIALIZED', 'SECURE', 'RECURSIVE'
+]);
+// Words that end a column's type in a column definition
+const COLUMN_CONSTRAINTS = new Set([
+  'NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'REFERENCES', 'UNIQUE', 'CHECK', 'CONSTRAINT', 'GENERATED',
+  'AUTO_INCREMENT', 'AUTOINCREMENT', 'IDENTITY', 'COLLATE', 'COMMENT', 'ON', 'AS', 'OPTIONS'
+]);
+const SKIPPED_WORDS = new Set(['IF', 'NOT', 'EXISTS', 'ONLY', 'CONCURRENTLY']);
+
+/**
+ * Reads the schema-changing statements of a DDL script into catalog
+ * operations: CREATE TABLE / VIEW / INDEX, ALTER TABLE and DROP TABLE
+ */
+class DdlReader {
+  constructor(sql, tokens, file) {
+    this.sql = sql;
+    this.tokens = tokens;
+    this.file = file;
+  }
+
+  word(i) {
+    const token = this.tokens[i];
+    return token && token.type === 'word' ? token.upper : null;
+  }
+
+  isOp(i, value) {
+    const token = this.tokens[i];
+    return Boolean(token && token.type === 'operator' && token.value === value);
+  }
+
+  isName(i) {
+    const token = this.tokens[i];
+    return Boolean(token && (token.type === 'word' || token.type === 'identifier'));
+  }
+
+  skip(i) {
+    while (SKIPPED_WORDS.has(this.word(i))) i++;
+    return i;
+  }
+
+  /**
+   * Index of the ')' closing the '(' at `i`
+   */
+  close(i) {
+    let depth = 0;
+    for (let k = i; k < this.tokens.length; k++) {
+      if (this.isOp(k, '(')) depth++;
+      if (this.isOp(k, ')') && --depth === 0) return k;
+    }
+    return this.tokens.length;
+  }
+
+  /**
+   * [from, to) ranges between top-level commas
+   */
+  split(from, to) {
+    const parts = [];
+    let start = from;
+    for (let k = from; k < to; k++) {
+      if (this.isOp(k, '(')) k = this.close(k);
+      else if (this.isOp(k, ',')) {
+        parts.push([start, k]);
+        start = k + 1;
+      }
+    }
+    if (start < to) parts.push([start, to]);
+    return parts;
+  }
+
+  readName(i) {
+    if (!this.isName(i)) return { name: null, next: i };
+    const parts = [this.tokens[i].value];
+    i++;
+    while (this.isOp(i, '.') && this.isName(i + 1)) {
+      parts.push(this.tokens[i + 1].value);
+      i += 2;
+    }
+    return { name: parts.join('.'), next: i };
+  }
+
+  source() {
+    return { file: this.file, line: positionAt(this.sql, this.tokens[0].start).line };
+  }
+
+  read() {
+    if (this.word(0) === 'CREATE') {
+      let i = 1;
+      let unique = false;
+      while (CREATE_MODIFIERS.has(this.word(i))) {
+        if (this.word(i) === 'UNIQUE') unique = true;
+        i++;
+      }
+      if (this.word(i) === 'TABLE') return this.createTable(i + 1);
+      if (this.word(i) === 'VIEW') return this.createView(i + 1);
+      if (this.word(i) === 'INDEX') return this.createIndex(i + 1, unique);
+    }
+    if (this.word(0) === 'ALTER' && this.word(1) === 'TABLE') return this.alterTable(2);
+    if (this.word(0) === 'DROP' && ['TABLE', 'VIEW'].includes(this.word(1))) {
+      const ranges = this.split(this.skip(2), this.tokens.length);
+      return ranges.map(([from]) => this.readName(from).name).filter(Boolean).map(name => ({ op: 'drop', name }));
+    }
+    return [];
+  }
+
+  createTable(i) {
+    const { name, next } = this.readName(this.skip(i));
+    if (!name) return [];
+    // CREATE TABLE … AS SELECT / LIKE / CLONE: columns unknown
+    if (!this.isOp(next, '(')) {
+      return [{ op: 'define', name, table: { name, kind: 'table', columns: null, indexes: [], source: this.source() } }];
+    }
+
+    const table = { name, kind: 'table', columns: [], indexes: [], source: this.source() };
+    this.split(next + 1, this.close(next)).forEach(([from, to]) => this.definition(table, from, to));
+    return [{ op: 'define', name, table }];
+  }
+
+  createView(i) {
+    const { name, next } = this.readName(this.skip(i));
+    if (!name) return [];
+    const columns = this.isOp(next, '(')
+      ? this.split(next + 1, this.close(next)).map(([from]) => ({ name: this.tokens[from].value, type: null, nullable: true }))
+      : null;
+    return [{ op: 'define', name, table: { name, kind: 'view', columns, indexes: [], source: this.source() } }];
+  }
+
+  createIndex(i, unique) {
+    i = this.skip(i);
+    let indexName = null;
+    if (this.word(i) !== 'ON') {
+      ({ name: indexName, next: i } = this.readName(i));
+      i = this.skip(i);
+    }
+    if (this.word(i) !== 'ON') return [];
+    const { name, next } = this.readName(this.skip(i + 1));
+    let open = next;
+    if (this.word(open) === 'USING') open += 2;
+    if (!name || !this.isOp(open, '(')) return [];
+    return [{ op: 'index', name, index: { name: indexName, columns: this.indexColumns(open), unique } }];
+  }
+
+  alterTable(i) {
+    const { name, next } = this.readName(this.skip(i));
+    if (!name) return [];
+    const ops = [];
+
+    this.split(next, this.tokens.length).forEach(([from, to]) => {
+      const action = this.word(from);
+      let k = from + 1;
+      if (action === 'ADD') {
+        if (this.word(k) === 'COLUMN') k++;
+        const scratch = { columns: [], indexes: [] };
+        this.definition(scratch, this.skip(k), to);
+        scratch.columns.forEach(column => ops.push({ op: 'addColumn', name, column }));
+        scratch.indexes.forEach(index => ops.push({ op: 'index', name, index }));
+      } else if (action === 'DROP' && !['CONSTRAINT', 'INDEX', 'KEY', 'PRIMARY', 'FOREIGN'].includes(this.word(k))) {
+        if (this.word(k) === 'COLUMN') k++;
+        k = this.skip(k);
+        if (this.isName(k)) ops.push({ op: 'dropColumn', name, column: this.tokens[k].value });
+      } else if (action === 'RENAME') {
+        if (this.word(k) === 'TO') {
+          const renamed = this.readName(k + 1).name;
+          if (renamed) ops.push({ op: 'renameTable', name, to: renamed });
+        } else {
+          if (this.word(k) === 'COLUMN') k++;
+          if (this.isName(k) && this.word(k + 1) === 'TO' && this.isName(k + 2)) {
+            ops.push({ op: 'renameColumn', name, column: this.tokens[k].value, to: this.tokens[k + 2].value });
+          }
+        }
+      } else if (action === 'ALTER' || action === 'MODIFY') {
+        // ALTER [COLUMN] c [SET DATA] TYPE t (Postgres), MODIFY [COLUMN] c t (MySQL)
+        if (this.word(k) === 'COLUMN') k++;
+        if (!this.isName(k)) return;
+        const column = this.tokens[k].value;
+        let typeStart = k + 1;
+        if (action === 'ALTER') {
+          if (this.word(typeStart) === 'SET' && this.word(typeStart + 1) === 'DATA') typeStart += 2;
+          if (this.word(typeStart) !== 'TYPE') return;
+          typeStart++;
+        }
+        const type = this.typeText(typeStart, to);
+        if (type) ops.push({ op: 'columnType', name, column, type });
+      }
+    });
+    return ops;
+  }
+
+  /**
+   * Text of a column type starting at `i`, up to its first constraint
+   */
+  typeText(i, to) {
+    let end = i;
+    while (end < to && !COLUMN_CONSTRAINTS.has(this.word(end))) {
+      if (this.isOp(end, '(')) end = this.close(end);
+      end++;
+    }
+    return end > i ? this.sql.slice(this.tokens[i].start, this.tokens[Math.min(end, to) - 1].end) : null;
+  }
+
+  /**
+   * One column or table-constraint definition inside CREATE TABLE (…)
+   */
+  definition(table, from, to) {
+    let i = from;
+    if (this.word(i) === 'CONSTRAINT') i += 2;
+    const word = this.word(i);
+    const openAfter = k => {
+      while (k < to && !this.isOp(k, '(')) k++;
+      return k < to ? k : null;
+    };
+
+    if (word === 'PRIMARY' && this.word(i + 1) === 'KEY') {
+      const open = openAfter(i);
+      if (open !== null) table.indexes.push({ name: 'primary key', columns: this.indexColumns(open), unique: true });
+      return;
+    }
+    if (['UNIQUE', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL'].includes(word) && (this.isOp(i + 1, '(') || this.isOp(i + 2, '(') || this.isOp(i + 3, '('))) {
+      const open = openAfter(i);
+      if (open !== null) table.indexes.push({ name: null, columns: this.indexColumns(open), unique: word === 'UNIQUE' });
+      return;
+    }
+    if (['FOREIGN', 'CHECK', 'EXCLUDE', 'LIKE', 'PERIOD'].includes(word) || !this.isName(i)) return;
+
+    const name = this.tokens[i].value;
+    const type = this.typeText(i + 1, to);
+    const column = { name, type, nullable: true };
+    for (let k = i + 1; k < to; k++) {
+      if (this.word(k) === 'NOT' && this.word(k + 1) === 'NULL') column.nullable = false;
+      if (this.word(k) === 'PRIMARY' && this.word(k + 1) === 'KEY') {
+        column.nullable = false;
+        table.indexes.push({ name: 'primary key', columns: [name], unique: true });
+      }
+      if (this.word(k) === 'UNIQUE') table.indexes.push({ name: null, columns: [name], unique: true });
+    }
+    table.columns.push(column);
+  }
+
+  /**
+   * Column names of an index column list; expressions are null
+   */
+  indexColumns(open) {
+    return this.split(open + 1, this.close(open)).map(([from, to]) => {
+      if (!this.isName(from)) return null;
+      // MySQL prefix indexes: name(10)
+      if (this.isOp(from + 1, '(') && !(to - from === 4 && this.tokens[from + 2].type === 'number')) return null;
+      return this.tokens[from].value;
+    });
+  }
+}
+
+/**
+ * Catalog operations for a DDL script (a file of CREATE TABLE statements,
+ * a migration, or the schema SQL stored in a SQLite database)
+ */
+function readDdl(sql, options = {}) {
+  return tokenizeStatements(sql, { dialect: options.dialect })
+    .flatMap(tokens => new DdlReader(sql, tokens, options.file || null).read());
+}
+
+function jsonField(row, name) {
+  const key = Object.keys(row).find(candidate => candidate.toLowerCase() === name);
+  return key === undefined ? undefined : row[key];
+}
+
+function jsonColumn(value, name) {
+  if (typeof value === 'string') return { name: name ?? value, type: name ? value : null, nullable: true };
+  return {
+    name: name ?? value.name,
+    type: value.type ?? value.data_type ?? value.dataType ?? null,
+    nullable: value.nullable ?? (value.is_nullable ? String(value.is_nullable).toUpperCase() !== 'NO' : true)
+  };
+}
+
+function jsonTable(name, value, source) {
+  const qualified = value.schema && !String(name).includes('.') ? `${value.schema}.${name}` : String(name);
+  // { "orders": { "id": "integer" } } is a bare column map
+  const bare = Object.values(value).every(entry => typeof entry === 'string');
+  const rawColumns = bare ? value : value.columns;
+  const columns = Array.isArray(rawColumns) ? rawColumns.map(column => jsonColumn(column))
+    : rawColumns && typeof rawColumns === 'object' ? Object.entries(rawColumns).map(([column, type]) => jsonColumn(type, column))
+      : null;
+
+  let indexes = null;
+  if (!bare && (value.indexes || value.primaryKey)) {
+    indexes = (value.indexes || []).map(index => ({
+      name: index.name || null,
+      columns: [].concat(index.columns || index.column || []),
+      unique: Boolean(index.unique)
+    }));
+    if (value.primaryKey) indexes.unshift({ name: 'primary key', columns: [].concat(value.primaryKey), unique: true });
+  }
+
+  return {
+    name: qualified,
+    kind: !bare && /view/i.test(value.kind || value.type || '') ? 'view' : 'table',
+    columns,
+    indexes,
+    source
+  };
+}
+
+/**
+ * Catalog operations for a JSON schema export. Accepted shapes:
+ *
+ * - { tables: [{ name, schema?, columns, indexes?, primaryKey? }] } or the bare array,
+ *   where columns are [{ name, type, nullable }], ["name", …] or { name: type }
+ * - { orders: { id: "integer", … }, … } or { orders: { columns, indexes }, … }
+ * - rows of an information_schema.columns export: [{ table_name, column_name, data_type, … }]
+ *
+ * Indexes are only checked for tables whose export lists them.
+ */
+function readJsonSchema(data, options = {}) {
+  const source = { file: options.file || null, line: null };
+  const list = Array.isArray(data) ? data : Array.isArray(data?.tables) ? data.tables : null;
+
+  if (list && list.length > 0 && list.every(row => row && jsonField(row, 'table_name') && jsonField(row, 'column_name'))) {
+    const tables = new Map();
+    list.forEach(row => {
+      const schema = jsonField(row, 'table_schema');
+      const name = schema ? `${schema}.${jsonField(row, 'table_name')}` : jsonField(row, 'table_name');
+      if (!tables.has(name)) tables.set(name, { name, kind: 'table', columns: [], indexes: null, source });
+      tables.get(name).columns.push(jsonColumn(row, jsonField(row, 'column_name')));
+    });
+    return [...tables.values()].map(table => ({ op: 'define', name: table.name, table }));
+  }
+
+  const entries = list
+    ? list.filter(table => table && table.name).map(table => [table.name, table])
+    : data && typeof data === 'object' ? Object.entries(data).filter(([, value]) => value && typeof value === 'object') : [];
+  return entries.map(([name, value]) => {
+    const table = jsonTable(name, value, source);
+    return { op: 'define', name: table.name, table };
+  });
+}
+
+/**
+ * Tables and views known from local schema sources, looked up by
+ * normalized name (quotes and default schemas dropped, case-insensitive)
+ */
+class SchemaCatalog {
+  constructor(options = {}) {
+    this.options = { defaultSchemas: options.defaultSchemas };
+    this.tables = new Map();
+  }
+
+  get size() {
+    return this.tables.size;
+  }
+
+  key(name) {
+    return normalizeDatasetName(name, this.options).key;
+  }
+
+  /**
+   * Table by name, or else the only table with the same unqualified name
+   */
+  find(name) {
+    const key = this.key(name);
+    if (this.tables.has(key)) return this.tables.get(key);
+    const last = key.split('.').pop();
+    const matches = [...this.tables].filter(([candidate]) => candidate.split('.').pop() === last);
+    return matches.length === 1 ? matches[0][1] : null;
+  }
+
+  column(table, name) {
+    return (table.columns || []).find(column => column.name.toLowerCase() === String(name).toLowerCase()) || null;
+  }
+
+  /**
+   * Apply operations from readDdl / readJsonSchema in order
+   */
+  apply(ops) {
+    ops.forEach(op => {
+      if (op.op === 'define') {
+        this.tables.set(this.key(op.name), { ...op.table, columns: op.table.columns && [...op.table.columns], indexes: op.table.indexes && [...op.table.indexes] });
+        return;
+      }
+      const table = this.find(op.name);
+      if (!table) return;
+
+      switch (op.op) {
+        case 'drop':
+          this.tables.delete(this.key(table.name));
+          break;
+        case 'addColumn':
+          table.columns = [...(table.columns || []).filter(column => column.name.toLowerCase() !== op.column.name.toLowerCase()), op.column];
+          break;
+        case 'dropColumn':
+          table.columns = table.columns && table.columns.filter(column => column.name.toLowerCase() !== op.column.toLowerCase());
+          break;
+        case 'renameColumn': {
+          const column = this.column(table, op.column);
+          if (column) table.columns = table.columns.map(existing => existing === column ? { ...column, name: op.to } : existing);
+          table.indexes = table.indexes && table.indexes.map(index => ({
+            ...index,
+            columns: index.columns.map(name => name && name.toLowerCase() === op.column.toLowerCase() ? op.to : name)
+          }));
+          break;
+        }
+        case 'columnType': {
+          const column = this.column(table, op.column);
+          if (column) table.columns = table.columns.map(existing => existing === column ? { ...column, type: op.type } : existing);
+          break;
+        }
+        case 'renameTable':
+          this.tables.delete(this.key(table.name));
+          this.tables.set(this.key(op.to), { ...table, name: op.to });
+          break;
+        case 'index':
+          table.indexes = [...(table.indexes || []), op.index];
+          break;
+      }
+    });
+    return this;
+  }
+}
+
+module.exports = { SchemaCatalog, readDdl, readJsonSchema };
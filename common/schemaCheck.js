@@ -0,0 +1,144 @@
+// common/schemaCheck.js
+
+// Type families compared across a join; types outside them are not compared
+const TYPE_FAMILIES = [
+  ['boolean', /^bool/],
+  ['uuid', /uuid|uniqueidentifier/],
+  ['json', /json|variant/],
+  ['temporal', /date|time|interval|year/],
+  ['numeric', /int|serial|dec|numer|number|real|float|double|money/],
+  ['text', /char|text|string|clob|enum/],
+  ['binary', /blob|binary|bytea|bytes/]
+];
+
+const IDENTIFIER = /[\w$]+|"[^"]*"|`[^`]*`|\[[^\]]*\]/g;
+const PART = String.raw`(?:[\w$]+|"[^"]*"|` + '`[^`]*`' + String.raw`|\[[^\]]*\])`;
+const QUALIFIED = String.raw`${PART}(?:\s*\.\s*${PART})+`;
+const EQUALITY = new RegExp(String.raw`(${QUALIFIED})\s*=\s*(${QUALIFIED})`, 'g');
+
+function typeFamily(type) {
+  const text = String(type || '').toLowerCase();
+  const family = TYPE_FAMILIES.find(([, pattern]) => pattern.test(text));
+  return family ? family[0] : null;
+}
+
+/**
+ * `o."customer_id"` → { qualifier: 'o', column: 'customer_id' }
+ */
+function splitReference(text) {
+  const parts = text.match(IDENTIFIER).map(part => part.replace(/^["`[]|["`\]]$/g, ''));
+  return { qualifier: parts.slice(0, -1).join('.'), column: parts[parts.length - 1] };
+}
+
+/**
+ * Cross-check a parseSql result against a SchemaCatalog. Returns findings
+ * { severity, code, line, message } with lines relative to the parsed SQL:
+ *
+ * - unknown-table: a table that is neither in the catalog nor created earlier in the SQL
+ * - unknown-column: a column its table's definition does not have
+ * - join-type-mismatch: a join equality (ON, or WHERE for comma joins) between
+ *   columns of different type families
+ * - missing-index: a column filtered in WHERE that leads no index of its table
+ */
+function checkSql(parsed, catalog) {
+  const findings = [];
+  const created = new Set();
+  const reported = new Set();
+  const add = (severity, code, line, message) => {
+    const key = `${code}:${message}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    findings.push({ severity, code, line, message });
+  };
+
+  parsed.statements.forEach(statement => {
+    const defining = /^(create|drop) /.test(statement.type);
+    const targets = new Set(statement.tables.filter(table => defining && table.role === 'write').map(table => table.name.toLowerCase()));
+    const lookup = name => created.has(catalog.key(name)) ? null : catalog.find(name);
+
+    statement.tables.forEach(table => {
+      if (targets.has(table.name.toLowerCase())) {
+        created.add(catalog.key(table.name));
+      } else if (!created.has(catalog.key(table.name)) && !catalog.find(table.name)) {
+        add('warning', 'unknown-table', table.line, `Unknown table \`${table.name}\`: not found in the schema sources`);
+      }
+    });
+
+    const definitions = statement.tables.map(table => lookup(table.name));
+    const allKnown = statement.ctes.length === 0 && statement.derivedTables === 0 &&
+      definitions.length > 0 && definitions.every(definition => definition && definition.columns);
+
+    statement.columns.forEach(column => {
+      if (column.name === '*' || (column.table && targets.has(column.table.toLowerCase()))) return;
+      if (column.table) {
+        const definition = lookup(column.table);
+        if (definition?.columns && !catalog.column(definition, column.name)) {
+          add('warning', 'unknown-column', column.line, `Unknown column \`${column.name}\`: \`${definition.name}\` has no such column`);
+        }
+      } else if (!defining && allKnown && !definitions.some(definition => catalog.column(definition, column.name))) {
+        const names = definitions.map(definition => `\`${definition.name}\``).join(', ');
+        add('warning', 'unknown-column', column.line, `Unknown column \`${column.name}\`: not found in ${names}`);
+      }
+    });
+
+    // Aliases and table names → table, to resolve join condition columns
+    const aliases = new Map();
+    statement.tables.forEach(table => {
+      [table.name, table.name.split('.').pop(), ...table.aliases].forEach(name => aliases.set(name.toLowerCase(), table.name));
+    });
+    const resolveColumn = text => {
+      const { qualifier, column } = splitReference(text);
+      const definition = lookup(aliases.get(qualifier.toLowerCase()) || qualifier);
+      const found = definition && catalog.column(definition, column);
+      return found ? { label: `${definition.name}.${found.name}`, type: found.type } : null;
+    };
+
+    statement.joins.forEach(join => {
+      if (!join.condition || join.condition.startsWith('USING ')) return;
+      for (const [, left, right] of join.condition.matchAll(EQUALITY)) {
+        const a = resolveColumn(left);
+        const b = resolveColumn(right);
+        const families = a && b ? [typeFamily(a.type), typeFamily(b.type)] : [];
+        if (families[0] && families[1] && families[0] !== families[1]) {
+          add('warning', 'join-type-mismatch', join.line, `Join compares \`${a.label}\` (${a.type}) with \`${b.label}\` (${b.type})`);
+        }
+      }
+    });
+
+    statement.filters.forEach(filter => {
+      if (!filter.table || filter.name === '*') return;
+      const definition = lookup(filter.table);
+      if (!definition || definition.kind === 'view' || !definition.indexes || !catalog.column(definition, filter.name)) return;
+      const indexed = definition.indexes.some(index => index.columns[0] && index.columns[0].toLowerCase() === filter.name.toLowerCase());
+      if (!indexed) {
+        add('info', 'missing-index', filter.line, `No index on \`${definition.name}.${filter.name}\`, which is filtered in WHERE`);
+      }
+    });
+  });
+
+  return findings.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Markdown section for schema check findings. `mapLine` turns lines of the
+ * checked SQL into editor lines.
+ */
+function renderSchemaReport(findings, options = {}) {
+  const { tables = 0, sources = [], errors = [], mapLine = line => line } = options;
+  const from = sources.length > 0 ? ` from ${sources.map(source => `\`${source}\``).join(', ')}` : '';
+  const lines = ['## Local Schema Checks', ''];
+
+  lines.push(findings.length === 0
+    ? `No problems found against ${tables} table${tables === 1 ? '' : 's'}${from}.`
+    : `Checked against ${tables} table${tables === 1 ? '' : 's'}${from}:`);
+  if (findings.length > 0) lines.push('');
+  findings.forEach(finding => lines.push(`- **Line ${mapLine(finding.line)}** (${finding.severity}): ${finding.message}`));
+
+  if (errors.length > 0) {
+    lines.push('', 'Schema sources that could not be read:', '');
+    errors.forEach(error => lines.push(`- \`${error.source}\`: ${error.message}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = { checkSql, renderSchemaReport, typeFamily };
@@ -0,0 +1,261 @@
+// common/schemaModel.js
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { normalizeDatasetName } = require('./projectLineage');
+
+// Where a table or column was learned from, in order of trust
+const SOURCES = ['local', 'netpad', 'parsed'];
+
+/**
+ * Split a comma list at top level: "id INT, total NUMERIC(10, 2)"
+ */
+function splitList(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const c of text) {
+    if (c === '(') depth++;
+    if (c === ')') depth--;
+    if (c === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+const stripMarkup = text => text.replace(/`|\*\*/g, '').trim();
+
+/**
+ * "email VARCHAR(255)", "email (varchar)", "email: varchar" → { name, type }
+ */
+function readColumn(text) {
+  const match = stripMarkup(text).match(/^([\w$."]+)\s*(?::\s*|\(\s*([^)]*)\)\s*$|\s+)?(.*)$/);
+  if (!match) return null;
+  const type = (match[2] || match[3] || '').trim();
+  return { name: match[1].replace(/"/g, ''), type: type || null };
+}
+
+/**
+ * One table line of a metadata answer:
+ * "customers: id, name", "public.customers (id INT, name TEXT)", "`orders` — id, total"
+ */
+function readTableLine(text) {
+  const line = stripMarkup(text);
+  const match = line.match(/^([\w$."]+)\s*(?::\s*(.*)|\((.*)\)\s*$|[—–-]\s*(.*)|$)/);
+  if (!match) return null;
+  const list = match[2] ?? match[3] ?? match[4] ?? '';
+  return {
+    name: match[1].replace(/"/g, ''),
+    columns: splitList(list).map(readColumn).filter(Boolean)
+  };
+}
+
+/**
+ * Tables and columns of a sql_metadata_lookup result: the structured
+ * `metadata.tables` / `tables` when NetPad sends them, otherwise the list
+ * under a "Tables" heading of the markdown answer.
+ *
+ * Returns [{ name, kind, columns: [{ name, type }] }].
+ */
+function parseSqlMetadata(result) {
+  if (!result) return [];
+
+  const structured = result.metadata?.tables || result.tables;
+  if (Array.isArray(structured)) {
+    return structured.filter(table => table && (table.name || table.table)).map(table => {
+      const parts = [table.database, table.schema, table.name || table.table].filter(Boolean);
+      return {
+        name: parts.join('.'),
+        kind: /view/i.test(table.kind || table.type || '') ? 'view' : 'table',
+        columns: (table.columns || []).map(column => typeof column === 'string'
+          ? { name: column, type: null }
+          : { name: column.name, type: column.type || column.dataType || column.data_type || null }
+        ).filter(column => column.name)
+      };
+    });
+  }
+
+  if (typeof result.output !== 'string') return [];
+  const tables = [];
+  let inTables = false;
+  result.output.split('\n').forEach(raw => {
+    const line = raw.trim();
+    if (/^(?:#+\s*|\*\*)?tables?(?:\*\*)?:?(?:\*\*)?$/i.test(line)) {
+      inTables = true;
+    } else if (inTables && /^[-*+]\s+/.test(line)) {
+      const table = readTableLine(line.replace(/^[-*+]\s+/, ''));
+      if (table) tables.push({ ...table, kind: 'table' });
+    } else if (inTables && line) {
+      inTables = false;
+    }
+  });
+  return tables;
+}
+
+/**
+ * Tables, columns and the files referencing them, merged from NetPad's
+ * SQL metadata answers, local schema sources and local SQL parses.
+ * Tables are identified by normalized name, so `public.orders` and
+ * `orders` are one table shown under its most qualified name.
+ */
+class SchemaModel {
+  constructor(options = {}) {
+    this.options = { defaultSchemas: options.defaultSchemas };
+    // key → { name, kind, sources, columns: [{ name, type, sources }], references: [{ file, line, role }] }
+    this.tables = new Map();
+  }
+
+  get size() {
+    return this.tables.size;
+  }
+
+  key(name) {
+    return normalizeDatasetName(name, this.options).key;
+  }
+
+  table(name) {
+    return this.tables.get(this.key(name)) || null;
+  }
+
+  /**
+   * Add or merge a table; `source` is 'local', 'netpad' or 'parsed'.
+   * Column types from a more trusted source win.
+   */
+  addTable(name, options = {}) {
+    const { columns = [], kind, source = 'parsed' } = options;
+    const key = this.key(name);
+    let table = this.tables.get(key);
+    if (!table) {
+      table = { name, kind: kind || 'table', sources: [], columns: [], references: [] };
+      this.tables.set(key, table);
+    }
+    if (name.split('.').length > table.name.split('.').length) table.name = name;
+    // Local DDL knows best whether this is a view
+    if (kind && source === 'local') table.kind = kind;
+    if (!table.sources.includes(source)) table.sources.push(source);
+
+    columns.forEach(({ name: columnName, type }) => {
+      let column = table.columns.find(existing => existing.name.toLowerCase() === columnName.toLowerCase());
+      if (!column) {
+        column = { name: columnName, type: null, sources: [] };
+        table.columns.push(column);
+      }
+      const trusted = column.sources.every(existing => SOURCES.indexOf(source) <= SOURCES.indexOf(existing));
+      if (type && (trusted || !column.type)) column.type = type;
+      if (!column.sources.includes(source)) column.sources.push(source);
+    });
+    return table;
+  }
+
+  /**
+   * Replace the references `file` has in lines [lineStart, lineEnd] (1-based,
+   * inclusive) with `references`: [{ table, line, role }]. `options.uri` is
+   * the file's absolute URI, which `file` (a display path) may not resolve to.
+   */
+  setReferences(file, references, options = {}) {
+    const { lineStart = 1, lineEnd = Infinity, uri } = options;
+    this.tables.forEach(table => {
+      table.references = table.references.filter(reference =>
+        reference.role === 'definition' || reference.file !== file || reference.line < lineStart || reference.line > lineEnd
+      );
+    });
+    references.forEach(({ table: name, line, role }) => {
+      const table = this.table(name) || this.addTable(name);
+      if (!table.references.some(reference => reference.file === file && reference.line === line && reference.role === role)) {
+        table.references.push({ file, line, role, ...(uri ? { uri } : {}) });
+      }
+    });
+    this.prune();
+  }
+
+  /**
+   * Replace everything learned from local schema sources with the tables
+   * of a SchemaCatalog; their definitions become references. `options.root`
+   * is the folder the catalog's source files are relative to.
+   */
+  setLocal(catalog, options = {}) {
+    this.removeSource('local');
+    catalog.tables.forEach(definition => {
+      const columns = definition.columns || [];
+      const table = this.addTable(definition.name, { columns, kind: definition.kind, source: 'local' });
+      // Keep the definition's column order ahead of columns only seen elsewhere
+      const position = column => {
+        const index = columns.findIndex(defined => defined.name.toLowerCase() === column.name.toLowerCase());
+        return index === -1 ? columns.length : index;
+      };
+      table.columns.sort((a, b) => position(a) - position(b));
+      if (definition.source?.file) {
+        const uri = options.root ? pathToFileURL(path.resolve(options.root, definition.source.file)).href : undefined;
+        table.references.push({ file: definition.source.file, line: definition.source.line, role: 'definition', ...(uri ? { uri } : {}) });
+      }
+    });
+  }
+
+  /**
+   * Forget what came from `source`; tables and columns nothing else knows go
+   */
+  removeSource(source) {
+    this.tables.forEach(table => {
+      table.sources = table.sources.filter(existing => existing !== source);
+      table.columns = table.columns.filter(column => {
+        column.sources = column.sources.filter(existing => existing !== source);
+        return column.sources.length > 0;
+      });
+      if (source === 'local') table.references = table.references.filter(reference => reference.role !== 'definition');
+    });
+    this.prune();
+  }
+
+  /**
+   * Drop tables only parsing knew about once nothing references them
+   */
+  prune() {
+    [...this.tables].forEach(([key, table]) => {
+      if (table.references.length === 0 && table.sources.every(source => source === 'parsed')) this.tables.delete(key);
+    });
+  }
+
+  /**
+   * Databases → schemas → tables, sorted, keeping only tables whose name or
+   * a column matches `filter`. Default schemas (public, dbo) and missing
+   * parts group under a null database or schema.
+   */
+  tree(filter) {
+    const needle = (filter || '').toLowerCase();
+    const databases = new Map();
+    [...this.tables]
+      .filter(([, table]) => !needle || table.name.toLowerCase().includes(needle) ||
+        table.columns.some(column => column.name.toLowerCase().includes(needle)))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .forEach(([, table]) => {
+        const parts = normalizeDatasetName(table.name, this.options).name.split('.');
+        const database = parts.length >= 3 ? parts[0] : null;
+        const schema = parts.length >= 3 ? parts[1] : parts.length === 2 ? parts[0] : null;
+        if (!databases.has(database)) databases.set(database, new Map());
+        const schemas = databases.get(database);
+        if (!schemas.has(schema)) schemas.set(schema, []);
+        schemas.get(schema).push(table);
+      });
+
+    return [...databases].map(([database, schemas]) => ({
+      name: database,
+      schemas: [...schemas].map(([schema, tables]) => ({ name: schema, tables }))
+    }));
+  }
+
+  toJSON() {
+    return { tables: [...this.tables.values()] };
+  }
+
+  static fromJSON(data, options = {}) {
+    const model = new SchemaModel(options);
+    (data?.tables || []).forEach(table => model.tables.set(model.key(table.name), table));
+    return model;
+  }
+}
+
+module.exports = { SchemaModel, parseSqlMetadata };
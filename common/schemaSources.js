@@ -0,0 +1,117 @@
+// common/schemaSources.js
+const fs = require('fs');
+const path = require('path');
+const { SchemaCatalog, readDdl, readJsonSchema } = require('./schemaCatalog');
+const { readSqliteSchema } = require('./sqliteSchema');
+
+const SQL_EXTENSIONS = new Set(['.sql', '.ddl']);
+const SQLITE_EXTENSIONS = new Set(['.sqlite', '.sqlite3', '.db', '.db3']);
+const JSON_EXTENSIONS = new Set(['.json']);
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+function isSchemaFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  return SQL_EXTENSIONS.has(extension) || SQLITE_EXTENSIONS.has(extension) || JSON_EXTENSIONS.has(extension);
+}
+
+/**
+ * Schema files under a folder, sorted by relative path so numbered
+ * migrations apply in order
+ */
+async function listSchemaFiles(folder) {
+  const files = [];
+  const walk = async directory => {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      const full = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name)) await walk(full);
+      } else if (isSchemaFile(entry.name)) {
+        files.push(full);
+      }
+    }
+  };
+  await walk(folder);
+  return files.sort((a, b) => path.relative(folder, a).localeCompare(path.relative(folder, b), undefined, { numeric: true }));
+}
+
+/**
+ * Loads the local schema sources named in `netpad.schemaSources` (DDL
+ * files or folders of them, SQLite databases and JSON schema exports)
+ * into a SchemaCatalog. Each file's operations are cached until its
+ * modification time or size changes.
+ */
+class SchemaSources {
+  constructor() {
+    // Absolute path → { mtimeMs, size, dialect, ops }
+    this.cache = new Map();
+  }
+
+  /**
+   * Paths resolve against `root`. Returns { catalog, sources, errors }:
+   * `sources` are the files read and `errors` the sources that could not
+   * be, as { source, message }
+   */
+  async load(paths, options = {}) {
+    const root = options.root || process.cwd();
+    const catalog = new SchemaCatalog({ defaultSchemas: options.defaultSchemas });
+    const sources = [];
+    const errors = [];
+
+    for (const entry of paths || []) {
+      const full = path.resolve(root, entry);
+      let files;
+      try {
+        const stat = await fs.promises.stat(full);
+        files = stat.isDirectory() ? await listSchemaFiles(full) : [full];
+      } catch (error) {
+        errors.push({ source: entry, message: error.code === 'ENOENT' ? 'not found' : error.message });
+        continue;
+      }
+
+      for (const file of files) {
+        const label = path.relative(root, file) || path.basename(file);
+        try {
+          catalog.apply(await this.read(file, label, options.dialect));
+          sources.push(label);
+        } catch (error) {
+          errors.push({ source: label, message: error.message });
+        }
+      }
+    }
+
+    return { catalog, sources, errors };
+  }
+
+  /**
+   * Catalog operations for one file, from the cache when it is unchanged.
+   * DDL files are read with `dialect`; SQLite databases always as SQLite.
+   */
+  async read(file, label, dialect) {
+    const stat = await fs.promises.stat(file);
+    const cached = this.cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size && cached.dialect === dialect) return cached.ops;
+
+    const extension = path.extname(file).toLowerCase();
+    let ops;
+    if (SQLITE_EXTENSIONS.has(extension)) {
+      const rows = await readSqliteSchema(file);
+      ops = readDdl(rows.map(row => `${row.sql};`).join('\n'), { dialect: 'sqlite', file: label });
+    } else if (JSON_EXTENSIONS.has(extension)) {
+      const text = await fs.promises.readFile(file, 'utf8');
+      ops = readJsonSchema(JSON.parse(text), { file: label });
+    } else {
+      const text = await fs.promises.readFile(file, 'utf8');
+      ops = readDdl(text, { dialect, file: label });
+    }
+
+    this.cache.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, dialect, ops });
+    return ops;
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
+
+module.exports = { SchemaSources, listSchemaFiles };
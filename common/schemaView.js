@@ -0,0 +1,176 @@
+// common/schemaView.js
+const vscode = require('vscode');
+const path = require('path');
+const { SchemaModel } = require('./schemaModel');
+
+const STATE_KEY = 'netpad.schemaExplorer';
+
+const ROLE_LABELS = { definition: 'defined', read: 'read', write: 'written' };
+
+/**
+ * "NetPad Schema" explorer view: databases, schemas, tables and columns
+ * gathered from SQL metadata results and local schema sources, with the
+ * files referencing each table. The model is kept in workspace state.
+ */
+class SchemaTreeProvider {
+  constructor(workspaceState, options = {}) {
+    this.workspaceState = workspaceState;
+    this.model = SchemaModel.fromJSON(workspaceState.get(STATE_KEY, null), options);
+    this.filter = '';
+    this.onDidChangeTreeDataEmitter = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this.onDidChangeTreeDataEmitter.event;
+  }
+
+  /**
+   * Change the model with `change(model)`, then save and redraw
+   */
+  update(change) {
+    change(this.model);
+    this.workspaceState.update(STATE_KEY, this.model.toJSON());
+    this.onDidChangeTreeDataEmitter.fire();
+  }
+
+  setFilter(filter) {
+    this.filter = filter || '';
+    this.onDidChangeTreeDataEmitter.fire();
+  }
+
+  clear() {
+    this.update(model => model.tables.clear());
+  }
+
+  getChildren(element) {
+    if (element) return element.children || [];
+
+    // Levels with only unnamed entries (no database, default schema) are skipped
+    const databases = this.model.tree(this.filter).map(database => {
+      const schemas = database.schemas.map(schema => {
+        const tables = schema.tables.map(table => this.tableElement(table));
+        return { type: 'schema', name: schema.name, database: database.name, children: tables };
+      });
+      const children = schemas.length === 1 && schemas[0].name === null ? schemas[0].children : schemas;
+      return { type: 'database', name: database.name, children };
+    });
+    return databases.length === 1 && databases[0].name === null ? databases[0].children : databases;
+  }
+
+  tableElement(table) {
+    const columns = table.columns.map(column => ({ type: 'column', table, column }));
+    const references = this.byFile(table.references);
+    return {
+      type: 'table',
+      table,
+      children: references.length > 0
+        ? [...columns, { type: 'references', table, children: references }]
+        : columns
+    };
+  }
+
+  /**
+   * References grouped by file, in file order
+   */
+  byFile(references) {
+    const files = new Map();
+    references.forEach(reference => {
+      if (!files.has(reference.file)) files.set(reference.file, []);
+      files.get(reference.file).push(reference);
+    });
+    return [...files]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([file, entries]) => ({ type: 'file', file, references: entries.sort((a, b) => (a.line || 0) - (b.line || 0)) }));
+  }
+
+  getTreeItem(element) {
+    const { None, Collapsed, Expanded } = vscode.TreeItemCollapsibleState;
+
+    if (element.type === 'database' || element.type === 'schema') {
+      const fallback = element.type === 'database' ? '(default database)' : '(default schema)';
+      const item = new vscode.TreeItem(element.name ?? fallback, Expanded);
+      item.description = String(element.type === 'database'
+        ? element.children.reduce((sum, child) => sum + (child.type === 'schema' ? child.children.length : 1), 0)
+        : element.children.length);
+      item.iconPath = new vscode.ThemeIcon(element.type === 'database' ? 'database' : 'symbol-namespace');
+      return item;
+    }
+
+    if (element.type === 'table') {
+      const { table } = element;
+      const item = new vscode.TreeItem(table.name.split('.').pop(), element.children.length > 0 ? Collapsed : None);
+      const files = new Set(table.references.filter(reference => reference.role !== 'definition').map(reference => reference.file));
+      item.description = [
+        table.kind === 'view' ? 'view' : null,
+        `${table.columns.length} column${table.columns.length === 1 ? '' : 's'}`,
+        files.size > 0 ? `${files.size} file${files.size === 1 ? '' : 's'}` : null
+      ].filter(Boolean).join(' · ');
+      item.tooltip = `${table.name}\nFrom: ${table.sources.map(source => source === 'local' ? 'local schema' : source === 'netpad' ? 'NetPad' : 'SQL parse').join(', ')}`;
+      item.iconPath = new vscode.ThemeIcon(table.kind === 'view' ? 'eye' : 'table');
+      item.contextValue = 'netpadSchemaTable';
+      return item;
+    }
+
+    if (element.type === 'column') {
+      const item = new vscode.TreeItem(element.column.name, None);
+      item.description = element.column.type || '';
+      item.iconPath = new vscode.ThemeIcon('symbol-field');
+      item.contextValue = 'netpadSchemaColumn';
+      return item;
+    }
+
+    if (element.type === 'references') {
+      const item = new vscode.TreeItem('Referenced in', Collapsed);
+      item.description = String(element.children.length);
+      item.iconPath = new vscode.ThemeIcon('references');
+      return item;
+    }
+
+    const item = new vscode.TreeItem(element.file, None);
+    item.description = element.references
+      .map(reference => [ROLE_LABELS[reference.role] || reference.role, reference.line ? `line ${reference.line}` : null].filter(Boolean).join(' '))
+      .join(', ');
+    item.iconPath = vscode.ThemeIcon.File;
+    item.resourceUri = this.uriFor(element.references[0]);
+    item.contextValue = 'netpadSchemaReference';
+    const open = this.openCommand(element.references[0]);
+    if (open) item.command = open;
+    return item;
+  }
+
+  /**
+   * vscode.open command revealing a reference
+   */
+  openCommand(reference) {
+    const uri = this.uriFor(reference);
+    if (!uri) return null;
+    const line = Math.max(0, (reference.line || 1) - 1);
+    return {
+      command: 'vscode.open',
+      title: 'Open',
+      arguments: [uri, { selection: new vscode.Range(line, 0, line, 0) }]
+    };
+  }
+
+  /**
+   * Uri of a reference's file; references recorded before their URI was
+   * kept fall back to the first workspace folder
+   */
+  uriFor(reference) {
+    if (reference.uri) return vscode.Uri.parse(reference.uri);
+    if (path.isAbsolute(reference.file)) return vscode.Uri.file(reference.file);
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+    return folder ? vscode.Uri.joinPath(folder, reference.file) : null;
+  }
+
+  dispose() {
+    this.onDidChangeTreeDataEmitter.dispose();
+  }
+}
+
+/**
+ * Name to copy for a table or column element
+ */
+function qualifiedName(element) {
+  if (element.type === 'column') return `${element.table.name}.${element.column.name}`;
+  return element.table?.name || null;
+}
+
+module.exports = { SchemaTreeProvider, qualifiedName };
@@ -0,0 +1,868 @@
+// common/sqlParser.js
+const { NetPadConfigError, NetPadSqlParseError } = require('./errors');
+
+/**
+ * Lexical rules that differ between the supported dialects
+ */
+const DIALECTS = {
+  postgres: { label: 'PostgreSQL', identifierQuotes: '"', stringQuotes: "'", dollarStrings: true },
+  mysql: { label: 'MySQL', identifierQuotes: '`', stringQuotes: '\'"', hashComments: true, backslashEscapes: true },
+  snowflake: { label: 'Snowflake', identifierQuotes: '"', stringQuotes: "'", dollarStrings: true, slashComments: true, backslashEscapes: true },
+  bigquery: { label: 'BigQuery', identifierQuotes: '`', stringQuotes: '\'"', tripleQuotes: true, hashComments: true, backslashEscapes: true, trailingCommas: true },
+  sqlite: { label: 'SQLite', identifierQuotes: '"`[', stringQuotes: "'" }
+};
+const DEFAULT_DIALECT = 'postgres';
+
+// Editor language ids that already say which dialect a file is written in
+const LANGUAGE_DIALECTS = {
+  postgres: 'postgres',
+  postgresql: 'postgres',
+  pgsql: 'postgres',
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  snowflake: 'snowflake',
+  'snowflake-sql': 'snowflake',
+  bigquery: 'bigquery',
+  googlesql: 'bigquery',
+  sqlite: 'sqlite'
+};
+
+// Words that can start a statement
+const STATEMENT_KEYWORDS = new Set([
+  'SELECT', 'WITH', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT', 'REPLACE', 'VALUES', 'TABLE',
+  'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'COPY', 'EXPLAIN', 'SHOW', 'DESCRIBE', 'DESC', 'USE', 'SET',
+  'BEGIN', 'START', 'COMMIT', 'ROLLBACK', 'GRANT', 'REVOKE', 'CALL', 'DECLARE', 'PRAGMA', 'ANALYZE', 'VACUUM'
+]);
+// Session and transaction statements, which reference no tables
+const SESSION_STATEMENTS = new Set(['SHOW', 'USE', 'SET', 'BEGIN', 'START', 'COMMIT', 'ROLLBACK', 'GRANT', 'REVOKE', 'DECLARE', 'PRAGMA']);
+const CTE_STATEMENTS = new Set(['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'VALUES', 'TABLE']);
+const DDL_STATEMENTS = new Set(['CREATE', 'ALTER', 'DROP']);
+// Words between CREATE/ALTER/DROP and the kind of object
+const OBJECT_MODIFIERS = new Set([
+  'OR', 'REPLACE', 'TEMP', 'TEMPORARY', 'TRANSIENT', 'VOLATILE', 'EXTERNAL', 'UNIQUE', 'GLOBAL',
+  'LOCAL', 'SECURE', 'UNLOGGED', 'MATERIALIZED', 'RECURSIVE'
+]);
+
+// Clause words: never a table name, alias or column unless quoted
+const RESERVED = new Set([
+  'SELECT', 'FROM', 'WHERE', 'GROUP', 'BY', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'FETCH', 'UNION', 'ALL',
+  'EXCEPT', 'INTERSECT', 'MINUS', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL',
+  'SEMI', 'ANTI', 'ASOF', 'ON', 'USING', 'AS', 'WITH', 'RECURSIVE', 'INSERT', 'INTO', 'VALUES', 'UPDATE',
+  'SET', 'DELETE', 'MERGE', 'WHEN', 'MATCHED', 'THEN', 'ELSE', 'END', 'CASE', 'AND', 'OR', 'NOT', 'IN',
+  'IS', 'NULL', 'LIKE', 'ILIKE', 'BETWEEN', 'EXISTS', 'DISTINCT', 'CREATE', 'ALTER', 'DROP', 'TABLE',
+  'VIEW', 'INDEX', 'TRUNCATE', 'RETURNING', 'WINDOW', 'QUALIFY', 'PARTITION', 'OVER', 'LATERAL', 'ONLY',
+  'IF', 'PRIMARY', 'KEY', 'FOREIGN', 'REFERENCES', 'CONSTRAINT', 'UNIQUE', 'CHECK', 'DEFAULT', 'ASC',
+  'DESC', 'NULLS', 'FOR', 'TABLESAMPLE', 'PIVOT', 'UNPIVOT', 'TRUE', 'FALSE', 'CONFLICT', 'DO', 'NOTHING',
+  'DUPLICATE', 'IGNORE', 'FORCE', 'USE', 'TOP', 'ADD', 'COLUMN', 'RENAME', 'MODIFY', 'CHANGE', 'CASCADE',
+  'RESTRICT', 'RESTART', 'CLONE', 'COLLATE', 'ESCAPE', 'ANY', 'SOME', 'TO', 'GRANT', 'REVOKE'
+]);
+// Types and other keywords that are not columns, but may name a table
+const KEYWORDS = new Set([
+  'INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT', 'MEDIUMINT', 'INT64', 'DECIMAL', 'NUMERIC', 'NUMBER',
+  'REAL', 'FLOAT', 'FLOAT64', 'DOUBLE', 'PRECISION', 'VARCHAR', 'CHAR', 'CHARACTER', 'VARYING', 'TEXT',
+  'STRING', 'BOOLEAN', 'BOOL', 'DATE', 'TIME', 'TIMESTAMP', 'TIMESTAMPTZ', 'DATETIME', 'ZONE', 'INTERVAL',
+  'JSON', 'JSONB', 'UUID', 'BLOB', 'BYTEA', 'BYTES', 'SERIAL', 'BIGSERIAL', 'ARRAY', 'STRUCT', 'VARIANT',
+  'OBJECT', 'UNSIGNED', 'AUTO_INCREMENT', 'AUTOINCREMENT', 'IDENTITY', 'GENERATED', 'ALWAYS', 'STORED',
+  'YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND', 'WEEK', 'QUARTER', 'AT', 'LOCAL', 'OF', 'NO',
+  'ACTION', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'LOCALTIMESTAMP',
+  'SYSDATE', 'ROWS', 'ROW', 'RANGE', 'PRECEDING', 'FOLLOWING', 'UNBOUNDED', 'CURRENT', 'FIRST', 'LAST',
+  'FILTER', 'WITHIN', 'SIMILAR', 'REGEXP', 'RLIKE', 'GLOB', 'LOCK', 'SHARE', 'NOWAIT', 'SKIP', 'LOCKED',
+  'MATERIALIZED', 'TEMP', 'TEMPORARY', 'EXCLUDED', 'COMMENT', 'ENGINE', 'CHARSET', 'WITHOUT', 'ORDINALITY'
+]);
+const JOIN_MODIFIERS = new Set(['NATURAL', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'INNER', 'CROSS', 'SEMI', 'ANTI', 'ASOF']);
+// Where an ON condition stops
+const CONDITION_END = new Set([
+  'JOIN', ...JOIN_MODIFIERS, 'WHERE', 'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'FETCH', 'UNION',
+  'EXCEPT', 'INTERSECT', 'MINUS', 'WINDOW', 'QUALIFY', 'RETURNING', 'WHEN', 'FOR'
+]);
+// Keywords that open a new clause at their nesting depth
+const CLAUSE_KEYWORDS = new Set([
+  'SELECT', 'WHERE', 'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'SET', 'VALUES', 'UNION', 'EXCEPT', 'INTERSECT',
+  'MINUS', 'WINDOW', 'QUALIFY', 'RETURNING'
+]);
+// Functions whose arguments use FROM, as in EXTRACT(YEAR FROM created_at)
+const FROM_FUNCTIONS = new Set(['EXTRACT', 'SUBSTRING', 'SUBSTR', 'TRIM', 'OVERLAY', 'POSITION']);
+// A statement cannot end on one of these
+const DANGLING = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'ON', 'JOIN', 'BY', 'SET', 'VALUES', 'INTO', 'AS', 'WITH',
+  'UNION', 'EXCEPT', 'INTERSECT', 'IN', 'LIKE', 'ILIKE', 'BETWEEN', 'IS', 'CASE', 'WHEN', 'THEN', 'ELSE',
+  'HAVING', 'LIMIT', 'OFFSET', 'DISTINCT', 'USING', 'UPDATE', 'DELETE', 'INSERT', 'TABLE', ...JOIN_MODIFIERS
+]);
+
+const WORD = /[A-Za-z_\u00C0-\uFFFF][\w$\u00C0-\uFFFF]*/y;
+const NUMBER = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+const DOLLAR_TAG = /\$(?:[A-Za-z_]\w*)?\$/y;
+const OPERATOR = /::|->>|->|#>>|#>|@>|<@|<=>|<>|!=|<=|>=|\|\||=>|:=|<<|>>|[-+*/%=<>!|&^~.,;()[\]{}:@#?]/y;
+const PARAMETER = /\$\d+|:[A-Za-z_]\w*|@@?[A-Za-z_]\w*|\?/y;
+// String prefixes such as E'…' (Postgres), N'…', X'…', r'…' and b'…' (BigQuery)
+const STRING_PREFIX = /^(?:[ebnrxu]|rb|br)$/i;
+
+/**
+ * 1-based line and column of an offset
+ */
+function positionAt(sql, offset) {
+  const before = sql.slice(0, offset);
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+function parseError(sql, message, offset) {
+  return new NetPadSqlParseError(message, { ...positionAt(sql, offset), offset });
+}
+
+/**
+ * Index of the quote closing the literal opened at `start`, or -1.
+ * A doubled quote is an escaped quote.
+ */
+function closingQuote(sql, start, close, backslashEscapes) {
+  for (let i = start + 1; i < sql.length; i++) {
+    if (backslashEscapes && sql[i] === '\\') {
+      i++;
+    } else if (sql[i] === close) {
+      if (sql[i + 1] !== close) return i;
+      i++;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split SQL into word, identifier, string, number, parameter and operator
+ * tokens, dropping whitespace and comments
+ */
+function tokenize(sql, rules) {
+  const tokens = [];
+  let i = 0;
+  let prefix = null;
+  const match = regex => {
+    regex.lastIndex = i;
+    return regex.exec(sql);
+  };
+  const push = (type, value, end, extra = {}) => {
+    tokens.push({ type, value, start: i, end, ...extra });
+    i = end;
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+    const escapes = rules.backslashEscapes || /^e$/i.test(prefix || '');
+    prefix = null;
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if ((ch === '-' && next === '-') || (ch === '#' && rules.hashComments) || (ch === '/' && next === '/' && rules.slashComments)) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+    } else if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      if (end === -1) throw parseError(sql, 'Unterminated block comment', i);
+      i = end + 2;
+    } else if (ch === '$' && rules.dollarStrings && match(DOLLAR_TAG)) {
+      const tag = match(DOLLAR_TAG)[0];
+      const end = sql.indexOf(tag, i + tag.length);
+      if (end === -1) throw parseError(sql, `Unterminated ${tag}-quoted string`, i);
+      push('string', sql.slice(i + tag.length, end), end + tag.length);
+    } else if (rules.tripleQuotes && (sql.startsWith("'''", i) || sql.startsWith('"""', i))) {
+      const end = sql.indexOf(sql.slice(i, i + 3), i + 3);
+      if (end === -1) throw parseError(sql, 'Unterminated string literal', i);
+      push('string', sql.slice(i + 3, end), end + 3);
+    } else if (rules.stringQuotes.includes(ch)) {
+      const end = closingQuote(sql, i, ch, escapes);
+      if (end === -1) throw parseError(sql, 'Unterminated string literal', i);
+      push('string', sql.slice(i + 1, end), end + 1);
+    } else if (rules.identifierQuotes.includes(ch)) {
+      const close = ch === '[' ? ']' : ch;
+      const end = closingQuote(sql, i, close, false);
+      if (end === -1) throw parseError(sql, 'Unterminated quoted identifier', i);
+      push('identifier', sql.slice(i + 1, end).split(close + close).join(close), end + 1);
+    } else if (match(WORD)) {
+      const word = match(WORD)[0];
+      const end = i + word.length;
+      if (STRING_PREFIX.test(word) && sql[end] && rules.stringQuotes.includes(sql[end])) {
+        prefix = word;
+        i = end;
+      } else {
+        push('word', word, end, { upper: word.toUpperCase() });
+      }
+    } else if (match(NUMBER)) {
+      push('number', match(NUMBER)[0], i + match(NUMBER)[0].length);
+    } else if (match(PARAMETER)) {
+      push('parameter', match(PARAMETER)[0], i + match(PARAMETER)[0].length);
+    } else if (match(OPERATOR)) {
+      push('operator', match(OPERATOR)[0], i + match(OPERATOR)[0].length);
+    } else {
+      throw parseError(sql, `Unexpected character '${ch}'`, i);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Token lists of the statements separated by top-level semicolons
+ */
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+  tokens.forEach(token => {
+    if (token.type === 'operator' && token.value === ';') {
+      if (current.length > 0) statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  });
+  if (current.length > 0) statements.push(current);
+  return statements;
+}
+
+/**
+ * Tables, CTEs, joins and columns referenced by one statement
+ */
+class StatementScanner {
+  constructor(sql, tokens, rules) {
+    this.sql = sql;
+    this.tokens = tokens;
+    this.rules = rules;
+    // Indexes of tokens naming tables, aliases and CTEs rather than columns
+    this.names = new Set();
+    // Lower-cased alias or table name → table it refers to
+    this.aliases = new Map();
+    this.columnAliases = new Set();
+    this.tables = [];
+    this.ctes = [];
+    this.joins = [];
+    // Comma joins waiting for the WHERE clause that holds their condition
+    this.implicitJoins = [];
+    this.columns = [];
+    // Columns tested in a WHERE clause
+    this.filters = [];
+    this.derived = 0;
+  }
+
+  scan() {
+    this.matchParentheses();
+    const main = this.mainKeyword(this.isWord(0, 'WITH') ? this.readCtes(1) : 0);
+    this.type = this.statementType(main);
+    this.ddl = DDL_STATEMENTS.has(this.tokens[main].upper);
+    if (!SESSION_STATEMENTS.has(this.tokens[main].upper)) {
+      this.findTables(main);
+      this.findColumns();
+    }
+    this.checkSyntax();
+
+    const first = this.tokens[0];
+    const last = this.tokens[this.tokens.length - 1];
+    return {
+      type: this.type,
+      line: positionAt(this.sql, first.start).line,
+      endLine: positionAt(this.sql, last.end).line,
+      tables: this.tables,
+      ctes: this.ctes,
+      joins: this.joins,
+      columns: this.columns,
+      filters: this.filters,
+      derivedTables: this.derived
+    };
+  }
+
+  isWord(i, ...words) {
+    const token = this.tokens[i];
+    return Boolean(token && token.type === 'word' && (words.length === 0 || words.includes(token.upper)));
+  }
+
+  isOp(i, value) {
+    const token = this.tokens[i];
+    return Boolean(token && token.type === 'operator' && token.value === value);
+  }
+
+  /**
+   * Whether the token can be a table, alias or column name
+   */
+  isName(i) {
+    const token = this.tokens[i];
+    return Boolean(token && (token.type === 'identifier' || (token.type === 'word' && !RESERVED.has(token.upper))));
+  }
+
+  error(message, i) {
+    const token = this.tokens[i];
+    if (token) return parseError(this.sql, `${message}, found '${token.value}'`, token.start);
+    return parseError(this.sql, `${message} before the end of the statement`, this.tokens[this.tokens.length - 1].end);
+  }
+
+  lineOf(i) {
+    return positionAt(this.sql, this.tokens[i].start).line;
+  }
+
+  text(from, to) {
+    return this.sql.slice(this.tokens[from].start, this.tokens[to].end).replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Record each token's nesting depth and pair up parentheses
+   */
+  matchParentheses() {
+    const open = [];
+    this.tokens.forEach((token, i) => {
+      if (this.isOp(i, ')')) {
+        if (open.length === 0) throw parseError(this.sql, "Unmatched ')'", token.start);
+        const opener = open.pop();
+        this.tokens[opener].match = i;
+        token.match = opener;
+      }
+      token.depth = open.length;
+      if (this.isOp(i, '(')) open.push(i);
+    });
+    if (open.length > 0) {
+      throw parseError(this.sql, "Missing ')' to close this '('", this.tokens[open[open.length - 1]].start);
+    }
+  }
+
+  /**
+   * Read `name [(columns)] AS (…)` definitions after WITH; returns the index after them
+   */
+  readCtes(i) {
+    if (this.isWord(i, 'RECURSIVE')) i++;
+    for (;;) {
+      if (!this.isName(i)) throw this.error('Expected a CTE name', i);
+      const cte = { name: this.tokens[i].value, columns: [] };
+      this.names.add(i++);
+
+      if (this.isOp(i, '(')) {
+        const close = this.tokens[i].match;
+        for (let k = i + 1; k < close; k++) {
+          if (this.isName(k)) {
+            cte.columns.push(this.tokens[k].value);
+            this.names.add(k);
+          }
+        }
+        i = close + 1;
+      }
+      if (!this.isWord(i, 'AS')) throw this.error(`Expected AS after CTE ${cte.name}`, i);
+      i++;
+      if (this.isWord(i, 'NOT')) i++;
+      if (this.isWord(i, 'MATERIALIZED')) i++;
+      if (!this.isOp(i, '(')) throw this.error(`Expected '(' after AS in CTE ${cte.name}`, i);
+      i = this.tokens[i].match + 1;
+
+      this.ctes.push(cte);
+      this.aliases.set(cte.name.toLowerCase(), cte.name);
+      if (!this.isOp(i, ',')) return i;
+      i++;
+    }
+  }
+
+  mainKeyword(i) {
+    while (this.isOp(i, '(')) i++;
+    const token = this.tokens[i];
+    const withClause = i > 0 && this.isWord(0, 'WITH');
+    if (!token || token.type !== 'word' || !STATEMENT_KEYWORDS.has(token.upper) || (withClause && !CTE_STATEMENTS.has(token.upper))) {
+      throw this.error(withClause ? 'Expected SELECT, INSERT, UPDATE, DELETE or MERGE after WITH' : 'Expected a SQL statement', i);
+    }
+    return i;
+  }
+
+  /**
+   * `select`, `insert`, `create table`, `drop view`, …
+   */
+  statementType(main) {
+    const keyword = this.tokens[main].upper;
+    if (DDL_STATEMENTS.has(keyword)) {
+      let i = main + 1;
+      while (this.isWord(i) && OBJECT_MODIFIERS.has(this.tokens[i].upper)) i++;
+      return this.isWord(i) ? `${keyword} ${this.tokens[i].upper}`.toLowerCase() : keyword.toLowerCase();
+    }
+    return keyword === 'DESC' ? 'describe' : keyword.toLowerCase();
+  }
+
+  /**
+   * Walk the statement for table references, joins and derived-table aliases
+   */
+  findTables(main) {
+    const { tokens } = this;
+    // Clause keyword in effect at each nesting depth; `contexts` carries it
+    // into parentheses, so lower(email) in a WHERE is still in the WHERE
+    const clauses = [];
+    const contexts = [];
+    const openers = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const depth = token.depth;
+      token.clause = contexts[depth] || null;
+
+      if (this.isOp(i, '(')) {
+        clauses[depth + 1] = null;
+        contexts[depth + 1] = contexts[depth];
+        openers.push(i);
+        continue;
+      }
+      if (this.isOp(i, ')')) {
+        openers.pop();
+        const before = token.match - 1;
+        if (this.isWord(before, 'FROM', 'JOIN', 'LATERAL') || (this.isOp(before, ',') && clauses[depth] === 'FROM')) {
+          this.readAlias(i + 1, alias => this.aliases.set(alias.toLowerCase(), alias));
+          this.derived++;
+        }
+        continue;
+      }
+      if (this.isOp(i, ',') && clauses[depth] === 'FROM') {
+        i = this.readImplicitJoin(i, openers[openers.length - 1]) - 1;
+        continue;
+      }
+      if (token.type !== 'word' || this.names.has(i)) continue;
+
+      switch (token.upper) {
+        case 'WITH':
+          // A WITH at the start of a subquery
+          if (i > 0 && this.isOp(i - 1, '(')) this.readCtes(i + 1);
+          break;
+        case 'FROM': {
+          const opener = tokens[openers[openers.length - 1] - 1];
+          if (this.isWord(i - 1, 'DISTINCT') || (opener && opener.type === 'word' && FROM_FUNCTIONS.has(opener.upper))) break;
+          clauses[depth] = 'FROM';
+          contexts[depth] = 'FROM';
+          // DELETE FROM removes rows from the table; every other FROM reads
+          const role = this.isWord(i - 1, 'DELETE') ? 'write' : 'read';
+          i = this.readTable(i + 1, role, { functions: true }).next - 1;
+          break;
+        }
+        case 'JOIN':
+          i = this.readJoin(i) - 1;
+          break;
+        case 'WHERE':
+          clauses[depth] = 'WHERE';
+          contexts[depth] = 'WHERE';
+          this.readImplicitConditions(i, openers[openers.length - 1]);
+          break;
+        case 'INTO':
+          i = this.readTable(i + 1, 'write', { columnList: true }).next - 1;
+          break;
+        case 'UPDATE':
+          if (i === main) i = this.readTable(i + 1, 'write').next - 1;
+          break;
+        case 'TABLE':
+        case 'VIEW':
+          if (this.ddl || this.isWord(main, 'TRUNCATE')) {
+            i = this.readTable(i + 1, 'write', { alias: false }).next - 1;
+          } else if (i === main) {
+            i = this.readTable(i + 1, 'read').next - 1;
+          }
+          break;
+        case 'TRUNCATE':
+          if (i === main && !this.isWord(i + 1, 'TABLE')) i = this.readTable(i + 1, 'write').next - 1;
+          break;
+        case 'INDEX':
+          // The index's own name
+          if (this.ddl) {
+            let k = i + 1;
+            while (this.isWord(k, 'IF', 'NOT', 'EXISTS', 'CONCURRENTLY')) k++;
+            if (this.isName(k)) this.names.add(k);
+          }
+          break;
+        case 'ON':
+          if (this.type === 'create index') i = this.readTable(i + 1, 'write').next - 1;
+          break;
+        case 'USING':
+          if (this.type === 'merge' || this.type === 'delete') {
+            const ref = this.readTable(i + 1, 'read', { functions: true });
+            if (this.type === 'merge') {
+              this.joins.push({
+                type: 'merge',
+                table: ref.name || '(subquery)',
+                alias: ref.alias,
+                condition: this.readCondition(this.afterDerived(ref)),
+                line: this.lineOf(i)
+              });
+            }
+            i = ref.next - 1;
+          }
+          break;
+        case 'REFERENCES':
+          i = this.readTable(i + 1, 'read', { columnList: true }).next - 1;
+          break;
+        default:
+          if (CLAUSE_KEYWORDS.has(token.upper)) {
+            clauses[depth] = token.upper;
+            contexts[depth] = token.upper;
+          }
+      }
+    }
+  }
+
+  /**
+   * Read a table reference and its alias. Subqueries are left in place for
+   * the caller to walk into; a name followed by '(' is a table function when
+   * `functions` is set. Returns { next, name, alias, function }.
+   */
+  readTable(i, role, options = {}) {
+    const keyword = this.tokens[i - 1];
+    while (this.isWord(i, 'ONLY', 'LATERAL', 'IF', 'NOT', 'EXISTS')) i++;
+    if (this.isOp(i, '(')) return { next: i, name: null, alias: null };
+    if (!this.isName(i)) {
+      const token = this.tokens[i];
+      // COPY … FROM 'file', SELECT … INTO @variable
+      if (token && (token.type === 'string' || token.type === 'parameter')) return { next: i, name: null, alias: null };
+      throw this.error(`Expected a table name after ${keyword.value.toUpperCase()}`, i);
+    }
+
+    const first = i;
+    const parts = [this.tokens[i].value];
+    this.names.add(i++);
+    while (this.isOp(i, '.') && ['word', 'identifier'].includes(this.tokens[i + 1]?.type)) {
+      parts.push(this.tokens[i + 1].value);
+      this.names.add(i + 1);
+      i += 2;
+    }
+    const name = parts.join('.');
+
+    if (options.functions && this.isOp(i, '(')) {
+      this.derived++;
+      return { next: i, name: null, alias: null, function: name };
+    }
+
+    if (options.columnList && this.isOp(i, '(') && this.isNameList(i)) {
+      const close = this.tokens[i].match;
+      this.addTable(name, role, null, first);
+      for (let k = i + 1; k < close; k++) {
+        if (this.isName(k)) {
+          this.addColumn(name, this.tokens[k].value, k);
+          this.names.add(k);
+        }
+      }
+      return { next: close + 1, name, alias: null };
+    }
+
+    let alias = null;
+    const next = options.alias === false ? i : this.readAlias(i, value => { alias = value; });
+    this.addTable(name, role, alias, first);
+    return { next, name, alias };
+  }
+
+  /**
+   * `AS alias` or a bare alias at `i`; returns the index after it
+   */
+  readAlias(i, onAlias) {
+    if (this.isWord(i, 'AS') && this.isName(i + 1)) i++;
+    if (!this.isName(i) || this.isOp(i + 1, '(')) return i;
+    this.names.add(i);
+    onAlias(this.tokens[i].value);
+    return i + 1;
+  }
+
+  /**
+   * Whether the parentheses at `i` hold nothing but a list of names
+   */
+  isNameList(i) {
+    const close = this.tokens[i].match;
+    for (let k = i + 1; k < close; k++) {
+      if (!(this.isName(k) || this.isOp(k, ','))) return false;
+    }
+    return close > i + 1;
+  }
+
+  readJoin(i) {
+    let k = i - 1;
+    const modifiers = [];
+    while (this.isWord(k) && JOIN_MODIFIERS.has(this.tokens[k].upper)) modifiers.unshift(this.tokens[k--].upper);
+    const type = modifiers.filter(word => word !== 'OUTER').join(' ').toLowerCase() || 'inner';
+
+    const ref = this.readTable(i + 1, 'read', { functions: true });
+    const after = this.afterDerived(ref);
+    this.joins.push({
+      type,
+      table: ref.name || (ref.function ? `${ref.function}(…)` : '(subquery)'),
+      alias: ref.alias || (after > ref.next ? this.tokens[after - 1].value : null),
+      condition: this.readCondition(after),
+      line: this.lineOf(i)
+    });
+    return ref.next;
+  }
+
+  /**
+   * A comma-separated FROM item: an implicit join whose condition is in
+   * the WHERE clause of the same query. `scope` is the '(' the query is in.
+   */
+  readImplicitJoin(i, scope) {
+    const ref = this.readTable(i + 1, 'read', { functions: true });
+    const after = this.afterDerived(ref);
+    const join = {
+      type: 'implicit',
+      table: ref.name || (ref.function ? `${ref.function}(…)` : '(subquery)'),
+      alias: ref.alias || (after > ref.next ? this.tokens[after - 1].value : null),
+      condition: null,
+      line: this.lineOf(i)
+    };
+    this.joins.push(join);
+    this.implicitJoins.push({ join, scope });
+    return ref.next;
+  }
+
+  /**
+   * Give the implicit joins of the query a WHERE at `i` belongs to the
+   * equalities that compare their columns with another table's
+   */
+  readImplicitConditions(i, scope) {
+    const joins = this.implicitJoins.filter(pending => pending.scope === scope && !pending.join.condition);
+    if (joins.length === 0) return;
+
+    const depth = this.tokens[i].depth;
+    let end = i + 1;
+    while (end < this.tokens.length && this.tokens[end].depth >= depth &&
+      !(this.tokens[end].depth === depth && this.isWord(end) && CONDITION_END.has(this.tokens[end].upper) && !this.isOp(end + 1, '('))) {
+      end++;
+    }
+    if (end === i + 1) return;
+
+    const equalities = this.text(i + 1, end - 1).split(/\s+AND\s+/i)
+      .map(part => part.trim().match(/^([\w$"`[\]]+)\s*\.\s*[\w$"`[\]]+\s*=\s*([\w$"`[\]]+)\s*\.\s*[\w$"`[\]]+$/))
+      .filter(Boolean);
+    const unquote = name => name.replace(/^["`[]|["`\]]$/g, '').toLowerCase();
+    joins.forEach(({ join }) => {
+      const names = [join.alias, join.table.split('.').pop()].filter(Boolean).map(name => name.toLowerCase());
+      const matching = equalities.filter(([, left, right]) =>
+        unquote(left) !== unquote(right) && (names.includes(unquote(left)) || names.includes(unquote(right))));
+      if (matching.length > 0) join.condition = matching.map(([part]) => part.trim()).join(' AND ');
+    });
+  }
+
+  /**
+   * Index after a subquery or table function and its alias, when `ref` stopped at one
+   */
+  afterDerived(ref) {
+    if (!this.isOp(ref.next, '(')) return ref.next;
+    return this.readAlias(this.tokens[ref.next].match + 1, () => {});
+  }
+
+  /**
+   * Text of the ON or USING condition at `i`, or null
+   */
+  readCondition(i) {
+    if (this.isWord(i, 'USING') && this.isOp(i + 1, '(')) {
+      this.names.add(i);
+      return `USING ${this.text(i + 1, this.tokens[i + 1].match)}`;
+    }
+    if (!this.isWord(i, 'ON')) return null;
+
+    const depth = this.tokens[i].depth;
+    let end = i + 1;
+    while (end < this.tokens.length) {
+      const token = this.tokens[end];
+      if (token.depth < depth) break;
+      // LEFT(…) and RIGHT(…) are string functions, not joins
+      const keyword = token.type === 'word' && CONDITION_END.has(token.upper) && !(this.isWord(end, 'LEFT', 'RIGHT') && this.isOp(end + 1, '('));
+      if (token.depth === depth && (this.isOp(end, ',') || keyword)) break;
+      end++;
+    }
+    if (end === i + 1) throw this.error('Expected a join condition after ON', end);
+    return this.text(i + 1, end - 1);
+  }
+
+  addTable(name, role, alias, i) {
+    const key = name.toLowerCase();
+    const cte = this.ctes.find(candidate => candidate.name.toLowerCase() === key);
+    if (cte) {
+      if (alias) this.aliases.set(alias.toLowerCase(), cte.name);
+      this.derived++;
+      return;
+    }
+
+    let table = this.tables.find(candidate => candidate.name.toLowerCase() === key && candidate.role === role);
+    if (!table) {
+      table = { name, role, aliases: [], line: this.lineOf(i) };
+      this.tables.push(table);
+    }
+    if (alias && !table.aliases.includes(alias)) table.aliases.push(alias);
+
+    this.aliases.set(key, name);
+    const last = key.split('.').pop();
+    if (!this.aliases.has(last)) this.aliases.set(last, name);
+    if (alias) this.aliases.set(alias.toLowerCase(), name);
+  }
+
+  /**
+   * Record the first reference to a column, and to it as a WHERE filter
+   */
+  addColumn(table, name, i) {
+    const key = `${table || ''}.${name}`.toLowerCase();
+    const same = column => `${column.table || ''}.${column.name}`.toLowerCase() === key;
+    const column = { table: table || null, name, line: this.lineOf(i) };
+    if (!this.columns.some(same)) this.columns.push(column);
+    if (this.tokens[i].clause === 'WHERE' && !this.filters.some(same)) this.filters.push(column);
+  }
+
+  /**
+   * Whether the token at `i` can end an expression, so a name after it is an alias
+   */
+  endsExpression(i) {
+    const token = this.tokens[i];
+    if (!token) return false;
+    if (['identifier', 'number', 'string', 'parameter'].includes(token.type)) return true;
+    if (token.type === 'word') return !RESERVED.has(token.upper);
+    return token.value === ')';
+  }
+
+  /**
+   * Qualified and unqualified column references. Qualifiers are resolved
+   * through table aliases; an unqualified column belongs to the statement's
+   * table when it only has one, or in DDL to the table being defined.
+   */
+  findColumns() {
+    const { tokens } = this;
+    const tableNames = new Set(this.tables.map(table => table.name.toLowerCase()));
+    const written = this.tables.filter(table => table.role === 'write');
+    const only = tableNames.size === 1 && this.derived === 0 ? this.tables[0].name
+      : this.ddl && written.length === 1 ? written[0].name : null;
+    const resolve = qualifier => this.aliases.get(qualifier.toLowerCase()) || qualifier;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (this.names.has(i)) continue;
+
+      if (this.isOp(i, '*')) {
+        const star = this.isWord(i - 1, 'SELECT', 'DISTINCT', 'ALL') ||
+          (this.isOp(i - 1, ',') && (this.isOp(i + 1, ',') || this.isWord(i + 1, 'FROM') || !tokens[i + 1]));
+        if (star) this.addColumn(only, '*', i);
+        continue;
+      }
+      if (token.type !== 'identifier' && token.type !== 'word') continue;
+      if (token.type === 'word' && (RESERVED.has(token.upper) || KEYWORDS.has(token.upper))) continue;
+      if (this.isOp(i - 1, '.') || this.isOp(i - 1, '::') || this.isWord(i - 1, 'CONSTRAINT')) continue;
+      if (this.isWord(i - 1, 'AS') || this.endsExpression(i - 1)) {
+        this.columnAliases.add(token.value.toLowerCase());
+        continue;
+      }
+
+      const parts = [token.value];
+      let end = i;
+      while (this.isOp(end + 1, '.') && (['word', 'identifier'].includes(tokens[end + 2]?.type) || this.isOp(end + 2, '*'))) {
+        parts.push(tokens[end + 2].value);
+        end += 2;
+      }
+      const call = this.isOp(end + 1, '(') || this.isOp(end + 1, '=>');
+      i = end;
+      if (call) continue;
+
+      if (parts.length > 1) {
+        const column = parts.pop();
+        this.addColumn(resolve(parts.join('.')), column, i);
+      } else if (!this.columnAliases.has(token.value.toLowerCase()) && !this.aliases.has(token.value.toLowerCase())) {
+        this.addColumn(only, token.value, i);
+      }
+    }
+  }
+
+  /**
+   * Dangling commas and a statement cut off after a keyword or operator
+   */
+  checkSyntax() {
+    const { tokens } = this;
+    tokens.forEach((token, i) => {
+      if (!this.isOp(i, ',')) return;
+      const next = tokens[i + 1];
+      // BigQuery accepts a trailing comma at the end of the SELECT list
+      const trailing = this.rules.trailingCommas && this.isWord(i + 1, 'FROM');
+      if (!trailing && (this.isOp(i + 1, ',') || this.isOp(i + 1, ')') || (next && next.type === 'word' && CLAUSE_KEYWORDS.has(next.upper)) || this.isWord(i + 1, 'FROM'))) {
+        throw this.error("Unexpected token after ','", i + 1);
+      }
+    });
+
+    const last = tokens[tokens.length - 1];
+    const dangling = last.type === 'word' ? DANGLING.has(last.upper) : last.type === 'operator' && ![')', '*', ']', '}'].includes(last.value);
+    if (dangling) {
+      throw parseError(this.sql, `Unexpected end of statement after '${last.value}'`, last.start);
+    }
+  }
+}
+
+function dialectRules(dialect) {
+  const rules = DIALECTS[dialect];
+  if (!rules) {
+    throw new NetPadConfigError(`Unknown SQL dialect "${dialect}". Expected one of: ${Object.keys(DIALECTS).join(', ')}`);
+  }
+  return rules;
+}
+
+/**
+ * Token lists of each statement, for readers that only need the lexer.
+ * Word tokens carry `upper`; every token has `start` and `end` offsets.
+ */
+function tokenizeStatements(sql, options = {}) {
+  return splitStatements(tokenize(sql, dialectRules(options.dialect || DEFAULT_DIALECT)));
+}
+
+/**
+ * Parse SQL locally in the given dialect (postgres, mysql, snowflake,
+ * bigquery or sqlite).
+ *
+ * Returns { dialect, statements: [{ type, line, endLine, tables, ctes, joins,
+ * columns, filters, derivedTables }] } with 1-based lines. Tables carry their
+ * role (read or write) and aliases; CTE references are not tables. Tables
+ * after a comma in FROM are also `implicit` joins whose condition is the
+ * WHERE equalities naming them (null when there are none). `filters`
+ * are the columns tested in WHERE clauses. Throws NetPadSqlParseError with the
+ * line and column of the first problem.
+ */
+function parseSql(sql, options = {}) {
+  const dialect = options.dialect || DEFAULT_DIALECT;
+  const rules = dialectRules(dialect);
+  const statements = splitStatements(tokenize(sql, rules))
+    .map(tokens => new StatementScanner(sql, tokens, rules).scan());
+  if (statements.length === 0) {
+    throw new NetPadSqlParseError('No SQL statement found', { line: 1, column: 1, offset: 0 });
+  }
+  return { dialect, statements };
+}
+
+/**
+ * Dialect for an editor language id, or null when the id does not name one
+ */
+function dialectForLanguage(languageId) {
+  return LANGUAGE_DIALECTS[String(languageId || '').toLowerCase()] || null;
+}
+
+/**
+ * Markdown summary of a parse, shown next to NetPad's answer. `mapLine`
+ * turns lines of the parsed SQL into editor lines.
+ */
+function renderSqlSummary(parsed, options = {}) {
+  const { mapLine = line => line } = options;
+  const code = value => `\`${value}\``;
+  const table = ({ name, aliases }) => aliases.length > 0 ? `${code(name)} (${aliases.join(', ')})` : code(name);
+  const lines = [`## Local SQL Parse (${DIALECTS[parsed.dialect].label})`, ''];
+
+  parsed.statements.forEach((statement, index) => {
+    const [first, last] = [mapLine(statement.line), mapLine(statement.endLine)];
+    const span = last > first ? `lines ${first}–${last}` : `line ${first}`;
+    lines.push(`**Statement ${index + 1}**: ${statement.type.toUpperCase()} (${span})`);
+
+    const reads = statement.tables.filter(entry => entry.role === 'read');
+    const writes = statement.tables.filter(entry => entry.role === 'write');
+    if (writes.length > 0) lines.push(`- Writes: ${writes.map(table).join(', ')}`);
+    if (reads.length > 0) lines.push(`- Reads: ${reads.map(table).join(', ')}`);
+    if (statement.ctes.length > 0) {
+      lines.push(`- CTEs: ${statement.ctes.map(cte => cte.columns.length > 0 ? `${code(cte.name)} (${cte.columns.join(', ')})` : code(cte.name)).join(', ')}`);
+    }
+    statement.joins.forEach(join => {
+      const target = join.alias ? `${code(join.table)} ${join.alias}` : code(join.table);
+      const label = join.type === 'merge' ? 'MERGE USING' : join.type === 'implicit' ? 'Comma join' : `${join.type.toUpperCase()} JOIN`;
+      const condition = !join.condition ? '' : join.condition.startsWith('USING ') ? ` ${code(join.condition)}` : ` ON ${code(join.condition)}`;
+      lines.push(`- ${label} ${target}${condition}`);
+    });
+    if (statement.columns.length > 0) {
+      lines.push(`- Columns: ${statement.columns.map(column => code(column.table ? `${column.table}.${column.name}` : column.name)).join(', ')}`);
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n').trim();
+}
+
+module.exports = {
+  DIALECTS,
+  DEFAULT_DIALECT,
+  parseSql,
+  tokenizeStatements,
+  positionAt,
+  dialectForLanguage,
+  renderSqlSummary
+};
@@ -0,0 +1,144 @@
+// common/sqliteSchema.js
+const fs = require('fs');
+
+const MAGIC = 'SQLite format 3\u0000';
+const LEAF_TABLE_PAGE = 0x0d;
+const INTERIOR_TABLE_PAGE = 0x05;
+const ENCODINGS = { 1: 'utf8', 2: 'utf16le', 3: 'utf16be' };
+
+/**
+ * Big-endian SQLite varint at `offset`: { value, length }
+ */
+function readVarint(buffer, offset) {
+  let value = 0;
+  for (let i = 0; i < 8; i++) {
+    const byte = buffer[offset + i];
+    value = value * 128 + (byte & 0x7f);
+    if (byte < 0x80) return { value, length: i + 1 };
+  }
+  return { value: value * 256 + buffer[offset + 8], length: 9 };
+}
+
+function decodeText(buffer, encoding) {
+  if (encoding !== 'utf16be') return buffer.toString(encoding);
+  const swapped = Buffer.from(buffer);
+  swapped.swap16();
+  return swapped.toString('utf16le');
+}
+
+/**
+ * Values of a record: integers, floats, text and blobs
+ */
+function readRecord(payload, encoding) {
+  const header = readVarint(payload, 0);
+  const types = [];
+  for (let offset = header.length; offset < header.value;) {
+    const type = readVarint(payload, offset);
+    types.push(type.value);
+    offset += type.length;
+  }
+
+  const sizes = { 0: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 6, 6: 8, 7: 8, 8: 0, 9: 0 };
+  let offset = header.value;
+  return types.map(type => {
+    if (type >= 12) {
+      const length = Math.floor((type - (type % 2 === 0 ? 12 : 13)) / 2);
+      const bytes = payload.subarray(offset, offset + length);
+      offset += length;
+      return type % 2 === 0 ? bytes : decodeText(bytes, encoding);
+    }
+    const size = sizes[type] ?? 0;
+    const bytes = payload.subarray(offset, offset + size);
+    offset += size;
+    if (type === 0) return null;
+    if (type === 8 || type === 9) return type - 8;
+    if (type === 7) return bytes.readDoubleBE(0);
+    return bytes.readIntBE(0, Math.min(size, 6));
+  });
+}
+
+/**
+ * The CREATE statements stored in a SQLite database's schema table, read
+ * straight from the file so no SQLite driver is needed. Changes still in a
+ * write-ahead log (-wal file) are not seen until they are checkpointed.
+ *
+ * Returns [{ type, name, tableName, sql }] for tables, views and indexes.
+ */
+async function readSqliteSchema(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const header = Buffer.alloc(100);
+    await handle.read(header, 0, 100, 0);
+    if (header.toString('latin1', 0, 16) !== MAGIC) {
+      throw new Error('Not a SQLite 3 database');
+    }
+    const rawPageSize = header.readUInt16BE(16);
+    const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+    const usable = pageSize - header[20];
+    const encoding = ENCODINGS[header.readUInt32BE(56)] || 'utf8';
+
+    const readPage = async number => {
+      const page = Buffer.alloc(pageSize);
+      await handle.read(page, 0, pageSize, (number - 1) * pageSize);
+      return page;
+    };
+
+    // A cell's payload, following overflow pages when it does not fit
+    const readPayload = async (page, offset, size) => {
+      const maxLocal = usable - 35;
+      if (size <= maxLocal) return page.subarray(offset, offset + size);
+
+      const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+      const spill = minLocal + ((size - minLocal) % (usable - 4));
+      const local = spill <= maxLocal ? spill : minLocal;
+      const chunks = [page.subarray(offset, offset + local)];
+      let remaining = size - local;
+      let next = page.readUInt32BE(offset + local);
+      const seen = new Set();
+      while (remaining > 0 && next !== 0 && !seen.has(next)) {
+        seen.add(next);
+        const overflow = await readPage(next);
+        const length = Math.min(remaining, usable - 4);
+        chunks.push(overflow.subarray(4, 4 + length));
+        remaining -= length;
+        next = overflow.readUInt32BE(0);
+      }
+      return Buffer.concat(chunks);
+    };
+
+    const rows = [];
+    const visit = async (number, seen) => {
+      if (seen.has(number)) throw new Error(`Corrupt schema b-tree: page ${number} visited twice`);
+      seen.add(number);
+      const page = await readPage(number);
+      // Page 1 starts with the 100-byte database header
+      const start = number === 1 ? 100 : 0;
+      const type = page[start];
+      const cells = page.readUInt16BE(start + 3);
+      const headerSize = type === INTERIOR_TABLE_PAGE ? 12 : 8;
+
+      for (let i = 0; i < cells; i++) {
+        const cell = page.readUInt16BE(start + headerSize + i * 2);
+        if (type === INTERIOR_TABLE_PAGE) {
+          await visit(page.readUInt32BE(cell), seen);
+        } else if (type === LEAF_TABLE_PAGE) {
+          const size = readVarint(page, cell);
+          const rowid = readVarint(page, cell + size.length);
+          rows.push(readRecord(await readPayload(page, cell + size.length + rowid.length, size.value), encoding));
+        } else {
+          throw new Error(`Unexpected page type ${type} in the schema table`);
+        }
+      }
+      if (type === INTERIOR_TABLE_PAGE) await visit(page.readUInt32BE(start + 8), seen);
+    };
+    await visit(1, new Set());
+
+    return rows
+      .map(([type, name, tableName, , sql]) => ({ type, name, tableName, sql }))
+      .filter(row => row.sql && ['table', 'view', 'index'].includes(row.type) && !String(row.name).startsWith('sqlite_'));
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = { readSqliteSchema };
@@ -0,0 +1,151 @@
+// common/toolSchemas.js
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Input parameters of a /tools entry, from a JSON Schema in `inputSchema`
+ * (as MCP servers send it), `input_schema` or `parameters`, or from a list
+ * of { name, type, required, default, description }.
+ *
+ * Returns [{ name, type, description, required, default, enum, items }],
+ * or null when the tool does not describe its inputs.
+ */
+function toolParameters(tool) {
+  const schema = tool?.inputSchema || tool?.input_schema || tool?.parameters;
+  if (Array.isArray(schema)) {
+    return schema.filter(parameter => parameter && parameter.name).map(parameter => ({
+      name: parameter.name,
+      type: parameter.type || 'string',
+      description: parameter.description || '',
+      required: Boolean(parameter.required),
+      default: parameter.default,
+      enum: parameter.enum,
+      items: parameter.items
+    }));
+  }
+  if (!isObject(schema) || !isObject(schema.properties)) return null;
+
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    type: (Array.isArray(property?.type) ? property.type.find(type => type !== 'null') : property?.type) || 'string',
+    description: property?.description || '',
+    required: required.includes(name),
+    default: property?.default,
+    enum: property?.enum,
+    items: property?.items
+  }));
+}
+
+/**
+ * Output port names of a /tools entry, from `outputSchema` properties or an
+ * `outputs` list; null when the tool does not describe them
+ */
+function toolOutputs(tool) {
+  const schema = tool?.outputSchema || tool?.output_schema;
+  if (isObject(schema?.properties)) return Object.keys(schema.properties);
+  if (Array.isArray(tool?.outputs)) {
+    return tool.outputs.map(output => typeof output === 'string' ? output : output?.name).filter(Boolean);
+  }
+  return null;
+}
+
+// Parameter names that take the selected code, its language or its file
+const SELECTION_PARAMETERS = {
+  code: /^(code|source|sourceCode|snippet|text|content|sql|query|statement|script)$/i,
+  language: /^(language|lang|languageId|dialect)$/i,
+  fileName: /^(fileName|filename|file|filePath|path)$/i
+};
+
+const TRUE_WORDS = ['true', 'yes', 'y', '1', 'on'];
+const FALSE_WORDS = ['false', 'no', 'n', '0', 'off'];
+
+/**
+ * A parameter value as text for an input box: strings as they are,
+ * anything else as JSON
+ */
+function formatParameterValue(value) {
+  if (value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Read what was typed for a parameter (from toolParameters) as its schema
+ * type. Returns { value } or { error }. Empty text leaves an optional
+ * parameter unset (value undefined) so the tool applies its own default.
+ */
+function parseParameterValue(parameter, text) {
+  const trimmed = String(text ?? '').trim();
+  if (trimmed === '') {
+    return parameter.required && parameter.default === undefined
+      ? { error: `"${parameter.name}" is required` }
+      : { value: undefined };
+  }
+
+  if (Array.isArray(parameter.enum) && parameter.enum.length > 0) {
+    const option = parameter.enum.find(candidate => formatParameterValue(candidate) === trimmed);
+    return option !== undefined
+      ? { value: option }
+      : { error: `"${parameter.name}" must be one of ${parameter.enum.map(candidate => `"${formatParameterValue(candidate)}"`).join(', ')}` };
+  }
+
+  switch (parameter.type) {
+    case 'number':
+    case 'integer': {
+      const value = Number(trimmed);
+      if (!Number.isFinite(value)) return { error: `"${parameter.name}" must be a number` };
+      if (parameter.type === 'integer' && !Number.isInteger(value)) return { error: `"${parameter.name}" must be a whole number` };
+      return { value };
+    }
+    case 'boolean':
+      if (TRUE_WORDS.includes(trimmed.toLowerCase())) return { value: true };
+      if (FALSE_WORDS.includes(trimmed.toLowerCase())) return { value: false };
+      return { error: `"${parameter.name}" must be true or false` };
+    case 'array': {
+      // A plain list of strings may be typed comma-separated
+      if (!trimmed.startsWith('[') && (parameter.items?.type || 'string') === 'string') {
+        return { value: trimmed.split(',').map(item => item.trim()).filter(Boolean) };
+      }
+      const parsed = parseJson(trimmed);
+      if (parsed.error) return { error: `"${parameter.name}" must be a JSON array: ${parsed.error}` };
+      return Array.isArray(parsed.value) ? parsed : { error: `"${parameter.name}" must be a JSON array` };
+    }
+    case 'object': {
+      const parsed = parseJson(trimmed);
+      if (parsed.error) return { error: `"${parameter.name}" must be a JSON object: ${parsed.error}` };
+      return isObject(parsed.value) ? parsed : { error: `"${parameter.name}" must be a JSON object` };
+    }
+    default:
+      // Strings keep their surrounding whitespace
+      return { value: String(text) };
+  }
+}
+
+function parseJson(text) {
+  try {
+    return { value: JSON.parse(text) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Values the editor can fill in for a tool's string parameters: the
+ * selected code for parameters named like `code`, `sql` or `query`, its
+ * language for `language`, and its file for `fileName` or `path`, each
+ * going to the first parameter that takes it. `selection` is { code, language, fileName }; returns name → value.
+ */
+function selectionDefaults(parameters, selection = {}) {
+  const defaults = {};
+  (parameters || []).forEach(parameter => {
+    if (parameter.type !== 'string' || parameter.enum) return;
+    const source = Object.keys(SELECTION_PARAMETERS).find(key => SELECTION_PARAMETERS[key].test(parameter.name));
+    const value = source && selection[source];
+    if (typeof value === 'string' && value.trim() !== '' && !Object.values(defaults).includes(value)) {
+      defaults[parameter.name] = value;
+    }
+  });
+  return defaults;
+}
+
+module.exports = { toolParameters, toolOutputs, formatParameterValue, parseParameterValue, selectionDefaults };
@@ -0,0 +1,266 @@
+// common/workflowDefinitions.js
+const path = require('path');
+const { parseYaml } = require('./yaml');
+const { NetPadWorkflowError } = require('./errors');
+
+// Where projects keep their workflow definitions, relative to a workspace folder
+const WORKFLOW_GLOB = '.netpad/workflows/*.{json,yaml,yml}';
+
+// Values a definition can bind with ${name}, and what each needs
+const WORKFLOW_VARIABLES = {
+  selection: 'selected code',
+  file: 'an open file',
+  fileName: 'an open file',
+  relativeFile: 'an open file',
+  language: 'an open file',
+  workspaceFolder: 'an open workspace folder',
+  workspaceName: 'an open workspace folder'
+};
+
+// Data of an input node that declares none: the selection, as in a single-processor run
+const DEFAULT_INPUT_DATA = { code: '${selection}', language: '${language}', fileName: '${fileName}' };
+
+const VARIABLE = /\$\{(\w+)\}/g;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 1-based line and column of a JSON.parse error, from the "at position N"
+ * or "(line L column C)" in its message; the end for truncated text
+ */
+function jsonErrorPosition(text, error) {
+  const lineColumn = error.message.match(/line (\d+) column (\d+)/);
+  if (lineColumn) return { line: Number(lineColumn[1]), column: Number(lineColumn[2]) };
+  const position = error.message.match(/position (\d+)/);
+  const offset = position ? Number(position[1]) : /end of JSON input/.test(error.message) ? text.length : null;
+  if (offset === null) return {};
+  const before = text.slice(0, offset);
+  return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Where each value of already-validated JSON text was written: path
+ * ('nodes/0/type') → { line, column, length }, like parseYaml's positions
+ */
+function locateJson(text) {
+  const positions = new Map();
+  const lineStarts = [0];
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '\n') lineStarts.push(index + 1);
+  }
+  const record = (path, start, end) => {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > start) line--;
+    positions.set(path.join('/'), { line: line + 1, column: start - lineStarts[line] + 1, length: end - start });
+  };
+
+  let i = 0;
+  const skipSpace = () => {
+    while (/\s/.test(text[i] || '')) i++;
+  };
+  const readString = () => {
+    const start = i;
+    for (i++; text[i] !== '"'; i++) {
+      if (text[i] === '\\') i++;
+    }
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  const readValue = path => {
+    skipSpace();
+    const start = i;
+    if (text[i] === '{' || text[i] === '[') {
+      const object = text[i++] === '{';
+      skipSpace();
+      for (let index = 0; text[i] !== (object ? '}' : ']'); index++) {
+        skipSpace();
+        if (object) {
+          const keyStart = i;
+          const key = readString();
+          record([...path, key], keyStart, i);
+          skipSpace();
+          i++;
+          readValue([...path, key]);
+        } else {
+          record([...path, index], i, i + 1);
+          readValue([...path, index]);
+        }
+        skipSpace();
+        if (text[i] === ',') i++;
+      }
+      i++;
+      return;
+    }
+    if (text[i] === '"') readString();
+    else while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    record(path, start, i);
+  };
+
+  readValue([]);
+  return positions;
+}
+
+/**
+ * Read a workflow definition from the text of a .json, .yaml or .yml file:
+ *
+ *   name, description   shown in the picker (name defaults to the file name)
+ *   nodes               [{ id, type, data?, inputs?, outputs?, parameters? }]
+ *   connections         [{ from, to, port? }]
+ *   startNodeId         defaults to the first input node, else the first node
+ *
+ * `locate(path)` gives where a value such as ['nodes', 1, 'type'] was
+ * written, as { line, column, length } (falling back to its nearest
+ * written parent). Throws NetPadWorkflowError, with a position, for
+ * unreadable files and missing structure; whether the graph itself is
+ * sound is checked by validateWorkflow.
+ */
+function parseWorkflowDefinition(text, file) {
+  const yaml = /\.ya?ml$/i.test(file);
+  const positions = new Map();
+  let value;
+  try {
+    value = yaml ? parseYaml(text, { positions }) : JSON.parse(text);
+  } catch (error) {
+    const position = yaml ? { line: error.line, column: error.column } : jsonErrorPosition(text, error);
+    throw new NetPadWorkflowError(`Invalid ${yaml ? 'YAML' : 'JSON'}: ${error.message}`, { file, ...position, cause: error });
+  }
+  if (!yaml) locateJson(text).forEach((position, key) => positions.set(key, position));
+
+  const locate = at => {
+    for (let length = at.length; length > 0; length--) {
+      const position = positions.get(at.slice(0, length).join('/'));
+      if (position) return position;
+    }
+    return { line: 1, column: 1, length: 0 };
+  };
+  const fail = (message, at) => {
+    const { line, column } = locate(at);
+    throw new NetPadWorkflowError(message, { file, line, column });
+  };
+  if (!isObject(value)) fail('A workflow definition must be an object with "nodes"', []);
+  if (!Array.isArray(value.nodes) || value.nodes.length === 0) fail('"nodes" must be a non-empty list', ['nodes']);
+
+  const ids = new Set();
+  value.nodes.forEach((node, index) => {
+    if (!isObject(node)) fail(`nodes[${index}] must be an object`, ['nodes', index]);
+    if (typeof node.id !== 'string' || !node.id) fail(`nodes[${index}] needs an "id"`, ['nodes', index, 'id']);
+    if (typeof node.type !== 'string' || !node.type) fail(`Node "${node.id}" needs a "type"`, ['nodes', index, 'type']);
+    if (ids.has(node.id)) fail(`Duplicate node id "${node.id}"`, ['nodes', index, 'id']);
+    ids.add(node.id);
+  });
+
+  const connections = value.connections ?? [];
+  if (!Array.isArray(connections)) fail('"connections" must be a list', ['connections']);
+  connections.forEach((connection, index) => {
+    if (!isObject(connection) || typeof connection.from !== 'string' || typeof connection.to !== 'string') {
+      fail(`connections[${index}] needs "from" and "to"`, ['connections', index]);
+    }
+  });
+
+  const start = value.nodes.find(node => node.type === 'input') || value.nodes[0];
+  return {
+    name: typeof value.name === 'string' && value.name ? value.name : path.basename(file, path.extname(file)),
+    description: typeof value.description === 'string' ? value.description : '',
+    file,
+    nodes: value.nodes,
+    connections,
+    startNodeId: typeof value.startNodeId === 'string' ? value.startNodeId : start.id,
+    locate
+  };
+}
+
+/**
+ * Definition of the single-processor workflow: the selection fed to one
+ * node of type `processorType`
+ */
+function processorWorkflow(processorType) {
+  return {
+    name: processorType,
+    description: '',
+    file: null,
+    nodes: [
+      { id: 'start', type: 'input' },
+      { id: 'processor', type: processorType, inputs: { code: 'start.output' }, outputs: ['result'] }
+    ],
+    connections: [{ from: 'start', to: 'processor', port: 'code' }],
+    startNodeId: 'start'
+  };
+}
+
+/**
+ * Nodes with input nodes' default data filled in
+ */
+function withDefaultInputs(nodes) {
+  return nodes.map(node => node.type === 'input' && node.data === undefined ? { ...node, data: DEFAULT_INPUT_DATA } : node);
+}
+
+function substitute(value, replace) {
+  if (typeof value === 'string') {
+    // A value that is only a variable keeps the variable's own value
+    const whole = value.match(/^\$\{(\w+)\}$/);
+    return whole ? replace(whole[1]) : value.replace(VARIABLE, (match, name) => String(replace(name)));
+  }
+  if (Array.isArray(value)) return value.map(item => substitute(item, replace));
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, replace)]));
+  }
+  return value;
+}
+
+/**
+ * The ${variables} written in a definition's nodes: [{ name, path }], with
+ * `path` the value they are in (['nodes', 0, 'data', 'code'])
+ */
+function findVariables(definition) {
+  const found = [];
+  const walk = (value, at) => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(VARIABLE)) found.push({ name: match[1], path: at });
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, [...at, index]));
+    } else if (isObject(value)) {
+      Object.entries(value).forEach(([key, item]) => walk(item, [...at, key]));
+    }
+  };
+  definition.nodes.forEach((node, index) => walk(node, ['nodes', index]));
+  return found;
+}
+
+/**
+ * The graph to post to /workflow/run: ${selection}, ${file}, ${fileName},
+ * ${relativeFile}, ${language}, ${workspaceFolder} and ${workspaceName} in
+ * node values replaced from `variables`. Throws NetPadWorkflowError for
+ * unknown variables and ones `variables` has no value for.
+ */
+function bindWorkflow(definition, variables) {
+  const nodes = substitute(withDefaultInputs(definition.nodes), name => {
+    if (!(name in WORKFLOW_VARIABLES)) {
+      throw new NetPadWorkflowError(
+        `Unknown variable \${${name}} in workflow "${definition.name}". Use one of: ${Object.keys(WORKFLOW_VARIABLES).map(known => `\${${known}}`).join(', ')}`,
+        { file: definition.file }
+      );
+    }
+    if (variables[name] === undefined) {
+      throw new NetPadWorkflowError(
+        `Workflow "${definition.name}" uses \${${name}}, which needs ${WORKFLOW_VARIABLES[name]}`,
+        { file: definition.file }
+      );
+    }
+    return variables[name];
+  });
+
+  return {
+    nodes,
+    connections: definition.connections.map(connection => ({ ...connection })),
+    startNodeId: definition.startNodeId
+  };
+}
+
+module.exports = {
+  WORKFLOW_GLOB,
+  WORKFLOW_VARIABLES,
+  parseWorkflowDefinition,
+  processorWorkflow,
+  findVariables,
+  bindWorkflow
+};
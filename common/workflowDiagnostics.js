@@ -0,0 +1,84 @@
+// common/workflowDiagnostics.js
+const vscode = require('vscode');
+const { checkWorkflowText } = require('./workflowValidation');
+
+// Workflow definition files, as WORKFLOW_GLOB finds them
+const WORKFLOW_PATH = /\/\.netpad\/workflows\/[^/]+\.(json|ya?ml)$/i;
+// Quiet period after the last keystroke before a definition is re-checked
+const VALIDATE_DELAY = 500;
+
+const SEVERITY_MAP = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning
+};
+
+/**
+ * Checks .netpad/workflows definitions as they are opened and edited, and
+ * publishes what validateWorkflow finds as diagnostics in the file
+ */
+class WorkflowDiagnostics {
+  constructor(options = {}) {
+    // () => the /tools list that node types and ports are checked against
+    this.getTools = options.getTools || (() => []);
+    this.collection = vscode.languages.createDiagnosticCollection('NetPad Workflows');
+    this.timers = new Map();
+
+    this.subscriptions = [
+      vscode.workspace.onDidOpenTextDocument(document => this.validate(document)),
+      vscode.workspace.onDidSaveTextDocument(document => this.validate(document)),
+      vscode.workspace.onDidChangeTextDocument(event => this.schedule(event.document)),
+      vscode.workspace.onDidCloseTextDocument(document => this.collection.delete(document.uri))
+    ];
+    this.refresh();
+  }
+
+  isWorkflow(document) {
+    return WORKFLOW_PATH.test(document.uri.path);
+  }
+
+  schedule(document) {
+    if (!this.isWorkflow(document)) return;
+    const key = document.uri.toString();
+    clearTimeout(this.timers.get(key));
+    this.timers.set(key, setTimeout(() => {
+      this.timers.delete(key);
+      this.validate(document);
+    }, VALIDATE_DELAY));
+  }
+
+  /**
+   * Check one definition document and replace its diagnostics. Returns the
+   * findings, or null for documents that are not workflow definitions.
+   */
+  validate(document) {
+    if (!this.isWorkflow(document)) return null;
+    const file = vscode.workspace.asRelativePath(document.uri, false);
+    const { findings } = checkWorkflowText(document.getText(), file, { tools: this.getTools() });
+    this.collection.set(document.uri, findings.map(finding => {
+      const line = Math.min(finding.line - 1, Math.max(0, document.lineCount - 1));
+      const column = finding.column - 1;
+      const range = new vscode.Range(line, column, line, column + Math.max(finding.length, 1));
+      const diagnostic = new vscode.Diagnostic(range, finding.message, SEVERITY_MAP[finding.severity] ?? SEVERITY_MAP.error);
+      diagnostic.source = 'NetPad workflow';
+      diagnostic.code = finding.code;
+      return diagnostic;
+    }));
+    return findings;
+  }
+
+  /**
+   * Re-check every open definition, e.g. once the tool list has changed
+   */
+  refresh() {
+    vscode.workspace.textDocuments.forEach(document => this.validate(document));
+  }
+
+  dispose() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.subscriptions.forEach(subscription => subscription.dispose());
+    this.collection.dispose();
+  }
+}
+
+module.exports = { WorkflowDiagnostics };
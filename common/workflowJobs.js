@@ -0,0 +1,76 @@
+// common/workflowJobs.js
+const { normalizeStatus } = require('./workflowTrace');
+
+// Backoff between job status polls
+const POLL_INITIAL_DELAY = 1000;
+const POLL_MAX_DELAY = 15000;
+const POLL_FACTOR = 1.5;
+// How long a job is followed before giving up on it, in ms of waiting
+const JOB_MAX_WAIT = 60 * 60 * 1000;
+
+const DONE = ['completed', 'failed', 'skipped'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toCount = value => Number.isInteger(value) && value >= 0 ? value : null;
+
+/**
+ * Job id of a /workflow/run response that started an asynchronous run
+ * instead of returning a result, or null
+ */
+function workflowJobId(response) {
+  const id = response?.jobId ?? response?.data?.jobId ?? response?.job?.id ?? response?.data?.job?.id;
+  return typeof id === 'string' || typeof id === 'number' ? String(id) : null;
+}
+
+/**
+ * Delay in ms before poll number `attempt` (0-based): growing by
+ * `factor` from `initialDelay` up to `maxDelay`
+ */
+function pollDelay(attempt, options = {}) {
+  const initial = options.initialDelay ?? POLL_INITIAL_DELAY;
+  const max = options.maxDelay ?? POLL_MAX_DELAY;
+  return Math.min(max, Math.round(initial * Math.pow(options.factor ?? POLL_FACTOR, attempt)));
+}
+
+/**
+ * State of a job from a job-status response:
+ *
+ *   { status, done, completedNodes, totalNodes, currentNode, error, result }
+ *
+ * Node progress comes from `progress` ({ completedNodes, totalNodes,
+ * currentNode }) or is counted from a `nodes` list of { nodeId, status }.
+ * `result` is what /workflow/run would have returned synchronously: the
+ * job's `result`, or its `data`.
+ */
+function readJob(response) {
+  const job = isObject(response?.job) ? response.job : response || {};
+  const status = normalizeStatus(job.status ?? job.state, 'running');
+  const progress = isObject(job.progress) ? job.progress : {};
+  const nodes = (Array.isArray(job.nodes) ? job.nodes : []).filter(isObject);
+  const nodeStatus = node => normalizeStatus(node.status ?? node.state, 'pending');
+  const running = nodes.find(node => nodeStatus(node) === 'running');
+
+  return {
+    status,
+    done: DONE.includes(status),
+    completedNodes: toCount(progress.completedNodes) ?? (nodes.length > 0 ? nodes.filter(node => nodeStatus(node) === 'completed').length : null),
+    totalNodes: toCount(progress.totalNodes) ?? (nodes.length > 0 ? nodes.length : null),
+    currentNode: progress.currentNode ?? running?.nodeId ?? running?.id ?? null,
+    error: !job.error ? null : typeof job.error === 'string' ? job.error : job.error.message || JSON.stringify(job.error),
+    result: isObject(job.result) ? job.result : isObject(job.data) ? { success: true, data: job.data } : null
+  };
+}
+
+/**
+ * One line of progress for a job state, e.g. "Running audit · 1 of 3 nodes done"
+ */
+function describeJob(state) {
+  const counts = state.totalNodes ? `${state.completedNodes ?? 0} of ${state.totalNodes} nodes done` : null;
+  const activity = state.status === 'pending'
+    ? 'Queued'
+    : state.currentNode ? `Running ${state.currentNode}` : state.done ? null : 'Running';
+  return [activity, counts].filter(Boolean).join(' · ');
+}
+
+module.exports = { JOB_MAX_WAIT, workflowJobId, pollDelay, readJob, describeJob };
@@ -0,0 +1,226 @@
+// common/workflowRunPanel.js
+const vscode = require('vscode');
+const { escapeHtml, createNonce } = require('./html');
+
+// Longer strings are shown in a scrollable block instead of inline
+const INLINE_STRING = 80;
+
+const STATUS_ICONS = { completed: '✓', failed: '✗', running: '◌', pending: '…', skipped: '–', unknown: '?' };
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return null;
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Collapsible HTML tree for a JSON value; the first levels start open
+ */
+function renderJson(value, depth = 0) {
+  if (Array.isArray(value) || isObject(value)) {
+    const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    if (entries.length === 0) return `<span class="punct">${Array.isArray(value) ? '[]' : '{}'}</span>`;
+    const summary = Array.isArray(value)
+      ? `[ ${entries.length} item${entries.length === 1 ? '' : 's'} ]`
+      : `{ ${entries.slice(0, 4).map(([key]) => escapeHtml(key)).join(', ')}${entries.length > 4 ? ', …' : ''} }`;
+    const items = entries
+      .map(([key, item]) => `<li><span class="key">${escapeHtml(key)}</span>: ${renderJson(item, depth + 1)}</li>`)
+      .join('');
+    return `<details${depth < 2 ? ' open' : ''}><summary class="punct">${summary}</summary><ul>${items}</ul></details>`;
+  }
+  if (typeof value === 'string') {
+    return value.length > INLINE_STRING || value.includes('\n')
+      ? `<pre class="string">${escapeHtml(value)}</pre>`
+      : `<span class="string">"${escapeHtml(value)}"</span>`;
+  }
+  if (value === undefined) return '<span class="none">not available</span>';
+  return `<span class="${value === null ? 'none' : typeof value}">${escapeHtml(JSON.stringify(value))}</span>`;
+}
+
+/**
+ * Webview showing a workflow run node by node: status, timing, and inputs
+ * and outputs as JSON trees that can be copied. A node's inputs can be
+ * edited and the workflow re-run from that node.
+ */
+class WorkflowRunPanel {
+  constructor(options = {}) {
+    // (run, nodeId, inputs) => re-run the workflow from a node
+    this.rerun = options.rerun || (() => {});
+    this.panel = null;
+    this.run = null;
+  }
+
+  /**
+   * Show a run ({ name, ...parseWorkflowRun() }), reusing the open panel
+   */
+  show(run) {
+    this.run = run;
+
+    if (!this.panel) {
+      this.panel = vscode.window.createWebviewPanel(
+        'netpadWorkflowRun',
+        'NetPad Workflow Run',
+        { viewColumn: vscode.ViewColumn.Beside, preserveFocus: true },
+        { enableScripts: true, retainContextWhenHidden: true }
+      );
+      this.panel.onDidDispose(() => {
+        this.panel = null;
+        this.run = null;
+      });
+      this.panel.webview.onDidReceiveMessage(message => this.handleMessage(message));
+    } else {
+      this.panel.reveal(vscode.ViewColumn.Beside, true);
+    }
+
+    this.panel.title = `Workflow Run: ${run.name}`;
+    this.panel.webview.html = this.getHtml(run);
+  }
+
+  handleMessage(message) {
+    const node = this.run?.nodes.find(candidate => candidate.id === message.nodeId);
+    if (!node) return;
+    if (message.command === 'copy') {
+      this.copy(node, message.side === 'inputs' ? 'inputs' : 'outputs', message.port);
+    } else if (message.command === 'rerun') {
+      this.rerunFrom(node, String(message.inputs ?? ''));
+    }
+  }
+
+  /**
+   * Copy one port's value, or all of a node's inputs or outputs
+   */
+  async copy(node, side, port) {
+    const values = node[side] || {};
+    const value = port === undefined ? values : values[port];
+    await vscode.env.clipboard.writeText(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+    vscode.window.setStatusBarMessage(`$(clippy) Copied ${port === undefined ? `${node.id} ${side}` : `${node.id}.${port}`}`, 3000);
+  }
+
+  rerunFrom(node, text) {
+    let inputs;
+    try {
+      inputs = JSON.parse(text);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Inputs for "${node.id}" are not valid JSON: ${error.message}`);
+      return;
+    }
+    if (!isObject(inputs)) {
+      vscode.window.showErrorMessage(`Inputs for "${node.id}" must be a JSON object of port values`);
+      return;
+    }
+    this.rerun(this.run, node.id, inputs);
+  }
+
+  renderPorts(node, side) {
+    const values = node[side];
+    const title = side === 'inputs' ? 'Inputs' : 'Outputs';
+    if (!values || Object.keys(values).length === 0) {
+      return `<h4>${title}</h4><p class="none">${node.status === 'completed' ? 'None reported' : 'Not available'}</p>`;
+    }
+    const ports = Object.entries(values).map(([port, value]) => `<div class="port">
+        <div class="port-name"><span class="key">${escapeHtml(port)}</span>
+          <button data-copy data-node="${escapeHtml(node.id)}" data-side="${side}" data-port="${escapeHtml(port)}">Copy</button></div>
+        ${renderJson(value, 1)}
+      </div>`).join('');
+    return `<h4>${title} <button data-copy data-node="${escapeHtml(node.id)}" data-side="${side}">Copy all</button></h4>${ports}`;
+  }
+
+  renderNode(node) {
+    const meta = [node.type, node.status, formatDuration(node.duration)].filter(Boolean).map(escapeHtml).join(' · ');
+    const editable = JSON.stringify(node.inputs || {}, null, 2);
+    return `<section class="node ${escapeHtml(node.status)}">
+    <h3><span class="status" title="${escapeHtml(node.status)}">${STATUS_ICONS[node.status] || '?'}</span> ${escapeHtml(node.id)} <span class="meta">${meta}</span></h3>
+    ${node.error ? `<pre class="error">${escapeHtml(node.error)}</pre>` : ''}
+    ${this.renderPorts(node, 'inputs')}
+    ${this.renderPorts(node, 'outputs')}
+    <details class="rerun">
+      <summary>Re-run from ${escapeHtml(node.id)}…</summary>
+      <textarea data-node="${escapeHtml(node.id)}" rows="${Math.min(16, editable.split('\n').length + 1)}" spellcheck="false">${escapeHtml(editable)}</textarea>
+      <button data-rerun="${escapeHtml(node.id)}">Run from here</button>
+    </details>
+  </section>`;
+  }
+
+  getHtml(run) {
+    const nonce = createNonce();
+    const counts = run.nodes.reduce((total, node) => ({ ...total, [node.status]: (total[node.status] || 0) + 1 }), {});
+    const meta = [
+      run.status,
+      `${run.nodes.length} node${run.nodes.length === 1 ? '' : 's'}`,
+      ...Object.entries(counts).filter(([status]) => status !== 'completed').map(([status, count]) => `${count} ${status}`),
+      formatDuration(run.duration),
+      run.startedAt !== null ? new Date(run.startedAt).toLocaleString() : null
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
+  <style>
+    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 16px; line-height: 1.5; }
+    header { border-bottom: 1px solid var(--vscode-panel-border); padding-bottom: 8px; margin-bottom: 12px; }
+    .meta, .none { color: var(--vscode-descriptionForeground); font-size: 0.9em; font-weight: normal; }
+    button { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border: none; padding: 2px 8px; margin-left: 6px; cursor: pointer; font-size: 0.85em; }
+    button:hover { background: var(--vscode-button-secondaryHoverBackground); }
+    .node { border: 1px solid var(--vscode-panel-border); border-left-width: 4px; padding: 4px 12px 8px; margin-bottom: 12px; }
+    .node h3 { margin: 6px 0; }
+    .node h4 { margin: 10px 0 4px; }
+    .completed { border-left-color: var(--vscode-charts-green); }
+    .failed { border-left-color: var(--vscode-charts-red); }
+    .running, .pending { border-left-color: var(--vscode-charts-blue); }
+    .skipped, .unknown { border-left-color: var(--vscode-descriptionForeground); }
+    .completed .status { color: var(--vscode-charts-green); }
+    .failed .status, .error { color: var(--vscode-errorForeground); }
+    .port { margin: 4px 0 8px 8px; }
+    .port-name { margin-bottom: 2px; }
+    pre, textarea, .key, .string, .number, .boolean, .none { font-family: var(--vscode-editor-font-family); }
+    pre { background: var(--vscode-textCodeBlock-background); padding: 6px 8px; margin: 2px 0; overflow-x: auto; white-space: pre-wrap; max-height: 20em; }
+    ul { list-style: none; margin: 0; padding-left: 18px; }
+    summary { cursor: pointer; }
+    .key { color: var(--vscode-symbolIcon-propertyForeground, var(--vscode-foreground)); }
+    .string { color: var(--vscode-debugTokenExpression-string, var(--vscode-foreground)); }
+    .number, .boolean { color: var(--vscode-debugTokenExpression-number, var(--vscode-foreground)); }
+    .punct { color: var(--vscode-descriptionForeground); }
+    .rerun { margin-top: 8px; }
+    .rerun textarea { display: block; width: 100%; box-sizing: border-box; margin: 6px 0; background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, transparent); }
+    .rerun button { margin-left: 0; }
+  </style>
+</head>
+<body>
+  <header>
+    <h2>${escapeHtml(run.name)}</h2>
+    <div class="meta">${meta}</div>
+  </header>
+  <main>${run.nodes.map(node => this.renderNode(node)).join('\n  ')}</main>
+  <script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    document.querySelectorAll('button[data-copy]').forEach(button => {
+      button.addEventListener('click', () => vscode.postMessage({
+        command: 'copy',
+        nodeId: button.dataset.node,
+        side: button.dataset.side,
+        port: button.dataset.port
+      }));
+    });
+    document.querySelectorAll('button[data-rerun]').forEach(button => {
+      button.addEventListener('click', () => vscode.postMessage({
+        command: 'rerun',
+        nodeId: button.dataset.rerun,
+        inputs: button.parentElement.querySelector('textarea').value
+      }));
+    });
+  </script>
+</body>
+</html>`;
+  }
+
+  dispose() {
+    if (this.panel) {
+      this.panel.dispose();
+    }
+  }
+}
+
+module.exports = { WorkflowRunPanel };
@@ -0,0 +1,234 @@
+// common/workflowTrace.js
+
+// Where /workflow/run responses put per-node results, in order of preference
+const TRACE_KEYS = ['executionTrace', 'trace', 'nodeResults', 'nodes'];
+
+const STATUSES = {
+  completed: ['completed', 'complete', 'success', 'succeeded', 'done', 'ok'],
+  failed: ['failed', 'failure', 'error', 'errored'],
+  running: ['running', 'started', 'in_progress'],
+  pending: ['pending', 'queued', 'waiting'],
+  skipped: ['skipped', 'cancelled', 'canceled']
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * One of completed, failed, running, pending or skipped for the many ways
+ * NetPad and other runners spell a status; `fallback` when unrecognized
+ */
+function normalizeStatus(value, fallback) {
+  if (typeof value !== 'string') return fallback;
+  const lower = value.toLowerCase();
+  return Object.keys(STATUSES).find(status => STATUSES[status].includes(lower)) || fallback;
+}
+
+/**
+ * Milliseconds since the epoch from a number or a date string, or null
+ */
+function toTime(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value !== 'string') return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+const toNumber = value => typeof value === 'number' && Number.isFinite(value) ? value : null;
+
+function errorText(error) {
+  if (!error) return null;
+  return typeof error === 'string' ? error : error.message || JSON.stringify(error);
+}
+
+/**
+ * Per-node entries of a response, by node id
+ */
+function traceEntries(data) {
+  const entries = new Map();
+  const key = TRACE_KEYS.find(candidate => Array.isArray(data[candidate]) || isObject(data[candidate]));
+  if (!key) return entries;
+
+  const trace = data[key];
+  if (Array.isArray(trace)) {
+    trace.filter(isObject).forEach(entry => {
+      const id = entry.nodeId ?? entry.id;
+      if (typeof id === 'string') entries.set(id, entry);
+    });
+  } else {
+    Object.entries(trace).filter(([, entry]) => isObject(entry)).forEach(([id, entry]) => entries.set(id, entry));
+  }
+  return entries;
+}
+
+/**
+ * Edges between a graph's nodes, from its connections and its nodes'
+ * "node.port" input references
+ */
+function graphEdges(graph) {
+  const ids = new Set(graph.nodes.map(node => node.id));
+  const edges = graph.connections.map(connection => ({ from: connection.from, to: connection.to }));
+  graph.nodes.forEach(node => {
+    Object.values(isObject(node.inputs) ? node.inputs : {}).forEach(reference => {
+      const source = typeof reference === 'string' && reference.match(/^([\w-]+)\.([\w-]+)$/)?.[1];
+      if (source && ids.has(source)) edges.push({ from: source, to: node.id });
+    });
+  });
+  return edges.filter(edge => ids.has(edge.from) && ids.has(edge.to));
+}
+
+/**
+ * What a "node.port" reference read in a run: the port of that node's
+ * outputs, or the key of an input node's data. Anything else is a literal.
+ */
+function resolveReference(reference, nodes, graph) {
+  const match = typeof reference === 'string' && reference.match(/^([\w-]+)\.([\w-]+)$/);
+  const source = match && nodes.get(match[1]);
+  if (!source) return reference;
+  if (source.outputs && match[2] in source.outputs) return source.outputs[match[2]];
+  const declared = graph.nodes.find(node => node.id === match[1]);
+  if (declared?.type === 'input' && isObject(declared.data) && match[2] in declared.data) return declared.data[match[2]];
+  return undefined;
+}
+
+/**
+ * Per-node view of a /workflow/run response for the `graph` that was posted:
+ *
+ *   { status, startedAt, duration, graph,
+ *     nodes: [{ id, type, status, startedAt, duration, inputs, outputs, error }] }
+ *
+ * Node results are read from data.executionTrace, data.trace,
+ * data.nodeResults or data.nodes (a list of { nodeId, ... }, or an object
+ * keyed by node id) with `status`, `startedAt` and `completedAt` or
+ * `durationMs`, `inputs`, `outputs` and `error`. portData keys written as
+ * "node.port" belong to that node; without a trace, the rest of portData
+ * is what the graph's last nodes produced. Inputs a response does not
+ * report are resolved from the graph's references. Times are in ms.
+ */
+function parseWorkflowRun(response, graph) {
+  const data = isObject(response?.data) ? response.data : isObject(response) ? response : {};
+  const entries = traceEntries(data);
+  const traced = entries.size > 0;
+  const portData = isObject(data.portData) ? data.portData : {};
+  const finalPorts = Object.fromEntries(Object.entries(portData).filter(([port]) => !port.includes('.')));
+  const feeds = new Set(graphEdges(graph).map(edge => edge.from));
+
+  const nodes = graph.nodes.map(node => {
+    const entry = entries.get(node.id) || {};
+    const startedAt = toTime(entry.startedAt ?? entry.startTime);
+    const completedAt = toTime(entry.completedAt ?? entry.finishedAt ?? entry.endTime);
+    const reported = entry.outputs ?? entry.output ?? entry.portData;
+    let outputs = isObject(reported) ? { ...reported } : reported !== undefined ? { output: reported } : null;
+
+    Object.entries(portData).forEach(([key, value]) => {
+      const [id, port] = key.split('.');
+      if (id === node.id && port) outputs = { ...outputs, [port]: value };
+    });
+    if (!outputs && !traced && !feeds.has(node.id) && Object.keys(finalPorts).length > 0) outputs = finalPorts;
+    if (!outputs && node.type === 'input' && node.data !== undefined) outputs = { output: node.data };
+
+    const reportedInputs = entry.inputs ?? entry.input;
+    return {
+      id: node.id,
+      type: node.type,
+      status: normalizeStatus(entry.status ?? entry.state, traced
+        ? (entries.has(node.id) ? 'completed' : 'skipped')
+        : (outputs ? 'completed' : 'unknown')),
+      startedAt,
+      duration: toNumber(entry.durationMs ?? entry.duration ?? entry.executionTime) ??
+        (startedAt !== null && completedAt !== null ? completedAt - startedAt : null),
+      inputs: isObject(reportedInputs) ? reportedInputs : reportedInputs !== undefined ? { input: reportedInputs } : null,
+      outputs,
+      error: errorText(entry.error)
+    };
+  });
+
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  nodes.forEach((node, index) => {
+    if (node.inputs) return;
+    const declared = graph.nodes[index];
+    if (declared.type === 'input') {
+      node.inputs = isObject(declared.data) ? declared.data : null;
+    } else if (isObject(declared.inputs)) {
+      node.inputs = Object.fromEntries(Object.entries(declared.inputs)
+        .map(([port, reference]) => [port, resolveReference(reference, byId, graph)]));
+    }
+  });
+
+  const starts = nodes.map(node => node.startedAt).filter(time => time !== null);
+  const ends = nodes.filter(node => node.startedAt !== null && node.duration !== null).map(node => node.startedAt + node.duration);
+  const failed = nodes.some(node => node.status === 'failed') || response?.success === false;
+  return {
+    status: normalizeStatus(data.status, failed ? 'failed' : 'completed'),
+    startedAt: toTime(data.startedAt) ?? (starts.length > 0 ? Math.min(...starts) : null),
+    duration: toNumber(data.durationMs ?? data.duration) ??
+      (starts.length > 0 && ends.length > 0 ? Math.max(...ends) - Math.min(...starts) : null),
+    graph,
+    nodes
+  };
+}
+
+/**
+ * Graph that runs `nodeId` and everything downstream of it again, with
+ * `inputs` (port → value) in place of what the node was given in `run`.
+ * Upstream nodes the re-run still reads from become input nodes holding
+ * the outputs they had in `run`.
+ */
+function rerunFromNode(run, nodeId, inputs) {
+  const { graph } = run;
+  const target = graph.nodes.find(node => node.id === nodeId);
+  if (!target) throw new Error(`No node "${nodeId}" in the workflow`);
+
+  const edges = graphEdges(graph);
+  const downstream = new Set([nodeId]);
+  for (let grown = true; grown;) {
+    grown = false;
+    edges.forEach(edge => {
+      if (downstream.has(edge.from) && !downstream.has(edge.to)) {
+        downstream.add(edge.to);
+        grown = true;
+      }
+    });
+  }
+
+  const recorded = new Map(run.nodes.map(node => [node.id, node]));
+  const upstream = new Set(edges
+    .filter(edge => downstream.has(edge.to) && !downstream.has(edge.from) && edge.to !== nodeId)
+    .map(edge => edge.from));
+  const replayed = [...upstream].map(id => ({ id, type: 'input', data: recorded.get(id)?.outputs || {} }));
+  const kept = graph.connections.filter(connection =>
+    downstream.has(connection.to) && connection.to !== nodeId &&
+    (downstream.has(connection.from) || upstream.has(connection.from))
+  );
+
+  // An input node is re-run with the edited values as its data
+  if (target.type === 'input') {
+    return {
+      ...graph,
+      nodes: [...replayed, ...graph.nodes.filter(node => downstream.has(node.id)).map(node => node.id === nodeId ? { ...node, data: inputs } : node)],
+      connections: kept.map(connection => ({ ...connection })),
+      startNodeId: nodeId
+    };
+  }
+
+  const ids = new Set(graph.nodes.map(node => node.id));
+  let startId = `${nodeId}-inputs`;
+  for (let suffix = 2; ids.has(startId); suffix++) startId = `${nodeId}-inputs-${suffix}`;
+  const ports = Object.keys(inputs);
+  return {
+    ...graph,
+    nodes: [
+      { id: startId, type: 'input', data: inputs },
+      ...replayed,
+      ...graph.nodes.filter(node => downstream.has(node.id)).map(node => node.id === nodeId
+        ? { ...node, inputs: Object.fromEntries(ports.map(port => [port, `${startId}.${port}`])) }
+        : node)
+    ],
+    connections: [
+      ...ports.map(port => ({ from: startId, to: nodeId, port })),
+      ...kept.map(connection => ({ ...connection }))
+    ],
+    startNodeId: startId
+  };
+}
+
+module.exports = { parseWorkflowRun, rerunFromNode, normalizeStatus };
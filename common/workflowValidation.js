@@ -0,0 +1,224 @@
+// common/workflowValidation.js
+const { WORKFLOW_VARIABLES, parseWorkflowDefinition, findVariables } = require('./workflowDefinitions');
+const { toolParameters, toolOutputs } = require('./toolSchemas');
+const { NetPadWorkflowError } = require('./errors');
+
+// Node types the workflow runner provides itself, which /tools does not list
+const BUILTIN_TYPES = new Set(['input', 'output']);
+
+// "node.port" in a node's inputs
+const REFERENCE = /^([\w-]+)\.([\w-]+)$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const list = names => names.map(name => `"${name}"`).join(', ');
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * The candidate a mistyped name was most likely meant to be, or null
+ */
+function closest(name, candidates) {
+  const limit = Math.max(2, Math.floor(name.length / 4));
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance <= limit && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Check a workflow definition's graph before it is run: the start node
+ * exists, connections join existing nodes, `inputs` references such as
+ * `start.output` resolve to declared output ports, there are no cycles,
+ * every node is reachable and every ${variable} is known. With `tools`
+ * (the /tools list), node types must be tools and port names must match
+ * their schemas.
+ *
+ * Returns findings [{ severity, code, message, path }] where `path` is the
+ * definition value each is about, e.g. ['connections', 2, 'to'].
+ */
+function validateWorkflow(definition, options = {}) {
+  const findings = [];
+  const add = (severity, code, path, message) => findings.push({ severity, code, message, path });
+  const tools = new Map((options.tools || []).filter(tool => tool?.name).map(tool => [tool.name, tool]));
+  const nodes = new Map(definition.nodes.map((node, index) => [node.id, { node, index }]));
+  const edges = [];
+
+  if (!nodes.has(definition.startNodeId)) {
+    add('error', 'unknown-start-node', ['startNodeId'], `Start node "${definition.startNodeId}" is not one of the nodes`);
+  }
+
+  // Ports known from the tool schema or the node itself; null when unknown
+  const inputPorts = node => BUILTIN_TYPES.has(node.type) ? null : toolParameters(tools.get(node.type))?.map(parameter => parameter.name) ?? null;
+  const declaredOutputs = node => (Array.isArray(node.outputs) ? node.outputs : [])
+    .map(output => typeof output === 'string' ? output : output?.name)
+    .filter(Boolean);
+  const outputPorts = node => {
+    const ports = [
+      ...declaredOutputs(node),
+      ...(toolOutputs(tools.get(node.type)) || []),
+      ...(node.type === 'input' ? ['output', ...Object.keys(isObject(node.data) ? node.data : {})] : [])
+    ];
+    return ports.length > 0 ? [...new Set(ports)] : null;
+  };
+
+  definition.nodes.forEach((node, index) => {
+    if (tools.size === 0 || BUILTIN_TYPES.has(node.type)) return;
+    const tool = tools.get(node.type);
+    if (!tool) {
+      const suggestion = closest(node.type, [...tools.keys()]);
+      if (suggestion) {
+        add('error', 'unknown-type', ['nodes', index, 'type'], `Unknown processor type "${node.type}". Did you mean "${suggestion}"?`);
+      } else {
+        add('warning', 'unknown-type', ['nodes', index, 'type'], `"${node.type}" is not one of the ${tools.size} tools NetPad lists`);
+      }
+      return;
+    }
+    const outputs = toolOutputs(tool);
+    if (outputs) {
+      declaredOutputs(node).forEach((output, position) => {
+        if (!outputs.includes(output)) {
+          add('error', 'unknown-port', ['nodes', index, 'outputs', position], `"${node.type}" has no output port "${output}"; its outputs are ${list(outputs)}`);
+        }
+      });
+    }
+  });
+
+  definition.connections.forEach((connection, index) => {
+    const missing = ['from', 'to'].filter(end => !nodes.has(connection[end]));
+    missing.forEach(end => {
+      add('error', 'dangling-connection', ['connections', index, end], `Connection ${connection.from} → ${connection.to}: there is no node "${connection[end]}"`);
+    });
+    if (missing.length > 0) return;
+
+    edges.push({ from: connection.from, to: connection.to, path: ['connections', index, 'to'] });
+    const target = nodes.get(connection.to).node;
+    const ports = inputPorts(target);
+    if (connection.port !== undefined && ports && !ports.includes(connection.port)) {
+      add('error', 'unknown-port', ['connections', index, 'port'], `"${target.type}" has no input port "${connection.port}"; its inputs are ${list(ports)}`);
+    }
+  });
+
+  definition.nodes.forEach((node, index) => {
+    const inputs = isObject(node.inputs) ? node.inputs : {};
+    const ports = inputPorts(node);
+    Object.entries(inputs).forEach(([port, reference]) => {
+      const at = ['nodes', index, 'inputs', port];
+      if (ports && !ports.includes(port)) {
+        add('error', 'unknown-port', at, `"${node.type}" has no input port "${port}"; its inputs are ${list(ports)}`);
+      }
+
+      const match = typeof reference === 'string' && reference.match(REFERENCE);
+      if (!match) return;
+      const source = nodes.get(match[1]);
+      if (!source) {
+        add('error', 'unresolved-input', at, `Input "${port}" of "${node.id}" reads "${reference}", but there is no node "${match[1]}"`);
+        return;
+      }
+      const outputs = outputPorts(source.node);
+      if (outputs && !outputs.includes(match[2])) {
+        add('error', 'unresolved-input', at, `Input "${port}" of "${node.id}" reads "${reference}", but "${match[1]}" has no output port "${match[2]}"; its outputs are ${list(outputs)}`);
+      }
+      edges.push({ from: match[1], to: node.id, path: at });
+    });
+
+    // Required tool inputs nothing provides
+    const provided = new Set([
+      ...Object.keys(inputs),
+      ...Object.keys(isObject(node.parameters) ? node.parameters : {}),
+      ...Object.keys(isObject(node.data) ? node.data : {}),
+      ...definition.connections.filter(connection => connection.to === node.id).map(connection => connection.port)
+    ]);
+    (BUILTIN_TYPES.has(node.type) ? [] : toolParameters(tools.get(node.type)) || [])
+      .filter(parameter => parameter.required && parameter.default === undefined && !provided.has(parameter.name))
+      .forEach(parameter => {
+        add('warning', 'missing-input', ['nodes', index, 'type'], `"${node.type}" requires "${parameter.name}", which no input, connection or parameter of "${node.id}" provides`);
+      });
+  });
+
+  // Cycles, each reported at the edge that closes it
+  const outgoing = new Map();
+  edges.forEach(edge => {
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge);
+  });
+  const state = new Map();
+  const stack = [];
+  const visit = id => {
+    state.set(id, 'active');
+    stack.push(id);
+    (outgoing.get(id) || []).forEach(edge => {
+      if (state.get(edge.to) === 'active') {
+        const cycle = [...stack.slice(stack.indexOf(edge.to)), edge.to];
+        add('error', 'cycle', edge.path, `Cycle: ${cycle.join(' → ')}`);
+      } else if (!state.has(edge.to)) {
+        visit(edge.to);
+      }
+    });
+    stack.pop();
+    state.set(id, 'done');
+  };
+  if (nodes.has(definition.startNodeId)) visit(definition.startNodeId);
+  const reachable = new Set(state.keys());
+  definition.nodes.forEach(node => {
+    if (!state.has(node.id)) visit(node.id);
+  });
+
+  if (nodes.has(definition.startNodeId)) {
+    definition.nodes.forEach((node, index) => {
+      if (!reachable.has(node.id) && node.type !== 'input') {
+        add('warning', 'unreachable-node', ['nodes', index, 'id'], `Node "${node.id}" is not reachable from the start node "${definition.startNodeId}"`);
+      }
+    });
+  }
+
+  findVariables(definition).forEach(({ name, path }) => {
+    if (!(name in WORKFLOW_VARIABLES)) {
+      add('error', 'unknown-variable', path, `Unknown variable \${${name}}; use one of ${Object.keys(WORKFLOW_VARIABLES).map(known => `\${${known}}`).join(', ')}`);
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Read and validate the text of a workflow definition file. Returns
+ * { definition, findings } with findings placed in the file as 1-based
+ * `line`, `column` and `length`; a file that cannot be read gives a null
+ * definition and one finding.
+ */
+function checkWorkflowText(text, file, options = {}) {
+  let definition;
+  try {
+    definition = parseWorkflowDefinition(text, file);
+  } catch (error) {
+    if (!(error instanceof NetPadWorkflowError)) throw error;
+    return {
+      definition: null,
+      findings: [{ severity: 'error', code: 'invalid-definition', message: error.message, line: error.line || 1, column: error.column || 1, length: 0 }]
+    };
+  }
+
+  const findings = validateWorkflow(definition, options)
+    .map(finding => ({ ...finding, ...definition.locate(finding.path) }))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+  return { definition, findings };
+}
+
+module.exports = { validateWorkflow, checkWorkflowText };
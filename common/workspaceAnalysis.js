@@ -0,0 +1,88 @@
+// common/workspaceAnalysis.js
+const vscode = require('vscode');
+const { parseFindings } = require('./findings');
+const { NetPadCancelledError } = require('./errors');
+
+// Larger files are skipped rather than sent whole
+const MAX_FILE_CHARS = 200 * 1024;
+
+/**
+ * Run `worker` over items with at most `concurrency` in flight.
+ * Stops taking new items once `signal` is aborted.
+ */
+async function runPool(items, concurrency, worker, signal) {
+  let next = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length && !signal?.aborted) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Runs code_analysis over many workspace files and collects the findings into a report
+ */
+class WorkspaceAnalyzer {
+  constructor(options = {}) {
+    // (document, signal) => code_analysis result for the whole document
+    this.analyzeDocument = options.analyzeDocument;
+    this.log = options.log || (() => {});
+  }
+
+  /**
+   * Analyze files; failed files are retried once after the first pass.
+   * Returns a report even when cancelled part-way.
+   */
+  async analyze(uris, options = {}) {
+    const { progress, signal } = options;
+    const results = new Map();
+    let done = 0;
+
+    const analyzeFile = async (uri, firstPass) => {
+      const path = vscode.workspace.asRelativePath(uri);
+      try {
+        const document = await vscode.workspace.openTextDocument(uri);
+        const code = document.getText();
+
+        if (!code.trim()) {
+          results.set(uri, { path, skipped: 'empty file' });
+        } else if (code.length > MAX_FILE_CHARS) {
+          results.set(uri, { path, skipped: `larger than ${MAX_FILE_CHARS / 1024} KB` });
+        } else {
+          const result = await this.analyzeDocument(document, signal);
+          results.set(uri, { path, findings: parseFindings(result) });
+        }
+      } catch (error) {
+        if (error instanceof NetPadCancelledError) return;
+        this.log(`Workspace analysis failed for ${path}: ${error.message}`);
+        results.set(uri, { path, error: error.message });
+      }
+
+      if (firstPass) {
+        done++;
+        progress?.report({ increment: 100 / uris.length, message: `${done}/${uris.length} ${path}` });
+      }
+    };
+
+    await runPool(uris, options.concurrency || 4, uri => analyzeFile(uri, true), signal);
+
+    const failed = uris.filter(uri => results.get(uri)?.error);
+    if (failed.length > 0 && !signal?.aborted) {
+      progress?.report({ message: `Retrying ${failed.length} failed file${failed.length === 1 ? '' : 's'}...` });
+      await runPool(failed, options.concurrency || 4, uri => analyzeFile(uri, false), signal);
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      include: options.include,
+      exclude: options.exclude || null,
+      limitReached: Boolean(options.maxFiles) && uris.length >= options.maxFiles,
+      cancelled: Boolean(signal?.aborted),
+      files: uris.filter(uri => results.has(uri)).map(uri => results.get(uri)),
+      notAnalyzed: uris.filter(uri => !results.has(uri)).length
+    };
+  }
+}
+
+module.exports = { WorkspaceAnalyzer, runPool };
@@ -0,0 +1,155 @@
+// common/workspaceReport.js
+const { escapeHtml } = require('./html');
+
+const SEVERITY_ORDER = ['error', 'warning', 'info', 'hint'];
+const SEVERITY_LABELS = { error: 'Errors', warning: 'Warnings', info: 'Info', hint: 'Hints' };
+
+/**
+ * Counts and grouping shared by the Markdown and HTML renderers
+ */
+function summarizeReport(report) {
+  const totals = { error: 0, warning: 0, info: 0, hint: 0 };
+  const analyzed = report.files.filter(file => file.findings);
+
+  const withFindings = analyzed
+    .filter(file => file.findings.length > 0)
+    .map(file => {
+      const groups = {};
+      file.findings.forEach(finding => {
+        totals[finding.severity]++;
+        (groups[finding.severity] = groups[finding.severity] || []).push(finding);
+      });
+      Object.values(groups).forEach(findings => findings.sort((a, b) => a.lineStart - b.lineStart));
+      return { path: file.path, groups };
+    })
+    // Most severe files first
+    .sort((a, b) => {
+      for (const severity of SEVERITY_ORDER) {
+        const diff = (b.groups[severity]?.length || 0) - (a.groups[severity]?.length || 0);
+        if (diff !== 0) return diff;
+      }
+      return a.path.localeCompare(b.path);
+    });
+
+  return {
+    totals,
+    analyzedCount: analyzed.length,
+    cleanCount: analyzed.length - withFindings.length,
+    withFindings,
+    failed: report.files.filter(file => file.error),
+    skipped: report.files.filter(file => file.skipped)
+  };
+}
+
+function formatLines(finding) {
+  return finding.lineEnd > finding.lineStart
+    ? `Lines ${finding.lineStart}-${finding.lineEnd}`
+    : `Line ${finding.lineStart}`;
+}
+
+function formatTotals(totals) {
+  return SEVERITY_ORDER.map(severity => `${totals[severity]} ${SEVERITY_LABELS[severity].toLowerCase()}`).join(', ');
+}
+
+/**
+ * Notes about an incomplete run
+ */
+function reportNotes(report) {
+  const notes = [];
+  if (report.cancelled) notes.push(`Cancelled before ${report.notAnalyzed} file(s) were analyzed.`);
+  if (report.limitReached) notes.push('The file limit (netpad.workspaceMaxFiles) was reached; some matching files were not included.');
+  return notes;
+}
+
+/**
+ * Render a workspace report as Markdown
+ */
+function renderReportMarkdown(report) {
+  const summary = summarizeReport(report);
+  const lines = [
+    '# NetPad Workspace Analysis',
+    '',
+    `- **Generated:** ${new Date(report.generatedAt).toLocaleString()}`,
+    `- **Include:** \`${report.include}\`${report.exclude ? ` · **Exclude:** \`${report.exclude}\`` : ''}`,
+    `- **Files analyzed:** ${summary.analyzedCount} (${summary.cleanCount} without findings, ${summary.failed.length} failed, ${summary.skipped.length} skipped)`,
+    `- **Findings:** ${formatTotals(summary.totals)}`
+  ];
+
+  reportNotes(report).forEach(note => lines.push('', `> ${note}`));
+
+  summary.withFindings.forEach(file => {
+    lines.push('', `## ${file.path}`);
+    SEVERITY_ORDER.filter(severity => file.groups[severity]).forEach(severity => {
+      lines.push('', `### ${SEVERITY_LABELS[severity]}`, '');
+      file.groups[severity].forEach(finding => lines.push(`- **${formatLines(finding)}:** ${finding.message}`));
+    });
+  });
+
+  if (summary.failed.length > 0) {
+    lines.push('', '## Failed', '');
+    summary.failed.forEach(file => lines.push(`- \`${file.path}\`: ${file.error}`));
+  }
+
+  if (summary.skipped.length > 0) {
+    lines.push('', '## Skipped', '');
+    summary.skipped.forEach(file => lines.push(`- \`${file.path}\`: ${file.skipped}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a workspace report as a standalone HTML page
+ */
+function renderReportHtml(report) {
+  const summary = summarizeReport(report);
+
+  const files = summary.withFindings.map(file => {
+    const sections = SEVERITY_ORDER.filter(severity => file.groups[severity]).map(severity => `
+      <h3 class="${severity}">${SEVERITY_LABELS[severity]}</h3>
+      <ul>${file.groups[severity].map(finding => `
+        <li><strong>${formatLines(finding)}:</strong> ${escapeHtml(finding.message)}</li>`).join('')}
+      </ul>`).join('');
+    return `
+    <section>
+      <h2>${escapeHtml(file.path)}</h2>${sections}
+    </section>`;
+  }).join('');
+
+  const list = (title, items, field) => items.length === 0 ? '' : `
+    <section>
+      <h2>${title}</h2>
+      <ul>${items.map(file => `
+        <li><code>${escapeHtml(file.path)}</code>: ${escapeHtml(file[field])}</li>`).join('')}
+      </ul>
+    </section>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>NetPad Workspace Analysis</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; line-height: 1.5; color: #222; }
+    h2 { border-bottom: 1px solid #ddd; padding-bottom: 4px; font-size: 1.2em; }
+    h3 { font-size: 1em; margin-bottom: 0; }
+    .error { color: #c62828; } .warning { color: #b26a00; } .info { color: #1565c0; } .hint { color: #555; }
+    .note { background: #fff8e1; border-left: 4px solid #ffb300; padding: 6px 12px; }
+    code { background: #f3f3f3; padding: 1px 4px; }
+  </style>
+</head>
+<body>
+  <h1>NetPad Workspace Analysis</h1>
+  <ul>
+    <li><strong>Generated:</strong> ${escapeHtml(new Date(report.generatedAt).toLocaleString())}</li>
+    <li><strong>Include:</strong> <code>${escapeHtml(report.include)}</code>${report.exclude ? ` · <strong>Exclude:</strong> <code>${escapeHtml(report.exclude)}</code>` : ''}</li>
+    <li><strong>Files analyzed:</strong> ${summary.analyzedCount} (${summary.cleanCount} without findings, ${summary.failed.length} failed, ${summary.skipped.length} skipped)</li>
+    <li><strong>Findings:</strong> ${formatTotals(summary.totals)}</li>
+  </ul>${reportNotes(report).map(note => `
+  <p class="note">${escapeHtml(note)}</p>`).join('')}${files}${list('Failed', summary.failed, 'error')}${list('Skipped', summary.skipped, 'skipped')}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReportMarkdown, renderReportHtml, summarizeReport };
@@ -0,0 +1,61 @@
+// common/yaml.js
+const YAML = require('yaml');
+
+/**
+ * Parse YAML text into plain objects, arrays and scalars with the `yaml`
+ * package. A `positions` Map, when given, is filled with where each value
+ * was written: path ('nodes/0/type') → { line, column, length }, 1-based.
+ * Scalars map to their text, collections to their key or list item.
+ *
+ * Errors are SyntaxErrors with 1-based `line` and `column`, like JSON.parse
+ * throws for JSON. Multiple documents are rejected.
+ */
+function parseYaml(text, options = {}) {
+  const source = String(text);
+  const lineCounter = new YAML.LineCounter();
+  const document = YAML.parseDocument(source, { lineCounter, prettyErrors: false, uniqueKeys: true });
+  const at = offset => {
+    const { line, col } = lineCounter.linePos(offset);
+    return { line, column: col };
+  };
+
+  if (document.errors.length > 0) {
+    const [first] = document.errors;
+    const { line, column } = at(first.pos[0]);
+    const message = first.code === 'MULTIPLE_DOCS' ? 'Multiple documents are not supported' : first.message.split('\n')[0];
+    const error = new SyntaxError(`${message} (line ${line}, column ${column})`);
+    error.line = line;
+    error.column = column;
+    throw error;
+  }
+
+  if (options.positions) {
+    // Up to `end`, but not past the line the node starts on
+    const record = (path, start, end) => {
+      const lineEnd = source.indexOf('\n', start);
+      const length = (lineEnd === -1 ? end : Math.min(end, lineEnd)) - start;
+      options.positions.set(path.join('/'), { ...at(start), length: Math.max(length, 0) });
+    };
+    const walk = (node, path) => {
+      if (YAML.isMap(node)) {
+        node.items.forEach(pair => {
+          const key = String(YAML.isScalar(pair.key) ? pair.key.value : pair.key);
+          if (pair.key?.range) record([...path, key], pair.key.range[0], pair.key.range[1]);
+          walk(pair.value, [...path, key]);
+        });
+      } else if (YAML.isSeq(node)) {
+        node.items.forEach((item, index) => {
+          if (item?.range) record([...path, index], item.range[0], item.range[1]);
+          walk(item, [...path, index]);
+        });
+      } else if (YAML.isScalar(node) && node.range && node.range[1] > node.range[0]) {
+        record(path, node.range[0], node.range[1]);
+      }
+    };
+    walk(document.contents, []);
+  }
+
+  return document.toJS();
+}
+
+module.exports = { parseYaml };
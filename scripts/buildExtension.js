@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// scripts/buildExtension.js
+//
+// Bundle an extension's entry point together with common/ into one file,
+// so the packaged extension does not need anything outside its own folder.
+// Run from cursor/ or vscode/ (npm run build); third-party modules such as
+// axios are resolved from that folder's node_modules.
+//
+//   node ../scripts/buildExtension.js [--watch] [--minify]
+
+const path = require('path');
+
+function parseArgs(argv) {
+  const options = { watch: false, minify: false };
+  argv.forEach(arg => {
+    if (arg === '--watch') options.watch = true;
+    else if (arg === '--minify') options.minify = true;
+    else throw new Error(`Unknown option ${arg}\nUsage: node ../scripts/buildExtension.js [--watch] [--minify]`);
+  });
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const root = process.cwd();
+  // esbuild is a dev dependency of each extension, not of the repository root
+  const esbuild = require(require.resolve('esbuild', { paths: [root] }));
+
+  const config = {
+    entryPoints: [path.join(root, 'src', 'extension.js')],
+    outfile: path.join(root, 'dist', 'extension.js'),
+    bundle: true,
+    platform: 'node',
+    format: 'cjs',
+    target: 'node16',
+    external: ['vscode'],
+    nodePaths: [path.join(root, 'node_modules')],
+    sourcemap: !options.minify,
+    minify: options.minify,
+    logLevel: 'info'
+  };
+
+  if (options.watch) {
+    const context = await esbuild.context(config);
+    await context.watch();
+    return;
+  }
+  await esbuild.build(config);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
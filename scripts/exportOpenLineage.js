@@ -0,0 +1,110 @@
+// scripts/exportOpenLineage.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { NetPadApiClient } = require('../common/apiClient');
+const { stringifyEvents } = require('../common/openLineage');
+
+const LANGUAGES = {
+  '.py': 'python',
+  '.sql': 'sql',
+  '.js': 'javascript',
+  '.ts': 'typescript',
+  '.scala': 'scala',
+  '.java': 'java',
+  '.r': 'r',
+  '.ipynb': 'python'
+};
+
+const USAGE = `Usage: node scripts/exportOpenLineage.js <file> [options]
+
+Extract data lineage from <file> with NetPad and print it as OpenLineage JSON.
+
+Options:
+  --output <file>      Write the JSON to a file instead of stdout
+  --events <kind>      run (one RunEvent, default) or dataset (one DatasetEvent per dataset)
+  --namespace <name>   Namespace for the job and datasets (default: netpad)
+  --job <name>         Job name (default: derived from the file path)
+  --language <name>    Language of the file (default: from its extension)
+  --verbose            Log NetPad requests to stderr`;
+
+/**
+ * Parse the file argument and --flag value pairs from the command line
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (argv[i] === '--verbose') {
+      options.verbose = true;
+      continue;
+    }
+    if (!argv[i].startsWith('--')) {
+      options.file = argv[i];
+      continue;
+    }
+
+    const [flag, inline] = argv[i].split('=');
+    const value = inline ?? argv[++i];
+    switch (flag) {
+      case '--output': options.output = value; break;
+      case '--events': options.eventKind = value; break;
+      case '--namespace': options.namespace = value; break;
+      case '--job': options.jobName = value; break;
+      case '--language': options.language = value; break;
+      default:
+        console.error(`Unknown option: ${flag}`);
+        process.exit(1);
+    }
+  }
+  return options;
+}
+
+async function exportOpenLineage(options) {
+  const code = fs.readFileSync(options.file, 'utf8');
+  const fileName = path.relative(process.cwd(), path.resolve(options.file));
+  const language = options.language || LANGUAGES[path.extname(options.file).toLowerCase()] || 'unknown';
+
+  // stdout carries the JSON, so client logging goes to stderr
+  const client = new NetPadApiClient({
+    enableLogging: Boolean(options.verbose),
+    logger: message => console.error(message)
+  });
+  const events = await client.extractDataLineage(code, language, fileName, {
+    format: 'openlineage',
+    eventKind: options.eventKind,
+    namespace: options.namespace,
+    jobName: options.jobName
+  });
+
+  const json = stringifyEvents(events);
+  if (options.output) {
+    fs.writeFileSync(options.output, json);
+    console.error(`✅ Wrote ${events.length} OpenLineage event${events.length === 1 ? '' : 's'} to ${options.output}`);
+  } else {
+    process.stdout.write(json);
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.file) {
+    console.error(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+  if (options.eventKind && !['run', 'dataset'].includes(options.eventKind)) {
+    console.error(`Unknown event kind: ${options.eventKind} (expected run or dataset)`);
+    process.exit(1);
+  }
+
+  exportOpenLineage(options).catch(error => {
+    console.error('❌ OpenLineage export failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { exportOpenLineage };
@@ -0,0 +1,13 @@
+CREATE TABLE customers (
+  id INTEGER PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) UNIQUE,
+  created_at TIMESTAMP
+);
+
+CREATE TABLE orders (
+  id SERIAL PRIMARY KEY,
+  customer_id VARCHAR(36) NOT NULL,
+  status VARCHAR(20),
+  total NUMERIC(10, 2)
+);
@@ -0,0 +1,330 @@
+// scripts/mockNetPadServer.js
+// Local stand-in for the NetPad MCP API, for offline development and tests.
+//
+//   node scripts/mockNetPadServer.js --port 4010 --latency 250 --error-rate 0.2 --error-status 503
+//   node scripts/mockNetPadServer.js --async-workflows   (workflow runs become polled jobs)
+//   NETPAD_API_URL=http://localhost:4010 node scripts/testNetPadIntegration.js
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'netpad');
+const COMMAND_TYPES = ['code_analysis', 'data_lineage_extraction', 'sql_metadata_lookup', 'custom_workflow'];
+
+class MockNetPadServer {
+  constructor(options = {}) {
+    this.config = {
+      port: options.port ?? (parseInt(process.env.MOCK_NETPAD_PORT) || 4010),
+      fixturesDir: options.fixturesDir || process.env.MOCK_NETPAD_FIXTURES || DEFAULT_FIXTURES_DIR,
+      // Fixed delay in ms, or [min, max] for a random delay
+      latency: options.latency ?? (parseInt(process.env.MOCK_NETPAD_LATENCY) || 0),
+      // Probability (0-1) that a request fails with errorStatus
+      errorRate: options.errorRate ?? (parseFloat(process.env.MOCK_NETPAD_ERROR_RATE) || 0),
+      errorStatus: options.errorStatus ?? (parseInt(process.env.MOCK_NETPAD_ERROR_STATUS) || 503),
+      // Fail this many requests before answering normally (deterministic retry tests)
+      failFirst: options.failFirst ?? (parseInt(process.env.MOCK_NETPAD_FAIL_FIRST) || 0),
+      // When set, requests must carry this X-API-Key
+      apiKey: options.apiKey ?? process.env.MOCK_NETPAD_API_KEY ?? null,
+      maxPayloadBytes: options.maxPayloadBytes || 1024 * 1024,
+      // Answer /workflow/run with a job id; the job finishes one node per status poll
+      asyncWorkflows: options.asyncWorkflows ?? process.env.MOCK_NETPAD_ASYNC_WORKFLOWS === 'true',
+      enableLogging: options.enableLogging !== false
+    };
+
+    this.requestCount = 0;
+    this.jobs = new Map();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening; resolves with the base URL
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, '127.0.0.1', () => {
+        this.config.port = this.server.address().port;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.config.port}`;
+  }
+
+  /**
+   * Log messages if logging is enabled
+   */
+  log(message) {
+    if (this.config.enableLogging) {
+      console.log(`[Mock NetPad] ${new Date().toISOString()}: ${message}`);
+    }
+  }
+
+  /**
+   * Load a fixture by name, or null when no such file exists
+   */
+  loadFixture(name) {
+    const file = path.join(this.config.fixturesDir, `${name}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Resolve the configured latency to a delay in ms
+   */
+  getDelay() {
+    const { latency } = this.config;
+    if (Array.isArray(latency)) {
+      const [min, max] = latency;
+      return min + Math.floor(Math.random() * (max - min));
+    }
+    return latency;
+  }
+
+  /**
+   * Decide whether this request gets an injected error
+   */
+  shouldInjectError() {
+    if (this.requestCount <= this.config.failFirst) return true;
+    return this.config.errorRate > 0 && Math.random() < this.config.errorRate;
+  }
+
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve({ size, text: Buffer.concat(chunks).toString('utf8') }));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Handle a single request
+   */
+  async handle(req, res) {
+    this.requestCount++;
+    const url = new URL(req.url, this.url);
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+    this.log(route);
+
+    try {
+      const { size, text } = await this.readBody(req);
+
+      const delay = this.getDelay();
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      if (this.config.apiKey && req.headers['x-api-key'] !== this.config.apiKey) {
+        return this.send(res, 401, { message: 'Invalid API key' });
+      }
+
+      if (this.shouldInjectError()) {
+        const status = this.config.errorStatus;
+        this.log(`Injecting ${status} for ${route}`);
+        const headers = status === 429 ? { 'Retry-After': '1' } : {};
+        return this.send(res, status, { message: status === 429 ? 'Rate limit exceeded' : 'Injected server error' }, headers);
+      }
+
+      if (size > this.config.maxPayloadBytes) {
+        return this.send(res, 413, { message: 'Payload too large' });
+      }
+
+      let body = {};
+      if (text) {
+        try {
+          body = JSON.parse(text);
+        } catch (error) {
+          return this.send(res, 400, { message: `Invalid JSON body: ${error.message}` });
+        }
+      }
+
+      const job = route.match(/^GET \/workflow\/jobs\/([^/]+)$/);
+      if (job) {
+        return this.handleWorkflowJob(res, decodeURIComponent(job[1]));
+      }
+
+      switch (route) {
+        case 'GET /health':
+          return this.send(res, 200, this.loadFixture('health') || { status: 'ok' });
+        case 'GET /tools':
+          return this.send(res, 200, this.loadFixture('tools') || { tools: [] });
+        case 'POST /tools/execute':
+          return this.handleToolExecute(res, body);
+        case 'POST /command':
+          return this.handleCommand(res, body);
+        case 'POST /workflow/run':
+          return this.handleWorkflowRun(res, body);
+        default:
+          return this.send(res, 404, { message: `No mock route for ${route}` });
+      }
+    } catch (error) {
+      this.log(`Handler error: ${error.message}`);
+      return this.send(res, 500, { message: error.message });
+    }
+  }
+
+  handleToolExecute(res, body) {
+    const tools = (this.loadFixture('tools') || { tools: [] }).tools;
+    if (!body.tool) {
+      return this.send(res, 400, { message: 'Missing required field: tool' });
+    }
+    if (!tools.some(tool => tool.name === body.tool)) {
+      return this.send(res, 404, { message: `Unknown tool: ${body.tool}` });
+    }
+
+    const fixture = this.loadFixture(`tool.${body.tool}`) || this.loadFixture('tool');
+    return this.send(res, 200, fixture || { output: `Mock result for ${body.tool}`, parameters: body.parameters });
+  }
+
+  handleCommand(res, body) {
+    const { type, input } = body;
+
+    if (!COMMAND_TYPES.includes(type)) {
+      return this.send(res, 400, { message: `Unknown command type: ${type}` });
+    }
+
+    const required = type === 'sql_metadata_lookup' ? 'sql' : type === 'custom_workflow' ? 'workflowName' : 'code';
+    if (!input || !input[required]) {
+      return this.send(res, 400, { message: `Missing required field: input.${required}` });
+    }
+
+    const fixture = (input.analysisType && this.loadFixture(`command.${type}.${input.analysisType}`))
+      || this.loadFixture(`command.${type}`);
+
+    // Refactor-as-edit requests get a mechanical rewrite of the submitted code
+    if (input.responseFormat === 'replacement') {
+      return this.send(res, 200, {
+        ...fixture,
+        replacement: input.code.replace(/\bvar\b/g, 'const').replace(/([^=!])==([^=])/g, '$1===$2')
+      });
+    }
+
+    return this.send(res, 200, fixture || { output: `Mock ${type} result` });
+  }
+
+  handleWorkflowRun(res, body) {
+    if (!Array.isArray(body.nodes) || !body.startNodeId) {
+      return this.send(res, 400, { message: 'Workflow graph requires nodes and startNodeId' });
+    }
+    if (this.config.asyncWorkflows) {
+      const jobId = `job-${this.jobs.size + 1}`;
+      this.jobs.set(jobId, { graph: body, polls: 0 });
+      return this.send(res, 202, { success: true, jobId, status: 'queued' });
+    }
+    return this.send(res, 200, this.workflowResult());
+  }
+
+  workflowResult() {
+    return this.loadFixture('workflow-run') || { data: { portData: { result: 'Mock workflow result' } } };
+  }
+
+  /**
+   * Status of an async workflow job: queued on the first poll, then one
+   * more node done on every poll after it
+   */
+  handleWorkflowJob(res, jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return this.send(res, 404, { message: `Unknown workflow job: ${jobId}` });
+    }
+
+    const { nodes } = job.graph;
+    const done = Math.min(job.polls++ - 1, nodes.length);
+    const status = done < 0 ? 'queued' : done === nodes.length ? 'completed' : 'running';
+    return this.send(res, 200, {
+      jobId,
+      status,
+      progress: { completedNodes: Math.max(done, 0), totalNodes: nodes.length, currentNode: status === 'running' ? nodes[done].id : null },
+      nodes: nodes.map((node, index) => ({
+        nodeId: node.id,
+        status: index < done ? 'completed' : index === done ? 'running' : 'pending'
+      })),
+      ...(status === 'completed' ? { result: this.workflowResult() } : {})
+    });
+  }
+}
+
+const USAGE = `Usage: node scripts/mockNetPadServer.js [--port <n>] [--fixtures <dir>] [--latency <ms|min-max>]
+       [--error-rate <0-1>] [--error-status <code>] [--fail-first <n>] [--api-key <key>]
+       [--async-workflows] [--quiet]`;
+
+function usageError(message) {
+  console.error(`${message}\n${USAGE}`);
+  process.exit(1);
+}
+
+/**
+ * Parse --flag value and --flag=value pairs from the command line
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    // Only the first '=' separates the flag; the value may contain more
+    const separator = argv[i].indexOf('=');
+    const flag = separator === -1 ? argv[i] : argv[i].slice(0, separator);
+    const inline = separator === -1 ? undefined : argv[i].slice(separator + 1);
+    if (flag === '--quiet') {
+      options.enableLogging = false;
+      continue;
+    }
+    if (flag === '--async-workflows') {
+      options.asyncWorkflows = true;
+      continue;
+    }
+
+    const value = inline ?? argv[++i];
+    if (value === undefined || value === '') usageError(`Missing value for ${flag}`);
+    switch (flag) {
+      case '--port': options.port = parseInt(value); break;
+      case '--fixtures': options.fixturesDir = path.resolve(value); break;
+      case '--latency':
+        options.latency = value.includes('-') ? value.split('-').map(Number) : parseInt(value);
+        break;
+      case '--error-rate': options.errorRate = parseFloat(value); break;
+      case '--error-status': options.errorStatus = parseInt(value); break;
+      case '--fail-first': options.failFirst = parseInt(value); break;
+      case '--api-key': options.apiKey = value; break;
+      default:
+        usageError(`Unknown option: ${flag}`);
+    }
+  }
+  return options;
+}
+
+// CLI usage
+if (require.main === module) {
+  const server = new MockNetPadServer(parseArgs(process.argv.slice(2)));
+
+  server.listen()
+    .then(url => {
+      console.log(`🧪 Mock NetPad API listening on ${url}`);
+      console.log(`   Point netpad.apiUrl or NETPAD_API_URL at it to work offline.`);
+    })
+    .catch(error => {
+      console.error('❌ Failed to start mock server:', error.message);
+      process.exit(1);
+    });
+
+  process.on('SIGINT', () => server.close().then(() => process.exit(0)));
+}
+
+module.exports = { MockNetPadServer };
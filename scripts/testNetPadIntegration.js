@@ -1,10 +1,35 @@
 // scripts/testNetPadIntegration.js
 require('dotenv').config();
-const { NetPadApiClient } = require('../common/apiClient');
+const { NetPadApiClient, NetPadSqlParseError, NetPadJobError, NetPadCancelledError } = require('../common/apiClient');
+const { ResultCache } = require('../common/resultCache');
+const { diffLines, applyHunks } = require('../common/lineDiff');
+const { parseFindings, summarizeAnalysis } = require('../common/findings');
+const { renderReportMarkdown, renderReportHtml, summarizeReport } = require('../common/workspaceReport');
+const { parseSql } = require('../common/sqlParser');
+const { SchemaSources } = require('../common/schemaSources');
+const { checkSql } = require('../common/schemaCheck');
+const { SchemaModel, parseSqlMetadata } = require('../common/schemaModel');
+const { findEmbeddedSql } = require('../common/embeddedSql');
+const { parseWorkflowDefinition, processorWorkflow, bindWorkflow } = require('../common/workflowDefinitions');
+const { checkWorkflowText } = require('../common/workflowValidation');
+const { parseWorkflowRun, rerunFromNode } = require('../common/workflowTrace');
+const { workflowJobId, describeJob } = require('../common/workflowJobs');
+const { toolParameters, parseParameterValue, selectionDefaults } = require('../common/toolSchemas');
+const { parseLineage, toMermaid, toDot } = require('../common/lineage');
+const { mergeGraphs, normalizeDatasetName } = require('../common/projectLineage');
+const { analyzeImpact, resolveTarget } = require('../common/impactAnalysis');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockNetPadServer } = require('./mockNetPadServer');
+
+const DEFAULT_CASSETTE = path.join(__dirname, 'fixtures', 'cassettes', 'integration.json');
 
 class NetPadTester {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
     this.client = null;
+    this.mockServer = null;
     this.testResults = [];
   }
 
@@ -14,10 +39,23 @@ class NetPadTester {
   async initialize() {
     console.log('🚀 Initializing NetPad API Tests...\n');
 
+    const clientOptions = { enableLogging: true };
+
+    if (this.options.mock) {
+      this.mockServer = new MockNetPadServer({ port: 0, enableLogging: false });
+      clientOptions.apiUrl = await this.mockServer.listen();
+      clientOptions.apiKey = process.env.NETPAD_API_KEY || 'mock-api-key';
+      console.log(`🧪 Using mock NetPad API at ${clientOptions.apiUrl}`);
+    }
+
+    if (this.options.cassetteMode) {
+      clientOptions.mode = this.options.cassetteMode;
+      clientOptions.cassettePath = this.options.cassettePath;
+      console.log(`📼 ${clientOptions.mode === 'replay' ? 'Replaying from' : 'Recording to'} ${clientOptions.cassettePath}`);
+    }
+
     try {
-      this.client = new NetPadApiClient({
-        enableLogging: true
-      });
+      this.client = new NetPadApiClient(clientOptions);
       console.log('✅ API client initialized successfully');
     } catch (error) {
       console.error('❌ Failed to initialize API client:', error.message);
@@ -38,6 +76,27 @@ class NetPadTester {
     });
   }
 
+  /**
+   * Run a check and record its result: it passes when what `run` returns
+   * equals `expected` (compared as JSON), and fails when it differs or throws
+   */
+  async check(name, run, expected, description) {
+    const show = value => Array.isArray(value) ? value.join(', ') || 'nothing' : typeof value === 'string' ? value : JSON.stringify(value);
+    try {
+      const actual = await run();
+      if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}: ${show(actual)}`);
+        this.addResult(name, true, description, actual);
+      } else {
+        console.log(`⚠️  ${name} returned: ${show(actual)}`);
+        this.addResult(name, false, `Expected ${show(expected)}; got ${show(actual)}`);
+      }
+    } catch (error) {
+      console.log(`❌ ${name} failed: ${error.message}`);
+      this.addResult(name, false, error.message);
+    }
+  }
+
   /**
    * Test connection to NetPad API
    */
@@ -83,6 +142,41 @@ class NetPadTester {
       console.log('❌ Tool discovery failed:', error.message);
       this.addResult('Tool Discovery', false, error.message);
     }
+
+    // Run Tool inputs: typed values checked against the schema, selection prefill
+    await this.check('Tool Parameters', () => {
+      const parameters = toolParameters({
+        name: 'sql_metadata_lookup',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sql: { type: 'string' },
+            dialect: { type: 'string', enum: ['postgres', 'mysql'] },
+            maxTables: { type: 'integer', default: 10 },
+            includeSampleRows: { type: 'boolean' },
+            tables: { type: 'array', items: { type: 'string' } },
+            options: { type: 'object' }
+          },
+          required: ['sql']
+        }
+      });
+      const byName = Object.fromEntries(parameters.map(parameter => [parameter.name, parameter]));
+      const read = (name, text) => {
+        const parsed = parseParameterValue(byName[name], text);
+        return parsed.error ? 'error' : JSON.stringify(parsed.value ?? null);
+      };
+      return {
+        values: [
+          read('sql', ''), read('maxTables', '25'), read('maxTables', '2.5'), read('maxTables', ''),
+          read('includeSampleRows', 'yes'), read('dialect', 'mysql'), read('dialect', 'oracle'),
+          read('tables', 'orders, customers'), read('options', '{"limit":5}'), read('options', '[1]')
+        ],
+        prefill: selectionDefaults(parameters, { code: 'SELECT * FROM orders', language: 'sql', fileName: 'orders.sql' })
+      };
+    }, {
+      values: ['error', '25', 'error', 'null', 'true', '"mysql"', 'error', '["orders","customers"]', '{"limit":5}', 'error'],
+      prefill: { sql: 'SELECT * FROM orders' }
+    }, 'Parameter values typed and validated; selection prefilled');
   }
 
   /**
@@ -154,6 +248,143 @@ ORDER BY total_spent DESC;`,
         this.addResult(testCase.name, false, error.message);
       }
     }
+
+    // Line-anchored findings for the NetPad diagnostics, from structured answers or the report text
+    await this.check('Analysis Findings', () => {
+      const result = require('./fixtures/netpad/command.code_analysis.json');
+      const located = findings => findings.map(finding => `${finding.severity}@${finding.lineStart}-${finding.lineEnd}:${finding.message}`);
+      return {
+        structured: located(parseFindings(result)),
+        text: located(parseFindings({ output: result.output })),
+        // Other field names and severity labels; findings without a usable line are dropped
+        variants: located(parseFindings({
+          issues: [
+            { level: 'critical', title: 'SQL injection', line: 4, endLine: 2 },
+            { severity: 'low', message: 'Unused import', line: 0 },
+            { severity: 'medium', message: 'Slow loop', startLine: '7' }
+          ]
+        })),
+        summary: summarizeAnalysis(result)
+      };
+    }, {
+      structured: [
+        'warning@1-1:Missing input validation at the public boundary',
+        'hint@2-3:Consider extracting the repeated expression into a named variable'
+      ],
+      text: [
+        'warning@1-1:Missing input validation at the public boundary',
+        'hint@2-3:Consider extracting the repeated expression into a named variable'
+      ],
+      variants: ['error@4-4:SQL injection', 'warning@7-7:Slow loop'],
+      summary: 'Complexity: low · 2 findings'
+    }, 'Findings read with their line ranges and severities');
+
+    // Workspace report: files grouped by severity, most severe first, in Markdown and HTML
+    await this.check('Workspace Report', () => {
+      const report = {
+        generatedAt: '2024-05-01T12:00:00.000Z',
+        include: '**/*.js',
+        exclude: '**/node_modules/**',
+        cancelled: true,
+        notAnalyzed: 2,
+        files: [
+          {
+            path: 'src/b.js',
+            findings: [
+              { severity: 'warning', lineStart: 9, lineEnd: 9, message: 'Slow loop' },
+              { severity: 'warning', lineStart: 2, lineEnd: 4, message: 'Missing <input> check' }
+            ]
+          },
+          { path: 'src/a.js', findings: [{ severity: 'error', lineStart: 5, lineEnd: 5, message: 'SQL injection' }] },
+          { path: 'src/c.js', findings: [] },
+          { path: 'src/d.js', error: 'NetPad API Error (503)' },
+          { path: 'dist/app.min.js', skipped: 'larger than 100 KB' }
+        ]
+      };
+      const summary = summarizeReport(report);
+      return {
+        order: summary.withFindings.map(file => file.path),
+        totals: summary.totals,
+        counts: [summary.analyzedCount, summary.cleanCount, summary.failed.length, summary.skipped.length],
+        // The generated time is shown in the local format
+        markdown: renderReportMarkdown(report).split('\n').filter(line => !line.startsWith('- **Generated:**')),
+        html: renderReportHtml(report).split('\n').map(line => line.trim()).filter(line => /^<(h2|h3|li|p)\b/.test(line) && !line.includes('Generated:'))
+      };
+    }, {
+      order: ['src/a.js', 'src/b.js'],
+      totals: { error: 1, warning: 2, info: 0, hint: 0 },
+      counts: [3, 1, 1, 1],
+      markdown: [
+        '# NetPad Workspace Analysis',
+        '',
+        '- **Include:** `**/*.js` · **Exclude:** `**/node_modules/**`',
+        '- **Files analyzed:** 3 (1 without findings, 1 failed, 1 skipped)',
+        '- **Findings:** 1 errors, 2 warnings, 0 info, 0 hints',
+        '',
+        '> Cancelled before 2 file(s) were analyzed.',
+        '',
+        '## src/a.js',
+        '',
+        '### Errors',
+        '',
+        '- **Line 5:** SQL injection',
+        '',
+        '## src/b.js',
+        '',
+        '### Warnings',
+        '',
+        '- **Lines 2-4:** Missing <input> check',
+        '- **Line 9:** Slow loop',
+        '',
+        '## Failed',
+        '',
+        '- `src/d.js`: NetPad API Error (503)',
+        '',
+        '## Skipped',
+        '',
+        '- `dist/app.min.js`: larger than 100 KB',
+        ''
+      ],
+      html: [
+        '<li><strong>Include:</strong> <code>**/*.js</code> · <strong>Exclude:</strong> <code>**/node_modules/**</code></li>',
+        '<li><strong>Files analyzed:</strong> 3 (1 without findings, 1 failed, 1 skipped)</li>',
+        '<li><strong>Findings:</strong> 1 errors, 2 warnings, 0 info, 0 hints</li>',
+        '<p class="note">Cancelled before 2 file(s) were analyzed.</p>',
+        '<h2>src/a.js</h2>',
+        '<h3 class="error">Errors</h3>',
+        '<li><strong>Line 5:</strong> SQL injection</li>',
+        '<h2>src/b.js</h2>',
+        '<h3 class="warning">Warnings</h3>',
+        '<li><strong>Lines 2-4:</strong> Missing &lt;input&gt; check</li>',
+        '<li><strong>Line 9:</strong> Slow loop</li>',
+        '<h2>Failed</h2>',
+        '<li><code>src/d.js</code>: NetPad API Error (503)</li>',
+        '<h2>Skipped</h2>',
+        '<li><code>dist/app.min.js</code>: larger than 100 KB</li>'
+      ]
+    }, 'Findings grouped, sorted and rendered as Markdown and HTML');
+
+    // Hunks that suggested edits are accepted by, one at a time
+    await this.check('Line Diff', () => {
+      const original = ['a', 'b', 'c', 'd', 'e'];
+      const hunks = proposed => diffLines(original, proposed)
+        .map(hunk => `${hunk.originalStart}-${hunk.originalEnd}:-${hunk.removed.join('|')}:+${hunk.lines.join('|')}`);
+      const several = diffLines(original, ['A', 'b', 'c', 'D', 'd', 'e', 'f']);
+      return {
+        insert: hunks(['a', 'b', 'x', 'c', 'd', 'e']),
+        delete: hunks(['a', 'c', 'd', 'e']),
+        several: hunks(['A', 'b', 'c', 'D', 'd', 'e', 'f']),
+        unchanged: hunks(original),
+        // Accepting the first and last hunks only
+        applied: applyHunks(original, [several[2], several[0]]).join('')
+      };
+    }, {
+      insert: ['2-2:-:+x'],
+      delete: ['1-2:-b:+'],
+      several: ['0-1:-a:+A', '3-3:-:+D', '5-5:-:+f'],
+      unchanged: [],
+      applied: 'Abcdef'
+    }, 'Insertions, deletions and separate changes split into hunks and applied');
   }
 
   /**
@@ -205,6 +436,123 @@ summary.to_sql('customer_summary', engine, if_exists='replace')
       console.log(`❌ Data lineage extraction failed: ${error.message}`);
       this.addResult('Data Lineage', false, error.message);
     }
+
+    try {
+      const [event] = await this.client.extractDataLineage(testCode, 'python', null, { format: 'openlineage', jobName: 'customer_summary' });
+
+      if (event?.run?.runId && event.job?.name === 'customer_summary' && event.inputs.length > 0 && event.outputs.length > 0) {
+        const columns = event.outputs.flatMap(output => Object.keys(output.facets.columnLineage?.fields || {}));
+        console.log(`✅ OpenLineage export: ${event.inputs.length} input(s), ${event.outputs.length} output(s), ${columns.length} lineage column(s)`);
+        this.addResult('OpenLineage Export', true, 'RunEvent built from extracted lineage', {
+          inputs: event.inputs.map(dataset => dataset.name),
+          outputs: event.outputs.map(dataset => dataset.name),
+          columns
+        });
+      } else {
+        console.log('⚠️  OpenLineage event is missing its run, job or datasets');
+        this.addResult('OpenLineage Export', false, 'Incomplete RunEvent');
+      }
+    } catch (error) {
+      console.log(`❌ OpenLineage export failed: ${error.message}`);
+      this.addResult('OpenLineage Export', false, error.message);
+    }
+
+    // Lineage graphs from the report text and from structured answers, and their exports
+    await this.check('Lineage Graph', () => {
+      const code = 'import pandas as pd\ncustomers = pd.read_sql("customers", engine)\norders = pd.read_sql("orders", engine)\n';
+      const graph = parseLineage(require('./fixtures/netpad/command.data_lineage_extraction.json'), code);
+      const labels = new Map(graph.nodes.map(node => [node.id, node.label]));
+      const structured = parseLineage({
+        lineage: {
+          nodes: [{ id: 'a', name: 'raw "events"', type: 'table', line: 4 }, { id: 'b', name: 'dedupe', type: 'process' }],
+          edges: [{ source: 'a', target: 'b', label: 'by id' }]
+        }
+      });
+      const mermaid = toMermaid(structured).split('\n');
+      const dot = toDot(structured).split('\n');
+      return {
+        nodes: graph.nodes.map(node => `${node.kind}:${node.label}@${node.line}`),
+        edges: graph.edges.map(edge => `${labels.get(edge.from)} → ${labels.get(edge.to)}`).slice(0, 2),
+        columns: graph.columns.map(column => `${column.dataset}.${column.field}<${column.inputs.map(input => `${input.dataset}.${input.field}`).join('+')}`),
+        structured: structured.nodes.map(node => `${node.kind}:${node.label}@${node.line}`),
+        mermaid: [mermaid[0], mermaid[1], mermaid[3], mermaid.find(line => line.startsWith('  class '))],
+        dot: [dot[0], dot[3], dot[5]]
+      };
+    }, {
+      // Text reports name no edges, so the lists are read as a pipeline
+      nodes: [
+        'source:customers@2',
+        'source:orders@3',
+        'transformation:dropna on customers@2',
+        'transformation:merge customers with orders on customer_id@2',
+        'transformation:groupby region: sum(revenue), nunique(customer_id)@null',
+        'sink:customer_summary@null'
+      ],
+      edges: ['customers → dropna on customers', 'orders → dropna on customers'],
+      columns: ['customer_summary.region<customers.region', 'customer_summary.revenue<orders.revenue', 'customer_summary.customer_count<customers.customer_id'],
+      structured: ['source:raw "events"@4', 'transformation:dedupe@null'],
+      mermaid: ['flowchart LR', '  n0[("raw #quot;events#quot;")]', '  n0 -->|"by id"| n1', '  class n0 source'],
+      dot: ['digraph lineage {', '  "a" [label="raw \\"events\\"", shape=cylinder, style=filled, fillcolor="#e3f2fd"];', '  "a" -> "b" [label="by id"];']
+    }, 'Lineage read from text and structured answers and exported to Mermaid and DOT');
+
+    // One dataset node per table, file or collection however each file names it
+    await this.check('Project Lineage', () => {
+      const names = ['"Public"."Orders"', '[dbo].[orders]', 'analytics.Orders', './data\\raw.csv', 's3://Bucket/x/', "db.getCollection('events')", 'events collection']
+        .map(label => {
+          const { key, type } = normalizeDatasetName(label);
+          return `${key}:${type}`;
+        });
+      const graph = mergeGraphs(require('./fixtures/lineage/project.json'));
+      return {
+        names,
+        datasets: graph.nodes.filter(node => node.references).map(node =>
+          `${node.label}:${node.kind}:${node.datasetType}@${node.file}:${node.line}`),
+        columns: graph.columns.map(column =>
+          `${column.dataset}.${column.field}<${column.inputs.map(input => `${input.dataset}.${input.field}`).join('+')}`)
+      };
+    }, {
+      names: ['orders:table', 'orders:table', 'analytics.orders:table', 'data/raw.csv:file', 's3://bucket/x:file', 'events:collection', 'events:collection'],
+      // Written in one file and read in another makes a dataset intermediate; it opens where it is written
+      datasets: [
+        'data/raw.csv:source:file@etl/load.py:3',
+        'orders:intermediate:table@etl/load.py:8',
+        'customers:source:table@reports/daily.sql:3',
+        'report:sink:table@reports/daily.sql:9',
+        'events:intermediate:collection@jobs/archive.js:7',
+        's3://exports/daily:intermediate:file@jobs/export.js:10'
+      ],
+      // Unqualified columns go to the file's only sink and only source
+      columns: ['orders.total<data/raw.csv.amount', 'report.revenue<orders.total']
+    }, 'Datasets unified across per-file graphs');
+
+    // Impact analysis over per-file graphs merged into one project graph
+    await this.check('Impact Analysis', () => {
+      const graph = mergeGraphs(require('./fixtures/lineage/project.json'));
+      const located = locations => locations.map(location => `${location.depth}:${location.detail}@${location.file}:${location.line}`);
+      const raw = analyzeImpact(graph, resolveTarget(graph, './data/raw.csv'));
+      const total = analyzeImpact(graph, resolveTarget(graph, 'public.orders.total'));
+      return {
+        consumers: located(raw.consumers),
+        blastRadius: raw.blastRadius,
+        producers: located(total.producers),
+        columns: [...total.columns.upstream, ...total.columns.downstream].map(column => `${column.dataset}.${column.field}`),
+        unknown: resolveTarget(graph, 'invoices.total')
+      };
+    }, {
+      // The end sink (report) and source (raw.csv) are listed, not only counted
+      consumers: [
+        '0:reads data/raw.csv@etl/load.py:3',
+        '1:clean and type rows@etl/load.py:5',
+        '2:writes orders@etl/load.py:8',
+        '2:reads orders@reports/daily.sql:2',
+        '3:GROUP BY day@reports/daily.sql:5',
+        '4:writes report@reports/daily.sql:9'
+      ],
+      blastRadius: { datasets: 2, transformations: 2, files: 2, columns: 0 },
+      producers: ['0:writes orders@etl/load.py:8', '1:clean and type rows@etl/load.py:5', '2:reads data/raw.csv@etl/load.py:3'],
+      columns: ['data/raw.csv.amount', 'report.revenue'],
+      unknown: null
+    }, 'Producers, consumers and blast radius found across files');
   }
 
   /**
@@ -245,6 +593,88 @@ SELECT name, email FROM customers WHERE created_at > '2023-01-01';
       console.log(`❌ SQL metadata lookup failed: ${error.message}`);
       this.addResult('SQL Metadata', false, error.message);
     }
+
+    // Local parsing needs no API; a parse error must stop the request
+    await this.check('Local SQL Parse', async () => {
+      const { statements } = parseSql(testSql, { dialect: 'postgres' });
+      const parseError = await this.client.sqlMetadataLookup('SELECT name, email FROM customers WHERE', { dialect: 'postgres' })
+        .then(() => null, error => error);
+      return {
+        types: statements.map(statement => statement.type),
+        parseError: parseError instanceof NetPadSqlParseError ? `${parseError.line}:${parseError.column}` : parseError?.message || 'none'
+      };
+    }, { types: ['create table', 'insert', 'select'], parseError: '1:35' }, 'Statements parsed and parse errors reported locally');
+
+    // Schema checks against the DDL and JSON fixtures need no API either
+    await this.check('Schema Check', async () => {
+      const { catalog, errors } = await new SchemaSources().load([path.join(__dirname, 'fixtures', 'schema')]);
+      const findings = checkSql(parseSql(`SELECT c.name, o.total, o.discount
+FROM customers c
+JOIN orders o ON o.customer_id = c.id
+LEFT JOIN analytics.page_views v ON v.customer_id = c.id
+WHERE o.status = 'shipped' AND o.created_at > '2024-01-01';
+SELECT * FROM invoices;
+SELECT c.name FROM customers c, orders o
+WHERE o.created_at = c.id;`, { dialect: 'postgres' }), catalog);
+      return { tables: catalog.size, unreadable: errors.length, findings: findings.map(finding => `${finding.code}@${finding.line}`) };
+    }, {
+      tables: 3,
+      unreadable: 0,
+      // A comma join is checked like an explicit one, through its WHERE condition
+      findings: ['unknown-column@1', 'join-type-mismatch@3', 'missing-index@5', 'unknown-table@6', 'join-type-mismatch@7']
+    }, 'SQL cross-checked against local schema sources');
+
+    // Schema explorer model: local DDL, a metadata answer and code references merged
+    await this.check('Schema Explorer', async () => {
+      const fixtures = path.join(__dirname, 'fixtures');
+      const { catalog } = await new SchemaSources().load(['schema'], { root: fixtures });
+      const model = new SchemaModel();
+      model.setLocal(catalog);
+      parseSqlMetadata(require('./fixtures/netpad/command.sql_metadata_lookup.json'))
+        .forEach(table => model.addTable(table.name, { ...table, source: 'netpad' }));
+      const parsed = parseSql(`SELECT c.email FROM customers c JOIN report_cache r ON r.id = c.id;
+INSERT INTO orders (customer_id) VALUES (1);`, { dialect: 'postgres' });
+      model.setReferences('app/report.js', parsed.statements.flatMap(statement =>
+        statement.tables.map(table => ({ table: table.name, line: table.line, role: table.role }))
+      ));
+
+      const customers = model.table('public.customers');
+      const references = customers?.references.map(reference => `${reference.role}@${reference.file}:${reference.line}`);
+      const withReferences = model.size;
+      const restored = SchemaModel.fromJSON(JSON.parse(JSON.stringify(model)));
+      // report_cache is only known from the parse, so it goes with its reference
+      model.setReferences('app/report.js', []);
+      return {
+        sources: customers?.sources.join('+'),
+        references,
+        tables: [withReferences, model.size, restored.size]
+      };
+    }, {
+      sources: 'local+netpad',
+      references: ['definition@schema/001_create_tables.sql:1', 'read@app/report.js:1'],
+      tables: [4, 3, 4]
+    }, 'Local schema, metadata answers and code references merged');
+
+    // SQL in application code: template literals, concatenation and Python f-strings
+    await this.check('Embedded SQL', () => {
+      const javascript = [
+        'const label = "Select a file";',
+        'const rows = await sql`',
+        '  SELECT id, email FROM users',
+        '  WHERE id = ${userId}`;',
+        'await knex.raw("DELETE FROM sessions " +',
+        '  "WHERE expires_at < now()");'
+      ].join('\n');
+      const python = 'df = pd.read_sql(f"SELECT * FROM events WHERE kind = {kind!r}", conn)';
+      const queries = [
+        ...findEmbeddedSql(javascript, { languageId: 'javascript' }),
+        ...findEmbeddedSql(python, { languageId: 'python' })
+      ];
+      return {
+        queries: queries.map(query => `${query.kind}@${query.line + 1}:${parseSql(query.sql, { dialect: 'postgres' }).statements[0].type}`),
+        secondLine: queries[0]?.lines[1].line
+      };
+    }, { queries: ['tagged@2:select', 'call@5:delete', 'call@1:select'], secondLine: 2 }, 'SQL found in JavaScript and Python string literals');
   }
 
   /**
@@ -293,6 +723,279 @@ function processUserData(users) {
     }
   }
 
+  /**
+   * Test reading and binding project workflow definitions
+   */
+  async testWorkflowDefinitions() {
+    console.log('\n📁 Testing workflow definitions...');
+
+    // Project workflow definitions in YAML and JSON, bound to an editor selection
+    await this.check('Workflow Definitions', () => {
+      const folder = path.join(__dirname, 'fixtures', 'workflows');
+      const variables = {
+        selection: 'SELECT * FROM orders',
+        file: 'SELECT * FROM orders;\n',
+        fileName: '/work/shop/reports.sql',
+        relativeFile: 'reports.sql',
+        language: 'sql',
+        workspaceName: 'shop'
+      };
+      const graphs = fs.readdirSync(folder).sort().map(file => {
+        const definition = parseWorkflowDefinition(fs.readFileSync(path.join(folder, file), 'utf8'), file);
+        return { name: definition.name, graph: bindWorkflow(definition, variables) };
+      });
+
+      let syntaxError = null;
+      try {
+        parseWorkflowDefinition('nodes:\n  - id: a\n    type: input\n  - id: b\n   type: x', 'broken.yaml');
+      } catch (error) {
+        syntaxError = error;
+      }
+      const multiline = parseWorkflowDefinition('name: "Nightly\n  lineage"\nnodes:\n  - { id: a, type: input, data: { limit: .inf } }', 'nightly.yaml');
+      return {
+        workflows: graphs.map(({ name, graph }) => `${name}:${graph.startNodeId}:${graph.nodes.length}/${graph.connections.length}`),
+        project: graphs.find(({ name }) => name === 'Review and audit')?.graph.nodes.find(node => node.id === 'audit')?.parameters.project,
+        syntaxErrorLine: syntaxError?.line ?? syntaxError?.message ?? null,
+        multiline: [multiline.name, String(multiline.nodes[0].data.limit), multiline.locate(['nodes', 0, 'type']).column]
+      };
+    }, {
+      workflows: ['Lineage report:source:3/2', 'Review and audit:selection:3/3'],
+      project: 'shop',
+      syntaxErrorLine: 5,
+      multiline: ['Nightly lineage', 'Infinity', 20]
+    }, 'YAML and JSON workflow definitions read and bound');
+  }
+
+  /**
+   * Test checking workflow graphs against tool schemas
+   */
+  async testWorkflowValidation() {
+    console.log('\n🧭 Testing workflow validation...');
+
+    // Workflow graphs checked against tool schemas, with problems placed in the file
+    await this.check('Workflow Validation', () => {
+      const tools = [
+        {
+          name: 'code_review',
+          inputSchema: { type: 'object', properties: { code: { type: 'string' }, language: { type: 'string' }, severity: { type: 'string' } }, required: ['code'] },
+          outputSchema: { type: 'object', properties: { findings: { type: 'array' } } }
+        },
+        {
+          name: 'metadata_audit',
+          inputSchema: { type: 'object', properties: { code: { type: 'string' }, findings: { type: 'array' }, project: { type: 'string' } }, required: ['code'] },
+          outputs: ['result']
+        },
+        { name: 'data_lineage_extraction', parameters: [{ name: 'code', required: true }, { name: 'fileName' }], outputs: ['graph'] },
+        { name: 'summarize' }
+      ];
+      const folder = path.join(__dirname, 'fixtures', 'workflows');
+      const clean = fs.readdirSync(folder).every(file =>
+        checkWorkflowText(fs.readFileSync(path.join(folder, file), 'utf8'), file, { tools }).findings.length === 0
+      );
+
+      const broken = [
+        'name: Broken',
+        'startNodeId: begin',
+        'nodes:',
+        '  - id: start',
+        '    type: input',
+        '  - id: review',
+        '    type: code_reveiw',
+        '    inputs: { code: start.result }',
+        '  - id: audit',
+        '    type: metadata_audit',
+        '    inputs: { source: review.findings }',
+        '    parameters: { project: "${workspace}" }',
+        'connections:',
+        '  - { from: start, to: review }',
+        '  - { from: review, to: audit }',
+        '  - { from: audit, to: review }',
+        '  - { from: audit, to: report }'
+      ].join('\n');
+      const findings = checkWorkflowText(broken, 'broken.yaml', { tools }).findings
+        .map(finding => `${finding.code}@${finding.line}:${finding.column}`);
+      return { clean, findings };
+    }, {
+      clean: true,
+      findings: [
+        'unknown-start-node@2:14',
+        'unknown-type@7:11',
+        'unresolved-input@8:21',
+        'missing-input@10:11',
+        'unknown-port@11:23',
+        'unknown-variable@12:28',
+        'cycle@16:24',
+        'dangling-connection@17:24'
+      ]
+    }, 'Graph problems found and located in the definition file');
+  }
+
+  /**
+   * Test reading per-node run traces and re-running from a node
+   */
+  async testWorkflowRunTrace() {
+    console.log('\n🔎 Testing workflow run traces...');
+
+    // Per-node run trace from a /workflow/run response, and re-running from a node
+    await this.check('Workflow Run Trace', () => {
+      const graph = bindWorkflow(processorWorkflow('metadata_audit'), { selection: 'SELECT * FROM orders', language: 'sql', fileName: 'orders.sql' });
+      const response = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'netpad', 'workflow-run.json'), 'utf8'));
+      const run = parseWorkflowRun(response, graph);
+
+      // Without a trace, "node.port" portData keys and references still place values on nodes
+      const definition = parseWorkflowDefinition(fs.readFileSync(path.join(__dirname, 'fixtures', 'workflows', 'review-and-audit.yaml'), 'utf8'), 'review-and-audit.yaml');
+      const untraced = parseWorkflowRun(
+        { success: true, data: { portData: { result: 'Audit complete', 'review.findings': ['SELECT *'] } } },
+        bindWorkflow(definition, { selection: 'SELECT * FROM orders', language: 'sql', relativeFile: 'orders.sql', workspaceName: 'shop' })
+      );
+      const audit = untraced.nodes.find(node => node.id === 'audit');
+      const rerun = rerunFromNode(untraced, 'review', { code: 'SELECT id FROM orders' });
+      return {
+        nodes: run.nodes.map(node => `${node.id}:${node.status}:${node.duration}`),
+        duration: run.duration,
+        audit: [audit?.outputs?.result, audit?.inputs.findings?.[0]],
+        rerun: rerun.nodes.map(node => `${node.id}:${node.type}`),
+        rerunStart: rerun.startNodeId
+      };
+    }, {
+      nodes: ['start:completed:12', 'processor:completed:1828'],
+      duration: 1840,
+      audit: ['Audit complete', 'SELECT *'],
+      rerun: ['review-inputs:input', 'selection:input', 'review:code_review', 'audit:metadata_audit'],
+      rerunStart: 'review-inputs'
+    }, 'Node status, timing and port data read; re-run graph built');
+  }
+
+  /**
+   * Test asynchronous workflow runs against a mock that answers with jobs
+   * (whatever the run mode, so nothing is recorded or replayed)
+   */
+  async testWorkflowJobs() {
+    console.log('\n⏳ Testing asynchronous workflow jobs...');
+
+    const server = new MockNetPadServer({ port: 0, asyncWorkflows: true, enableLogging: false });
+    try {
+      await this.check('Workflow Jobs', async () => {
+        const client = new NetPadApiClient({ apiUrl: await server.listen(), apiKey: 'mock-api-key', enableLogging: false });
+        const graph = bindWorkflow(processorWorkflow('metadata_audit'), { selection: 'SELECT * FROM orders', language: 'sql', fileName: 'orders.sql' });
+
+        const progress = [];
+        const result = await client.waitForWorkflowJob(workflowJobId(await client.runWorkflowGraph(graph)), {
+          initialDelay: 5,
+          maxDelay: 20,
+          onProgress: state => progress.push(describeJob(state))
+        });
+        const missing = await client.waitForWorkflowJob('job-404', { initialDelay: 5 }).then(() => null, error => error);
+        // A job still running when maxWait runs out is given up on
+        const stalled = await client.waitForWorkflowJob(workflowJobId(await client.runWorkflowGraph(graph)), { initialDelay: 5, maxDelay: 5, maxWait: 8 })
+          .then(() => null, error => error);
+        return {
+          progress,
+          nodes: parseWorkflowRun(result, graph).nodes.map(node => node.status),
+          missing: missing?.status ?? null,
+          stalled: stalled instanceof NetPadJobError ? stalled.status : stalled?.message ?? null
+        };
+      }, {
+        progress: ['Queued · 0 of 2 nodes done', 'Running start · 0 of 2 nodes done', 'Running processor · 1 of 2 nodes done', '2 of 2 nodes done'],
+        nodes: ['completed', 'completed'],
+        missing: 404,
+        stalled: 'running'
+      }, 'Async workflow job polled with node progress');
+    } finally {
+      await server.close();
+    }
+  }
+
+  /**
+   * Test the result cache: hits, forceRefresh, persistence, expiry and the
+   * size cap (against its own mock, so nothing is recorded or replayed)
+   */
+  async testResultCache() {
+    console.log('\n🗃️  Testing the result cache...');
+
+    const server = new MockNetPadServer({ port: 0, enableLogging: false });
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'netpad-cache-')), 'result-cache.json');
+    try {
+      await this.check('Result Cache', async () => {
+        const client = new NetPadApiClient({ apiUrl: await server.listen(), apiKey: 'mock-api-key', enableLogging: false, cache: { filePath } });
+        const input = { code: 'SELECT * FROM orders', language: 'sql', analysisType: 'summary' };
+        const calls = [];
+        for (const options of [{}, {}, { forceRefresh: true }]) {
+          const result = await client.executeCommand('code_analysis', input, options);
+          calls.push(`${result.cached ? 'cached' : 'fetched'}:${server.requestCount}`);
+        }
+
+        // A new cache on the same file starts with what the client stored
+        const restored = new ResultCache({ filePath });
+        const persisted = restored.peek(restored.keyFor('code_analysis', input)) !== null;
+
+        const expiring = new ResultCache({ ttl: 5 });
+        expiring.set('a', { output: 'a' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        // Reading "a" makes "b" the least recently used entry
+        const capped = new ResultCache({ maxEntries: 2 });
+        ['a', 'b'].forEach(key => capped.set(key, { output: key }));
+        capped.get('a');
+        capped.set('c', { output: 'c' });
+
+        return { calls, persisted, expired: expiring.get('a'), kept: [...capped.entries.keys()] };
+      }, {
+        calls: ['fetched:1', 'cached:1', 'fetched:2'],
+        persisted: true,
+        expired: null,
+        kept: ['a', 'c']
+      }, 'Repeated commands served from the cache; forceRefresh, expiry and size cap honoured');
+    } finally {
+      await server.close();
+      fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Test cancelling requests with an AbortSignal: before sending, while the
+   * request is in flight and while waiting to retry a failed one
+   */
+  async testCancellation() {
+    console.log('\n🛑 Testing request cancellation...');
+
+    // Every answer takes `latency` ms and the first one is a 503, which the client retries after 2s
+    const latency = 500;
+    const server = new MockNetPadServer({ port: 0, enableLogging: false, latency, failFirst: 1, errorStatus: 503 });
+    try {
+      await this.check('Request Cancellation', async () => {
+        const client = new NetPadApiClient({ apiUrl: await server.listen(), apiKey: 'mock-api-key', enableLogging: false });
+        const input = { code: 'SELECT 1', language: 'sql', analysisType: 'summary' };
+        const cancel = async abortAfter => {
+          const controller = new AbortController();
+          if (abortAfter === 0) controller.abort();
+          else setTimeout(() => controller.abort(), abortAfter);
+          const started = Date.now();
+          const error = await client.executeCommand('code_analysis', input, { signal: controller.signal }).then(() => null, error => error);
+          return { error, elapsed: Date.now() - started, requests: server.requestCount };
+        };
+
+        const outcome = ({ error, elapsed, requests }, within) =>
+          `${error instanceof NetPadCancelledError ? 'cancelled' : error?.message || 'completed'}${elapsed < within ? '' : ` after ${elapsed}ms`}, ${requests} request(s)`;
+        const before = await cancel(0);
+        // Aborted after the 503 arrived, during the retry wait
+        const retrying = await cancel(latency + 200);
+        const inFlight = await cancel(50);
+        return {
+          before: outcome(before, latency),
+          retrying: outcome(retrying, latency + 1000),
+          inFlight: outcome(inFlight, latency)
+        };
+      }, {
+        before: 'cancelled, 0 request(s)',
+        retrying: 'cancelled, 1 request(s)',
+        inFlight: 'cancelled, 2 request(s)'
+      }, 'Aborting stops pending, in-flight and retrying requests with NetPadCancelledError');
+    } finally {
+      await server.close();
+    }
+  }
+
   /**
    * Test error handling with invalid payloads
    */
@@ -396,27 +1099,47 @@ function processUserData(users) {
    * Run all tests
    */
   async runAllTests() {
-    await this.initialize();
+    try {
+      await this.initialize();
 
-    console.log('Starting comprehensive NetPad API tests...\n');
+      console.log('Starting comprehensive NetPad API tests...\n');
 
-    // Run all test suites
-    await this.testConnection();
-    await this.testGetTools();
-    await this.testCodeAnalysis();
-    await this.testDataLineage();
-    await this.testSqlMetadata();
-    await this.testCustomWorkflow();
-    await this.testErrorHandling();
-    await this.testPayloadLimits();
+      // Run all test suites
+      await this.testConnection();
+      await this.testGetTools();
+      await this.testCodeAnalysis();
+      await this.testDataLineage();
+      await this.testSqlMetadata();
+      await this.testCustomWorkflow();
+      await this.testWorkflowDefinitions();
+      await this.testWorkflowValidation();
+      await this.testWorkflowRunTrace();
+      await this.testWorkflowJobs();
+      await this.testResultCache();
+      await this.testCancellation();
+      await this.testErrorHandling();
+      await this.testPayloadLimits();
 
-    return this.generateReport();
+      return this.generateReport();
+    } finally {
+      if (this.mockServer) {
+        await this.mockServer.close();
+      }
+    }
   }
 }
 
 // CLI usage
 if (require.main === module) {
-  const tester = new NetPadTester();
+  const args = process.argv.slice(2);
+  const cassetteFlag = args.find(arg => arg === '--record' || arg === '--replay');
+  const cassetteArg = cassetteFlag && args[args.indexOf(cassetteFlag) + 1];
+
+  const tester = new NetPadTester({
+    mock: args.includes('--mock'),
+    cassetteMode: cassetteFlag?.slice(2),
+    cassettePath: cassetteArg && !cassetteArg.startsWith('--') ? cassetteArg : DEFAULT_CASSETTE
+  });
   
   tester.runAllTests()
     .then(report => {